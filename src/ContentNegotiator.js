@@ -0,0 +1,268 @@
+'use strict';
+
+const JsonApiError = require('./JsonApiError');
+const JsonApiErrorList = require('./JsonApiErrorList');
+
+/**
+ * [Defines the JSON API media type and the media type parameters it allows.]
+ **/
+let MEDIA_TYPE = 'application/vnd.api+json';
+let MEDIA_TYPE_PARAMS = Object.freeze(['ext', 'profile']);
+
+
+class ContentNegotiator {
+
+  /**
+   * [Creates a negotiator for the JSON API media type.
+   *
+   * Options:
+   *   extensions: URIs of the supported extensions. Default: [].
+   *   profiles: URIs of the supported profiles. Default: [], requested profiles that are not supported are ignored.]
+   *
+   * @param {[object]} options [Optional negotiation settings. Example: { extensions: ["https://jsonapi.org/ext/atomic"] }.]
+   *
+   **/
+  constructor (options) {
+    this.options = Object.assign({
+      extensions: [],
+      profiles: []
+    }, options);
+  }
+
+  /**
+   * [Checks the Content-Type and Accept headers of a request. Throws a JsonApiErrorList with status 415 if the Content-Type is the
+   * JSON API media type with parameters other than ext and profile or with unsupported extensions, and with status 406 if the
+   * Accept header lists the JSON API media type but no acceptable instance without such parameters.]
+   *
+   * @param {[object]} headers [Required request headers, names are case-insensitive. Example: { accept: "application/vnd.api+json" }.]
+   * @return {[object]} negotiation [Negotiated media type information. Example: { contentType: { ext: [], profile: [] }, extensions: [], profiles: [], responseContentType: "application/vnd.api+json" }.]
+   *
+   **/
+  negotiate (headers) {
+    let errors = [];
+    let negotiation = {
+      contentType: null,
+      extensions: [],
+      profiles: [],
+      responseContentType: MEDIA_TYPE
+    };
+    let contentType = ContentNegotiator.getHeader(headers, 'content-type');
+    let accept = ContentNegotiator.getHeader(headers, 'accept');
+
+    if(contentType) {
+      let mediaType = ContentNegotiator.parseMediaTypes(contentType)[0];
+
+      if(mediaType && mediaType.type === MEDIA_TYPE) {
+        let problem = this.findProblem(mediaType);
+
+        if(problem) {
+          errors.push(new JsonApiError({
+            status: 415,
+            code: 'UNSUPPORTED_MEDIA_TYPE',
+            title: 'Unsupported media type',
+            detail: problem,
+            source: { header: 'Content-Type' }
+          }));
+        }
+
+        negotiation.contentType = {
+          ext: ContentNegotiator.splitUris(mediaType.params.ext),
+          profile: ContentNegotiator.splitUris(mediaType.params.profile)
+        };
+      }
+    }
+
+    if(accept) {
+      let jsonApiTypes = ContentNegotiator.parseMediaTypes(accept).filter(function(mediaType) {
+        return mediaType.type === MEDIA_TYPE;
+      });
+      let acceptedTypes = jsonApiTypes.filter(function(mediaType) {
+        return mediaType.quality > 0 && !this.findProblem(mediaType);
+      }, this).sort(function(mediaTypeA, mediaTypeB) {
+        return mediaTypeB.quality - mediaTypeA.quality;
+      });
+
+      if(jsonApiTypes.length && !acceptedTypes.length) {
+        errors.push(new JsonApiError({
+          status: 406,
+          code: 'NOT_ACCEPTABLE',
+          title: 'Not acceptable',
+          detail: 'Every JSON API media type in the Accept header has unsupported media type parameters or extensions.',
+          source: { header: 'Accept' }
+        }));
+      } else if(acceptedTypes.length) {
+        negotiation.extensions = ContentNegotiator.splitUris(acceptedTypes[0].params.ext);
+        negotiation.profiles = ContentNegotiator.splitUris(acceptedTypes[0].params.profile).filter(function(profile) {
+          return this.options.profiles.indexOf(profile) !== -1;
+        }, this);
+      }
+    }
+
+    if(errors.length) {
+      throw new JsonApiErrorList(errors);
+    }
+
+    negotiation.responseContentType = ContentNegotiator.formatMediaType(negotiation.extensions, negotiation.profiles);
+
+    return negotiation;
+  }
+
+  /**
+   * [Checks the parameters of a JSON API media type.]
+   *
+   * @param {[object]} mediaType [Required parsed media type. Example: { type: "application/vnd.api+json", params: { ext: "..." }, quality: 1 }.]
+   * @return {[string]} problem [Problem description or null if the media type is supported.]
+   *
+   **/
+  findProblem (mediaType) {
+    let unknownParams = Object.keys(mediaType.params).filter(function(param) {
+      return MEDIA_TYPE_PARAMS.indexOf(param) === -1;
+    });
+
+    if(unknownParams.length) {
+      return 'The media type parameter "' + unknownParams[0] + '" is not allowed for ' + MEDIA_TYPE + '.';
+    }
+
+    let unsupportedExtensions = ContentNegotiator.splitUris(mediaType.params.ext).filter(function(extension) {
+      return this.options.extensions.indexOf(extension) === -1;
+    }, this);
+
+    if(unsupportedExtensions.length) {
+      return 'The extension "' + unsupportedExtensions[0] + '" is not supported.';
+    }
+
+    return null;
+  }
+
+  /**
+   * [Parses a Content-Type or Accept header into its media types. Media type names and parameter names are lower case, the
+   * "q" parameter and everything after it are accept parameters and not part of the media type parameters.]
+   *
+   * @param {[string]} header [Required header value. Example: 'application/vnd.api+json; ext="https://a.org/ext", *\/*;q=0.8'.]
+   * @return {[array]} mediaTypes [List of media types. Example: [{ type: "application/vnd.api+json", params: { ext: "https://a.org/ext" }, quality: 1 }].]
+   *
+   **/
+  static parseMediaTypes (header) {
+    return ContentNegotiator.splitQuoted(header, ',').map(function(mediaRange) {
+      let parts = ContentNegotiator.splitQuoted(mediaRange, ';');
+      let mediaType = {
+        type: parts.shift().toLowerCase(),
+        params: {},
+        quality: 1
+      };
+      let isAcceptParam = false;
+
+      parts.forEach(function(part) {
+        let separatorIndex = part.indexOf('=');
+        let name = (separatorIndex === -1 ? part : part.slice(0, separatorIndex)).trim().toLowerCase();
+        let value = (separatorIndex === -1 ? '' : part.slice(separatorIndex + 1).trim());
+
+        if(value.charAt(0) === '"' && value.charAt(value.length - 1) === '"' && value.length > 1) {
+          value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+        }
+
+        if(name === 'q') {
+          isAcceptParam = true;
+          mediaType.quality = (isNaN(parseFloat(value)) ? 1 : parseFloat(value));
+        } else if(!isAcceptParam && name.length) {
+          mediaType.params[name] = value;
+        }
+      });
+
+      return mediaType;
+    }).filter(function(mediaType) {
+      return mediaType.type.length > 0;
+    });
+  }
+
+  /**
+   * [Splits a header value by the separator, ignoring separators within quoted strings. The parts are trimmed.]
+   *
+   * @param {[string]} value [Required header value. Example: 'a; ext="x;y"'.]
+   * @param {[string]} separator [Required separator character. Example: ";".]
+   * @return {[array]} parts [List of parts. Example: ["a", 'ext="x;y"'].]
+   *
+   **/
+  static splitQuoted (value, separator) {
+    let parts = [];
+    let current = '';
+    let isQuoted = false;
+
+    for(let i = 0; i < value.length; i++) {
+      let character = value.charAt(i);
+
+      if(character === '\\' && isQuoted) {
+        current += character + value.charAt(++i);
+        continue;
+      }
+
+      if(character === '"') {
+        isQuoted = !isQuoted;
+      }
+
+      if(character === separator && !isQuoted) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += character;
+      }
+    }
+
+    parts.push(current.trim());
+
+    return parts;
+  }
+
+  /**
+   * [Splits the space-separated URI list of an ext or profile parameter.]
+   *
+   * @param {[string]} value [Optional parameter value. Example: "https://a.org/ext https://b.org/ext".]
+   * @return {[array]} uris [List of URIs. Example: ["https://a.org/ext", "https://b.org/ext"].]
+   *
+   **/
+  static splitUris (value) {
+    return (value ? value.split(/\s+/).filter(Boolean) : []);
+  }
+
+  /**
+   * [Formats the JSON API media type with the applied extensions and profiles.]
+   *
+   * @param {[array]} extensions [Required list of extension URIs.]
+   * @param {[array]} profiles [Required list of profile URIs.]
+   * @return {[string]} mediaType [The media type. Example: 'application/vnd.api+json; ext="https://a.org/ext"'.]
+   *
+   **/
+  static formatMediaType (extensions, profiles) {
+    let mediaType = MEDIA_TYPE;
+
+    if(extensions.length) {
+      mediaType += '; ext="' + extensions.join(' ') + '"';
+    }
+
+    if(profiles.length) {
+      mediaType += '; profile="' + profiles.join(' ') + '"';
+    }
+
+    return mediaType;
+  }
+
+  /**
+   * [Reads a header by its case-insensitive name. Repeated headers given as list are joined with commas.]
+   *
+   * @param {[object]} headers [Required request headers.]
+   * @param {[string]} name [Required lower case header name. Example: "accept".]
+   * @return {[string]} value [The header value or null if it is missing.]
+   *
+   **/
+  static getHeader (headers, name) {
+    let headerName = Object.keys(headers || {}).find(function(key) {
+      return key.toLowerCase() === name;
+    });
+    let value = (headerName === undefined ? null : headers[headerName]);
+
+    return (Array.isArray(value) ? value.join(', ') : value);
+  }
+
+}
+
+module.exports = ContentNegotiator;
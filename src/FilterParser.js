@@ -0,0 +1,355 @@
+'use strict';
+
+const JsonApiError = require('./JsonApiError');
+const QueryTokenizer = require('./QueryTokenizer');
+
+/**
+ * [Defines the built-in filter operators. The arity is the amount of comma-separated values (1 keeps the plain string,
+ * "list" takes any amount), validate checks and coerce converts each single value.]
+ **/
+let FILTER_OPERATORS = Object.freeze({
+  eq: { arity: 1 },
+  not: { arity: 1 },
+  like: { arity: 1 },
+  lt: { arity: 1 },
+  lte: { arity: 1 },
+  gt: { arity: 1 },
+  gte: { arity: 1 },
+  in: { arity: 'list' },
+  nin: { arity: 'list' },
+  between: { arity: 2 },
+  null: {
+    arity: 1,
+    validate: function(value) {
+      return (value === 'true' || value === 'false');
+    },
+    coerce: function(value) {
+      return (value === 'true');
+    }
+  }
+});
+
+/**
+ * [Defines the group names combining their nested filters.]
+ **/
+let FILTER_GROUPS = Object.freeze(['and', 'or']);
+
+/**
+ * [Defines the names that can not be used as filter operator, as they would reach the object prototype.]
+ **/
+let FORBIDDEN_NAMES = Object.freeze(['__proto__', 'constructor', 'prototype']);
+
+
+class FilterParser {
+
+  /**
+   * [Creates a filter parser with the built-in operators.]
+   **/
+  constructor () {
+    this.operators = Object.assign({}, FILTER_OPERATORS);
+    this.disabledOperators = [];
+  }
+
+  /**
+   * [Adds a filter operator or replaces an existing one.]
+   *
+   * @param {[object]} definition [Required operator definition. Example: { name: "ilike", arity: 1, validate: function(value) {}, coerce: function(value) {} }.]
+   *
+   **/
+  registerOperator (definition) {
+    if(!definition || typeof definition.name !== 'string' || !definition.name.length) {
+      throw new TypeError('Filter operator definition requires a name', 'FilterParser.js');
+    }
+
+    if(FILTER_GROUPS.indexOf(definition.name) !== -1) {
+      throw new TypeError('Filter operator can not use the group name "' + definition.name + '"', 'FilterParser.js');
+    }
+
+    if(FORBIDDEN_NAMES.indexOf(definition.name) !== -1) {
+      throw new TypeError('Filter operator can not use the reserved name "' + definition.name + '"', 'FilterParser.js');
+    }
+
+    this.operators[definition.name] = {
+      arity: (definition.arity === undefined ? 1 : definition.arity),
+      validate: definition.validate,
+      coerce: definition.coerce
+    };
+    this.disabledOperators = this.disabledOperators.filter(function(name) {
+      return name !== definition.name;
+    });
+  }
+
+  /**
+   * [Removes a filter operator. Filters using it are rejected instead of being read as field name.]
+   *
+   * @param {[string]} name [Required operator name. Example: "like".]
+   *
+   **/
+  disableOperator (name) {
+    if(name === 'eq') {
+      throw new TypeError('The default filter operator "eq" can not be disabled', 'FilterParser.js');
+    }
+
+    delete this.operators[name];
+
+    if(this.disabledOperators.indexOf(name) === -1) {
+      this.disabledOperators.push(name);
+    }
+  }
+
+  /**
+   * [Converts the filter query string pieces into a filter tree (AST). The root node is an "and" group.
+   *
+   * Supported forms:
+   *   filter[name]=john                  -> name eq "john"
+   *   filter[age][lt]=15                 -> age lt "15"
+   *   filter[lt][age]=15                 -> age lt "15" (operator first, as in the filter type buckets)
+   *   filter[author][name][like]=jo      -> author.name like "jo"
+   *   filter[id][in]=1,2,3               -> id in ["1", "2", "3"]
+   *   filter[or][name]=a&filter[or][title]=b       -> (name eq "a" or title eq "b")
+   *   filter[or][and][0][x]=1&filter[or][and][1][y]=2   -> numbered groups keep several groups of the same kind apart]
+   *
+   * @param {[array]} filterStrings [Required list of filter query string pieces, tokens or filter parts as returned by splitFilterString. Example: ["filter[age][lt]=15"].]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError for each invalid filter.]
+   * @return {[object]} filterTree [Root group node. Example: { type: "and", children: [{ type: "condition", field: "age", path: [], operator: "lt", value: "15", parameter: "filter[age][lt]" }] }.]
+   *
+   **/
+  parse (filterStrings, reportError) {
+    let root = FilterParser.createGroup('and');
+
+    filterStrings.forEach(function(filterString) {
+      let filterPart = (Array.isArray(filterString.segments) ? filterString : FilterParser.splitFilterString(filterString));
+
+      if(filterPart) {
+        this.insertFilter(root, filterPart.segments, filterPart.values, filterPart.parameter, reportError);
+      }
+    }, this);
+
+    return FilterParser.cleanGroup(root);
+  }
+
+  /**
+   * [Adds a single filter to the given group, creating nested groups for "and" and "or" segments on the way.]
+   *
+   * @param {[object]} group [Required group node to add the filter to.]
+   * @param {[array]} segments [Required remaining bracket keys of the filter. Example: ["author", "name", "like"].]
+   * @param {[array]} values [Required decoded comma-separated filter values. Example: ["John"].]
+   * @param {[string]} parameter [Required full parameter name for error reporting. Example: "filter[author][name][like]".]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError if the filter is invalid.]
+   *
+   **/
+  insertFilter (group, segments, values, parameter, reportError) {
+    if(FILTER_GROUPS.indexOf(segments[0]) !== -1) {
+      let groupType = segments[0];
+      let groupKey = (/^\d+$/.test(segments[1]) ? segments[1] : '');
+      let remainingSegments = segments.slice(groupKey.length ? 2 : 1);
+      let groupId = groupType + '[' + groupKey + ']';
+
+      if(!remainingSegments.length) {
+        reportError(FilterParser.createError('The filter group "' + groupType + '" requires a nested filter.', parameter));
+        return;
+      }
+
+      if(!group.groups[groupId]) {
+        group.groups[groupId] = FilterParser.createGroup(groupType);
+        group.children.push(group.groups[groupId]);
+      }
+
+      this.insertFilter(group.groups[groupId], remainingSegments, values, parameter, reportError);
+      return;
+    }
+
+    let condition = this.createCondition(segments, values, parameter, reportError);
+
+    if(condition) {
+      group.children.push(condition);
+    }
+  }
+
+  /**
+   * [Creates a condition node. The operator is taken from the first segment if there are at least two segments (filter[lt][age]),
+   * otherwise from the last segment (filter[age][lt]). Without operator segment the operator is "eq".]
+   *
+   * @param {[array]} segments [Required bracket keys of the condition. Example: ["author", "name", "like"].]
+   * @param {[array]} values [Required decoded comma-separated filter values.]
+   * @param {[string]} parameter [Required full parameter name. Example: "filter[author][name][like]".]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError if the value is invalid.]
+   * @return {[object]} condition [Condition node or null if the value is invalid.]
+   *
+   **/
+  createCondition (segments, values, parameter, reportError) {
+    let path = segments.slice();
+    let operator = 'eq';
+    let isOperator = function(name) {
+      return this.hasOperator(name) || this.disabledOperators.indexOf(name) !== -1;
+    }.bind(this);
+
+    if(path.length >= 2 && isOperator(path[0])) {
+      operator = path.shift();
+    } else if(path.length >= 2 && isOperator(path[path.length - 1])) {
+      operator = path.pop();
+    }
+
+    if(!this.hasOperator(operator)) {
+      reportError(FilterParser.createError('The filter operator "' + operator + '" is not supported.', parameter));
+      return null;
+    }
+
+    let parsedValue = this.parseValue(operator, values, parameter, reportError);
+
+    if(parsedValue === undefined) {
+      return null;
+    }
+
+    return {
+      type: 'condition',
+      field: path.pop(),
+      path: path,
+      operator: operator,
+      value: parsedValue,
+      parameter: parameter
+    };
+  }
+
+  /**
+   * [Checks whether the given name is a known filter operator.]
+   *
+   * @param {[string]} name [Required segment name. Example: "like".]
+   * @return {[boolean]} [True if the name is an operator.]
+   *
+   **/
+  hasOperator (name) {
+    return Object.prototype.hasOwnProperty.call(this.operators, name);
+  }
+
+  /**
+   * [Reads the filter value the way the operator expects it. Operators with an arity of 1 join the values to the plain string
+   * again, then each single value is validated and coerced. Encoded commas (%2C) never separate values.]
+   *
+   * @param {[string]} operator [Required operator name. Example: "in".]
+   * @param {[array]} values [Required decoded comma-separated filter values. Example: ["1", "2", "3"].]
+   * @param {[string]} parameter [Required full parameter name for error reporting.]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError if the value is invalid.]
+   * @return {[mixed]} value [The operator value or undefined if the value is invalid. Example: ["1", "2", "3"].]
+   *
+   **/
+  parseValue (operator, values, parameter, reportError) {
+    let definition = this.operators[operator];
+
+    values = (definition.arity === 1 ? [values.join(',')] : values);
+
+    if(definition.arity !== 'list' && values.length !== definition.arity) {
+      reportError(FilterParser.createError('The "' + operator + '" filter requires exactly ' + definition.arity + ' comma-separated values.', parameter));
+      return undefined;
+    }
+
+    let isValid = values.every(function(singleValue) {
+      return (!definition.validate || definition.validate(singleValue));
+    });
+
+    if(!isValid) {
+      reportError(FilterParser.createError('The value of the "' + operator + '" filter is invalid.', parameter));
+      return undefined;
+    }
+
+    if(definition.coerce) {
+      values = values.map(function(singleValue) {
+        return definition.coerce(singleValue);
+      });
+    }
+
+    return (definition.arity === 1 ? values[0] : values);
+  }
+
+  /**
+   * [Splits a filter query string piece into its bracket keys and value.]
+   *
+   * @param {[mixed]} filterString [Required filter query string piece or token. Example: "filter[age][in]=15,16".]
+   * @return {[object]} filterPart [The parameter name, bracket keys and decoded values or null if the piece is no valid filter.
+   * Example: { parameter: "filter[age][in]", segments: ["age", "in"], value: "15,16", values: ["15", "16"] }.]
+   *
+   **/
+  static splitFilterString (filterString) {
+    let token = QueryTokenizer.toToken(filterString);
+    let filterMatch = /^(filter((?:\[[^\[\]]+\])+))$/i.exec(token.parameter);
+
+    if(!filterMatch || token.value === null) {
+      return null;
+    }
+
+    return {
+      parameter: filterMatch[1],
+      segments: filterMatch[2].slice(1, -1).split(']['),
+      value: token.value,
+      values: token.values
+    };
+  }
+
+  /**
+   * [Creates an empty group node. The groups map keeps track of nested groups while parsing and is removed afterwards.]
+   *
+   * @param {[string]} type [Required group type. Example: "or".]
+   * @return {[object]} group [Group node.]
+   *
+   **/
+  static createGroup (type) {
+    return {
+      type: type,
+      children: [],
+      groups: {}
+    };
+  }
+
+  /**
+   * [Removes the parse-time groups maps from a group node and its nested groups.]
+   *
+   * @param {[object]} group [Required group node.]
+   * @return {[object]} group [Group node containing only type and children.]
+   *
+   **/
+  static cleanGroup (group) {
+    return {
+      type: group.type,
+      children: group.children.map(function(child) {
+        return (child.type === 'condition' ? child : FilterParser.cleanGroup(child));
+      })
+    };
+  }
+
+  /**
+   * [Creates the error for an invalid filter.]
+   *
+   * @param {[string]} detail [Required problem description.]
+   * @param {[string]} parameter [Required full parameter name. Example: "filter[id][between]".]
+   * @return {[object]} error [JsonApiError instance.]
+   *
+   **/
+  static createError (detail, parameter) {
+    return new JsonApiError({
+      code: 'INVALID_FILTER',
+      title: 'Invalid filter',
+      detail: detail,
+      source: { parameter: parameter }
+    });
+  }
+
+  /**
+   * [Calls the callback for every condition node of the filter tree.]
+   *
+   * @param {[object]} filterTree [Required group node.]
+   * @param {[function]} callback [Required callback receiving each condition node.]
+   *
+   **/
+  static walkConditions (filterTree, callback) {
+    filterTree.children.forEach(function(child) {
+      if(child.type === 'condition') {
+        callback(child);
+      } else {
+        FilterParser.walkConditions(child, callback);
+      }
+    });
+  }
+
+}
+
+module.exports = FilterParser;
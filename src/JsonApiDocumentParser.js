@@ -0,0 +1,327 @@
+'use strict';
+
+const JsonApiError = require('./JsonApiError');
+const JsonApiErrorList = require('./JsonApiErrorList');
+const ResourceRegistry = require('./ResourceRegistry');
+
+/**
+ * [Defines the top-level members of a request document. Members of extensions contain a colon and are always allowed.]
+ **/
+let DOCUMENT_MEMBERS = Object.freeze(['data', 'included', 'meta', 'jsonapi', 'links']);
+
+/**
+ * [Defines the members of a resource object.]
+ **/
+let RESOURCE_MEMBERS = Object.freeze(['type', 'id', 'lid', 'attributes', 'relationships', 'meta', 'links']);
+
+/**
+ * [Defines the attribute and relationship names that would reach the object prototype of the normalized resource.]
+ **/
+let FORBIDDEN_MEMBERS = Object.freeze(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * [Defines the shape of the primary data each operation expects. "resource" is a resource object, "linkage" any relationship
+ * linkage (null, identifier or list) and "members" a list of resource identifiers.]
+ **/
+let OPERATION_DATA = Object.freeze({
+  createResource: 'resource',
+  updateResource: 'resource',
+  updateRelationship: 'linkage',
+  addRelationshipMembers: 'members',
+  removeRelationshipMembers: 'members'
+});
+
+
+class JsonApiDocumentParser {
+
+  /**
+   * [Creates a parser for JSON API request documents (bodies).]
+   *
+   * @param {[object]} registry [Optional ResourceRegistry. If it contains resources, attribute and relationship names are validated.]
+   *
+   **/
+  constructor (registry) {
+    this.registry = registry || new ResourceRegistry();
+    this.errors = [];
+  }
+
+  /**
+   * [Validates a request document against the operation of the parsed request and returns its normalized primary data.
+   * Resource operations return the resource object with its relationships reduced to their linkage, relationship operations
+   * return the linkage. Throws a JsonApiErrorList with all problems, type and id conflicts have status 409.]
+   *
+   * @param {[object]} document [Required parsed request body. Example: { data: { type: "article", attributes: { title: "A" } } }.]
+   * @param {[object]} requestData [Required parsed request information as returned by parseOperation.]
+   * @return {[object]} result [Normalized document. Example: { operation: "createResource", data: { type: "article", id: null, attributes: { title: "A" }, relationships: {} }, meta: {} }.]
+   *
+   **/
+  parse (document, requestData) {
+    let dataShape = OPERATION_DATA[requestData.operation];
+    let result = {
+      operation: requestData.operation,
+      data: null,
+      meta: {}
+    };
+
+    this.errors = [];
+
+    if(!JsonApiDocumentParser.isObject(document)) {
+      this.addError(400, 'INVALID_DOCUMENT', 'Invalid document', 'The request document must be a JSON object.', '');
+      throw new JsonApiErrorList(this.errors);
+    }
+
+    Object.keys(document).forEach(function(member) {
+      if(DOCUMENT_MEMBERS.indexOf(member) === -1 && member.indexOf(':') === -1) {
+        this.addError(400, 'UNKNOWN_MEMBER', 'Unknown member', 'The top-level member "' + member + '" is not allowed.', '/' + member);
+      }
+    }, this);
+
+    if(!Object.prototype.hasOwnProperty.call(document, 'data')) {
+      this.addError(400, 'MISSING_DATA', 'Missing primary data', 'The request document requires a "data" member.', '');
+    } else if(dataShape === 'resource') {
+      result.data = this.parseResource(document.data, requestData);
+    } else if(dataShape) {
+      result.data = this.parseLinkage(document.data, '/data', dataShape === 'members');
+    } else {
+      result.data = document.data;
+    }
+
+    if(document.meta !== undefined) {
+      if(JsonApiDocumentParser.isObject(document.meta)) {
+        result.meta = document.meta;
+      } else {
+        this.addError(400, 'INVALID_MEMBER', 'Invalid member', 'The "meta" member must be an object.', '/meta');
+      }
+    }
+
+    if(this.errors.length) {
+      throw new JsonApiErrorList(this.errors);
+    }
+
+    return result;
+  }
+
+  /**
+   * [Validates the resource object of a create or update operation. The type has to match the resource type of the endpoint,
+   * updates require the id of the endpoint.]
+   *
+   * @param {[object]} data [Required primary data of the document.]
+   * @param {[object]} requestData [Required parsed request information.]
+   * @return {[object]} resource [Normalized resource. Example: { type: "article", id: "5", attributes: {}, relationships: { author: { type: "user", id: "1" } } }.]
+   *
+   **/
+  parseResource (data, requestData) {
+    if(!JsonApiDocumentParser.isObject(data)) {
+      this.addError(400, 'INVALID_DATA', 'Invalid primary data', 'The primary data must be a single resource object.', '/data');
+      return null;
+    }
+
+    let resource = {
+      type: data.type,
+      id: (data.id === undefined ? null : data.id),
+      attributes: {},
+      relationships: {}
+    };
+    let definition = this.registry.get(requestData.resourceType);
+
+    Object.keys(data).forEach(function(member) {
+      if(RESOURCE_MEMBERS.indexOf(member) === -1 && member.indexOf(':') === -1) {
+        this.addError(400, 'UNKNOWN_MEMBER', 'Unknown member', 'The resource member "' + member + '" is not allowed.', '/data/' + JsonApiDocumentParser.escapePointer(member));
+      }
+    }, this);
+
+    if(typeof data.type !== 'string' || !data.type.length) {
+      this.addError(400, 'MISSING_TYPE', 'Missing type', 'The resource object requires a "type" member.', '/data/type');
+    } else if(data.type !== requestData.resourceType) {
+      this.addError(409, 'TYPE_MISMATCH', 'Type mismatch', 'The type "' + data.type + '" does not match the endpoint type "' + requestData.resourceType + '".', '/data/type');
+    }
+
+    if(data.id !== undefined && typeof data.id !== 'string') {
+      this.addError(400, 'INVALID_ID', 'Invalid id', 'The "id" member must be a string.', '/data/id');
+    } else if(requestData.operation === 'updateResource' && data.id === undefined) {
+      this.addError(400, 'MISSING_ID', 'Missing id', 'Updating a resource requires an "id" member.', '/data/id');
+    } else if(requestData.operation === 'updateResource' && data.id !== requestData.identifier) {
+      this.addError(409, 'ID_MISMATCH', 'Id mismatch', 'The id "' + data.id + '" does not match the endpoint id "' + requestData.identifier + '".', '/data/id');
+    }
+
+    if(data.lid !== undefined) {
+      resource.lid = data.lid;
+    }
+
+    if(data.attributes !== undefined) {
+      if(JsonApiDocumentParser.isObject(data.attributes)) {
+        Object.keys(data.attributes).forEach(function(name) {
+          if(this.isKnownMember(definition, 'attributes', name, '/data/attributes/' + JsonApiDocumentParser.escapePointer(name))) {
+            JsonApiDocumentParser.setMember(resource.attributes, name, data.attributes[name]);
+          }
+        }, this);
+      } else {
+        this.addError(400, 'INVALID_MEMBER', 'Invalid member', 'The "attributes" member must be an object.', '/data/attributes');
+      }
+    }
+
+    if(data.relationships !== undefined) {
+      if(JsonApiDocumentParser.isObject(data.relationships)) {
+        Object.keys(data.relationships).forEach(function(name) {
+          let pointer = '/data/relationships/' + JsonApiDocumentParser.escapePointer(name);
+          let relationship = data.relationships[name];
+
+          if(!this.isKnownMember(definition, 'relationships', name, pointer)) {
+            return;
+          }
+
+          if(!JsonApiDocumentParser.isObject(relationship) || !Object.prototype.hasOwnProperty.call(relationship, 'data')) {
+            this.addError(400, 'INVALID_RELATIONSHIP', 'Invalid relationship', 'The relationship "' + name + '" requires a "data" member.', pointer);
+            return;
+          }
+
+          JsonApiDocumentParser.setMember(resource.relationships, name, this.parseLinkage(relationship.data, pointer + '/data', false));
+        }, this);
+      } else {
+        this.addError(400, 'INVALID_MEMBER', 'Invalid member', 'The "relationships" member must be an object.', '/data/relationships');
+      }
+    }
+
+    return resource;
+  }
+
+  /**
+   * [Validates relationship linkage: null, a resource identifier or a list of resource identifiers.]
+   *
+   * @param {[mixed]} linkage [Required linkage. Example: [{ type: "tag", id: "1" }].]
+   * @param {[string]} pointer [Required JSON pointer of the linkage for error reporting. Example: "/data".]
+   * @param {[boolean]} isListRequired [Required flag to only allow a list of identifiers.]
+   * @return {[mixed]} linkage [Normalized linkage containing only type, id and lid of each identifier.]
+   *
+   **/
+  parseLinkage (linkage, pointer, isListRequired) {
+    if(Array.isArray(linkage)) {
+      return linkage.map(function(identifier, index) {
+        return this.parseIdentifier(identifier, pointer + '/' + index);
+      }, this);
+    }
+
+    if(isListRequired) {
+      this.addError(400, 'INVALID_LINKAGE', 'Invalid linkage', 'The linkage must be a list of resource identifiers.', pointer);
+      return [];
+    }
+
+    return (linkage === null ? null : this.parseIdentifier(linkage, pointer));
+  }
+
+  /**
+   * [Validates a resource identifier object. It requires a type and an id or lid.]
+   *
+   * @param {[object]} identifier [Required resource identifier. Example: { type: "user", id: "1" }.]
+   * @param {[string]} pointer [Required JSON pointer of the identifier for error reporting.]
+   * @return {[object]} identifier [Normalized identifier or null if it is invalid.]
+   *
+   **/
+  parseIdentifier (identifier, pointer) {
+    let isValid = JsonApiDocumentParser.isObject(identifier)
+                  && typeof identifier.type === 'string' && identifier.type.length > 0
+                  && (typeof identifier.id === 'string' || typeof identifier.lid === 'string');
+
+    if(!isValid) {
+      this.addError(400, 'INVALID_LINKAGE', 'Invalid linkage', 'A resource identifier requires a string "type" and "id" (or "lid").', pointer);
+      return null;
+    }
+
+    let normalized = { type: identifier.type };
+
+    ['id', 'lid'].forEach(function(member) {
+      if(identifier[member] !== undefined) {
+        normalized[member] = identifier[member];
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * [Checks an attribute or relationship name against the reserved names, the names reaching the object prototype and the
+   * registered resource definition.]
+   *
+   * @param {[object]} definition [Optional registered resource definition.]
+   * @param {[string]} kind [Required member kind. Example: "attributes".]
+   * @param {[string]} name [Required member name. Example: "title".]
+   * @param {[string]} pointer [Required JSON pointer of the member for error reporting.]
+   * @return {[boolean]} [True if the member is allowed.]
+   *
+   **/
+  isKnownMember (definition, kind, name, pointer) {
+    if(name === 'type' || name === 'id') {
+      this.addError(400, 'INVALID_MEMBER', 'Invalid member', 'The name "' + name + '" is reserved and can not be used as field.', pointer);
+      return false;
+    }
+
+    if(FORBIDDEN_MEMBERS.indexOf(name) !== -1) {
+      this.addError(400, 'FORBIDDEN_KEY', 'Forbidden key', 'The name "' + name + '" is not allowed as field.', pointer);
+      return false;
+    }
+
+    if(definition && !ResourceRegistry.getMember(definition[kind], name)) {
+      this.addError(400, 'UNKNOWN_FIELD', 'Unknown field', 'The resource type "' + definition.type + '" has no field "' + name + '".', pointer);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * [Collects a document error pointing at the invalid part of the document.]
+   *
+   * @param {[number]} status [Required HTTP status. Example: 409.]
+   * @param {[string]} code [Required error code. Example: "TYPE_MISMATCH".]
+   * @param {[string]} title [Required error title.]
+   * @param {[string]} detail [Required problem description.]
+   * @param {[string]} pointer [Required JSON pointer. Example: "/data/type".]
+   *
+   **/
+  addError (status, code, title, detail, pointer) {
+    this.errors.push(new JsonApiError({
+      status: status,
+      code: code,
+      title: title,
+      detail: detail,
+      source: { pointer: pointer }
+    }));
+  }
+
+  /**
+   * [Escapes a member name as JSON pointer token (RFC 6901), "~" becomes "~0" and "/" becomes "~1".]
+   *
+   * @param {[string]} name [Required member name. Example: "a/b".]
+   * @return {[string]} [The escaped token. Example: "a~1b".]
+   *
+   **/
+  static escapePointer (name) {
+    return name.replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * [Adds a member as own enumerable property, so no name can replace the prototype of the target.]
+   *
+   * @param {[object]} target [Required object receiving the member.]
+   * @param {[string]} name [Required member name. Example: "title".]
+   * @param {[mixed]} value [Required member value.]
+   *
+   **/
+  static setMember (target, name, value) {
+    Object.defineProperty(target, name, { value: value, enumerable: true, writable: true, configurable: true });
+  }
+
+  /**
+   * [Checks whether a value is a plain object (not null and no array).]
+   *
+   * @param {[mixed]} value [Required value.]
+   * @return {[boolean]} [True for objects.]
+   *
+   **/
+  static isObject (value) {
+    return (typeof value === 'object' && value !== null && !Array.isArray(value));
+  }
+
+}
+
+module.exports = JsonApiDocumentParser;
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * [Defines the error members that are part of a JSON API error object.]
+ **/
+const ERROR_MEMBERS = Object.freeze(['status', 'code', 'title', 'detail', 'source']);
+
+
+class JsonApiError extends Error {
+
+  /**
+   * [Creates an error carrying the JSON API error object members.]
+   *
+   * @param {[object]} members [Required error members. Example: { status: 400, code: "UNKNOWN_FIELD", title: "Unknown field", source: { parameter: "fields[article]" } }.]
+   *
+   **/
+  constructor (members) {
+    super(members.detail || members.title);
+
+    this.name = 'JsonApiError';
+    this.status = String(members.status || 400);
+    this.code = members.code;
+    this.title = members.title;
+    this.detail = members.detail;
+    this.source = members.source;
+  }
+
+  /**
+   * [Converts the error into a plain JSON API error object, leaving out undefined members.]
+   *
+   * @return {[object]} errorObject [JSON API error object. Example: { status: "400", title: "Unknown field", source: { parameter: "sort" } }.]
+   *
+   **/
+  toJSON () {
+    let errorObject = {};
+
+    ERROR_MEMBERS.forEach(function(member) {
+      if(this[member] !== undefined) {
+        errorObject[member] = this[member];
+      }
+    }, this);
+
+    return errorObject;
+  }
+
+}
+
+module.exports = JsonApiError;
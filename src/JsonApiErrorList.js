@@ -0,0 +1,73 @@
+'use strict';
+
+
+class JsonApiErrorList extends Error {
+
+  /**
+   * [Creates a collection of JSON API errors that can be thrown at once.]
+   *
+   * @param {[array]} errors [Required list of JsonApiError instances.]
+   *
+   **/
+  constructor (errors) {
+    super(errors.map(function(error) {
+      return error.message;
+    }).join('; '));
+
+    this.name = 'JsonApiErrorList';
+    this.errors = errors;
+    this.status = JsonApiErrorList.getResponseStatus(errors);
+  }
+
+  /**
+   * [Converts the collection into a JSON API document that can be used as response body.]
+   *
+   * @return {[object]} document [JSON API error document. Example: { errors: [{ status: "400", title: "Unknown field" }] }.]
+   *
+   **/
+  toJSON () {
+    return {
+      errors: this.errors.map(function(error) {
+        return error.toJSON();
+      })
+    };
+  }
+
+  /**
+   * [Wraps a single error into a collection, returns collections unmodified.]
+   *
+   * @param {[object]} error [Required JsonApiError or JsonApiErrorList instance.]
+   * @return {[object]} errorList [JsonApiErrorList instance.]
+   *
+   **/
+  static from (error) {
+    return (error instanceof JsonApiErrorList ? error : new JsonApiErrorList([error]));
+  }
+
+  /**
+   * [Picks the most generally applicable HTTP status for the given errors. Equal statuses are kept, mixed 4xx statuses
+   * become 400 and anything else 500.]
+   *
+   * @param {[array]} errors [Required list of JsonApiError instances.]
+   * @return {[number]} status [HTTP status code for the response.]
+   *
+   **/
+  static getResponseStatus (errors) {
+    let statuses = errors.map(function(error) {
+      return parseInt(error.status, 10);
+    });
+
+    if(!statuses.length) {
+      return 400;
+    }
+
+    if(statuses.every(function(status) { return status === statuses[0]; })) {
+      return statuses[0];
+    }
+
+    return (statuses.every(function(status) { return status >= 400 && status < 500; }) ? 400 : 500);
+  }
+
+}
+
+module.exports = JsonApiErrorList;
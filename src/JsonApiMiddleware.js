@@ -0,0 +1,152 @@
+'use strict';
+
+const JsonApiErrorList = require('./JsonApiErrorList');
+const JsonApiError = require('./JsonApiError');
+
+/**
+ * [Defines the media type of JSON API error responses.]
+ **/
+let MEDIA_TYPE = 'application/vnd.api+json';
+
+
+class JsonApiMiddleware {
+
+  /**
+   * [Creates an Express (or Connect) middleware that parses req.originalUrl relative to the mount path and stores the
+   * requestData on the request. Parser errors are answered with a JSON API error response, other errors are passed on.
+   *
+   * Options:
+   *   property: Request property receiving the requestData. Default: "jsonapi".
+   *   mountPath: Path prefix to remove before parsing. Default: null, req.baseUrl of the router is used.
+   *   handleErrors: Respond to parser errors. Default: true, set to false to pass them to next as JsonApiErrorList.]
+   *
+   * @param {[object]} parser [Required JsonApiQueryParser instance.]
+   * @param {[object]} options [Optional middleware settings.]
+   * @return {[function]} middleware [Middleware function(req, res, next).]
+   *
+   **/
+  static express (parser, options) {
+    let settings = JsonApiMiddleware.createSettings(options);
+
+    return function(req, res, next) {
+      let mountPath = (settings.mountPath === null ? req.baseUrl : settings.mountPath);
+      let requestData;
+
+      try {
+        requestData = parser.parseRequest(JsonApiMiddleware.stripMountPath(req.originalUrl || req.url, mountPath));
+      } catch(error) {
+        if(!JsonApiMiddleware.isParserError(error)) {
+          next(error);
+          return;
+        }
+
+        let errorList = JsonApiErrorList.from(error);
+
+        if(!settings.handleErrors) {
+          next(errorList);
+          return;
+        }
+
+        res.statusCode = errorList.status;
+        res.setHeader('Content-Type', MEDIA_TYPE);
+        res.end(JSON.stringify(errorList));
+        return;
+      }
+
+      req[settings.property] = requestData;
+      next();
+    };
+  }
+
+  /**
+   * [Creates a Koa middleware that parses ctx.originalUrl relative to the mount path and stores the requestData in ctx.state.
+   * Parser errors are answered with a JSON API error response, other errors are thrown.
+   *
+   * Options:
+   *   property: State property receiving the requestData. Default: "jsonapi".
+   *   mountPath: Path prefix to remove before parsing. Default: null, ctx.mountPath (koa-mount) is used.
+   *   handleErrors: Respond to parser errors. Default: true, set to false to throw them as JsonApiErrorList.]
+   *
+   * @param {[object]} parser [Required JsonApiQueryParser instance.]
+   * @param {[object]} options [Optional middleware settings.]
+   * @return {[function]} middleware [Middleware function(ctx, next).]
+   *
+   **/
+  static koa (parser, options) {
+    let settings = JsonApiMiddleware.createSettings(options);
+
+    return function(ctx, next) {
+      let mountPath = (settings.mountPath === null ? ctx.mountPath : settings.mountPath);
+
+      try {
+        ctx.state[settings.property] = parser.parseRequest(JsonApiMiddleware.stripMountPath(ctx.originalUrl || ctx.url, mountPath));
+      } catch(error) {
+        if(!JsonApiMiddleware.isParserError(error)) {
+          throw error;
+        }
+
+        let errorList = JsonApiErrorList.from(error);
+
+        if(!settings.handleErrors) {
+          throw errorList;
+        }
+
+        ctx.status = errorList.status;
+        ctx.type = MEDIA_TYPE;
+        ctx.body = errorList.toJSON();
+        return Promise.resolve();
+      }
+
+      return next();
+    };
+  }
+
+  /**
+   * [Applies the default middleware settings.]
+   *
+   * @param {[object]} options [Optional middleware settings.]
+   * @return {[object]} settings [The complete settings.]
+   *
+   **/
+  static createSettings (options) {
+    return Object.assign({
+      property: 'jsonapi',
+      mountPath: null,
+      handleErrors: true
+    }, options);
+  }
+
+  /**
+   * [Removes the mount path from the start of the url. The url is left unchanged if it is not below the mount path.]
+   *
+   * @param {[string]} url [Required request url. Example: "/api/article?include=author".]
+   * @param {[string]} mountPath [Optional mount path. Example: "/api".]
+   * @return {[string]} url [The url relative to the mount path. Example: "/article?include=author".]
+   *
+   **/
+  static stripMountPath (url, mountPath) {
+    let prefix = (mountPath || '').replace(/\/+$/, '');
+
+    if(!prefix.length || url.indexOf(prefix) !== 0 || ['', '/', '?'].indexOf(url.charAt(prefix.length)) === -1) {
+      return url;
+    }
+
+    let relativeUrl = url.slice(prefix.length);
+
+    return (relativeUrl.charAt(0) === '/' ? relativeUrl : '/' + relativeUrl);
+  }
+
+  /**
+   * [Checks whether an error was reported by the parser.]
+   *
+   * @param {[object]} error [Required thrown error.]
+   * @return {[boolean]} [True for JsonApiError and JsonApiErrorList instances.]
+   *
+   **/
+  static isParserError (error) {
+    return (error instanceof JsonApiErrorList || error instanceof JsonApiError);
+  }
+
+}
+
+module.exports = JsonApiMiddleware;
@@ -1,89 +1,1277 @@
 'use strict';
 
+const JsonApiError = require('./JsonApiError');
+const JsonApiErrorList = require('./JsonApiErrorList');
+const ResourceRegistry = require('./ResourceRegistry');
+const RouteTable = require('./RouteTable');
+const ParameterRegistry = require('./ParameterRegistry');
+const JsonApiUrlBuilder = require('./JsonApiUrlBuilder');
+const FilterParser = require('./FilterParser');
+const JsonApiMiddleware = require('./JsonApiMiddleware');
+const JsonApiDocumentParser = require('./JsonApiDocumentParser');
+const ContentNegotiator = require('./ContentNegotiator');
+const TypeCoercer = require('./TypeCoercer');
+const QueryTokenizer = require('./QueryTokenizer');
+const LruCache = require('./LruCache');
+const OpenApiBuilder = require('./OpenApiBuilder');
+const KnexAdapter = require('./adapters/KnexAdapter');
+const MongoAdapter = require('./adapters/MongoAdapter');
+const MemoryAdapter = require('./adapters/MemoryAdapter');
+const PaginationStrategy = require('./pagination/PaginationStrategy');
+const OffsetPagination = require('./pagination/OffsetPagination');
+const NumberPagination = require('./pagination/NumberPagination');
+const CursorPagination = require('./pagination/CursorPagination');
+
 /**
- * [Defines the available parse function names and their matching patterns.]
+ * [Defines the available parse function names and the decoded parameter names they match.]
  **/
 let PARSE_PARAM = Object.freeze({
-  parseInclude: /^include\=(.*?)/i,
-  parseFields: /^fields\[(.*?)\]\=.*?$/i,
-  parsePage: /^page\[(.*?)\]\=.*?$/i,
-  parseSort: /^sort\=(.*?)/i,
-  parseFilter: /^filter\[([^\]]*?)\]\=.*?$/i,
-  parseFilterType: /^filter\[(.*?)\]\[(.*?)\]\=(.*?)$/i
+  parseInclude: /^include$/i,
+  parseFields: /^fields\[(.*?)\]$/i,
+  parsePage: /^page\[(.*?)\]$/i,
+  parseSort: /^sort$/i,
+  parseFilter: /^filter\[([^\]]*?)\]$/i,
+  parseFilterType: /^filter\[([^\]]*?)\]\[([^\]]*?)\]$/i
+});
+
+/**
+ * [Defines the parse functions of each query parameter family. Each parse function matches the full parameter name itself,
+ * so every query string piece is matched once by the functions of its own family only.]
+ **/
+let FAMILY_PARSERS = Object.freeze({
+  include: ['parseInclude'],
+  fields: ['parseFields'],
+  page: ['parsePage'],
+  sort: ['parseSort'],
+  filter: ['parseFilter', 'parseFilterType']
+});
+
+/**
+ * [Defines the filter types that get their own object in requestData.queryData.filter (filter[type][column]=value).]
+ **/
+let FILTER_TYPES = Object.freeze(['like', 'not', 'lt', 'lte', 'gt', 'gte']);
+
+/**
+ * [Defines the query parameter families of the JSON API spec with their minimum and maximum amount of brackets.]
+ **/
+let PARAM_FAMILIES = Object.freeze({
+  include: [0, 0],
+  fields: [1, 1],
+  page: [1, 1],
+  sort: [0, 0],
+  filter: [1, Infinity]
+});
+
+/**
+ * [Defines the bracket keys that are rejected in the fields, page and filter parameters because they would reach the object prototype.]
+ **/
+let FORBIDDEN_KEYS = Object.freeze(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * [Defines the pattern finding parameter names that may contain a forbidden key, so most names are checked with a single test.]
+ **/
+let FORBIDDEN_KEY_PATTERN = new RegExp(FORBIDDEN_KEYS.join('|'));
+
+/**
+ * [Defines the pattern of filter parameter names, which are split into their bracket keys once for both filter objects.]
+ **/
+let FILTER_PARAM = /^filter\[/i;
+
+/**
+ * [Defines the operations of each endpoint shape by request method.]
+ **/
+let OPERATIONS = Object.freeze({
+  collection: { GET: 'fetchCollection', POST: 'createResource' },
+  resource: { GET: 'fetchResource', PATCH: 'updateResource', DELETE: 'deleteResource' },
+  related: { GET: 'fetchRelated' },
+  relationship: { GET: 'fetchRelationship', PATCH: 'updateRelationship', POST: 'addRelationshipMembers', DELETE: 'removeRelationshipMembers' }
+});
+
+/**
+ * [Defines the query parameter families allowed for each operation. Operations of custom routes that are not listed allow all of them.]
+ **/
+let OPERATION_PARAMS = Object.freeze({
+  fetchCollection: ['include', 'fields', 'sort', 'page', 'filter'],
+  fetchResource: ['include', 'fields'],
+  fetchRelated: ['include', 'fields', 'sort', 'page', 'filter'],
+  fetchRelationship: ['include', 'fields', 'sort', 'page', 'filter'],
+  createResource: ['include', 'fields'],
+  updateResource: ['include', 'fields'],
+  deleteResource: [],
+  updateRelationship: [],
+  addRelationshipMembers: [],
+  removeRelationshipMembers: []
 });
 
 
-class JsonApiQueryParser {
+class JsonApiQueryParser {
+
+  /**
+   * [Creates a parser instance with the given options.]
+   *
+   * @param {[object]} options [Optional parser settings. Example: { maxIncludeDepth: 3, collectErrors: true, validationMode: "strict", defaultSort: "-created", defaultPageSize: 20, basePath: "/api/:version", maxQueryLength: 2048 }.]
+   *
+   **/
+  constructor (options) {
+    this.options = Object.assign({
+      maxIncludeDepth: null,
+      maxIncludeCount: null,
+      maxQueryLength: null,
+      maxParameters: null,
+      maxFieldsetSize: null,
+      maxFilterClauses: null,
+      collectErrors: false,
+      validationMode: null,
+      defaultSort: null,
+      defaultPagination: null,
+      defaultPageSize: null,
+      maxPageSize: null,
+      basePath: null,
+      extensions: [],
+      profiles: [],
+      coerceValues: false,
+      queryCacheSize: 0
+    }, options);
+    this.resources = new ResourceRegistry();
+    this.routes = new RouteTable();
+    this.parameters = new ParameterRegistry();
+    this.documentParser = new JsonApiDocumentParser(this.resources);
+    this.contentNegotiator = new ContentNegotiator({ extensions: this.options.extensions, profiles: this.options.profiles });
+    this.paginationStrategies = [new OffsetPagination(), new NumberPagination(), new CursorPagination()];
+    this.filterParser = new FilterParser();
+    this.filterTypes = FILTER_TYPES.slice();
+    this.errors = [];
+    this.warnings = [];
+    this.filterStrings = [];
+    this.queryParameters = [];
+    this.queryCache = (this.options.queryCacheSize ? new LruCache(this.options.queryCacheSize) : null);
+  }
+
+  /**
+   * [Removes all cached queryData. Registering pagination strategies or filter operators clears the cache automatically.]
+   *
+   * @return {[object]} this [The parser instance to allow chaining.]
+   *
+   **/
+  clearQueryCache () {
+    if(this.queryCache) {
+      this.queryCache.clear();
+    }
+
+    return this;
+  }
+
+  /**
+   * [Registers a pagination strategy. A strategy with the same name replaces the existing one.]
+   *
+   * @param {[object]} strategy [Required instance of a PaginationStrategy subclass.]
+   * @return {[object]} this [The parser instance to allow chaining.]
+   *
+   **/
+  registerPaginationStrategy (strategy) {
+    let existingIndex = this.paginationStrategies.findIndex(function(paginationStrategy) {
+      return paginationStrategy.name === strategy.name;
+    });
+
+    if(existingIndex === -1) {
+      this.paginationStrategies.push(strategy);
+    } else {
+      this.paginationStrategies[existingIndex] = strategy;
+    }
+
+    this.clearQueryCache();
+
+    return this;
+  }
+
+  /**
+   * [Registers a custom filter operator. It can be used in the filter tree and gets its own filter type object.]
+   *
+   * @param {[object]} definition [Required operator definition. Example: { name: "ilike", arity: 1, validate: function(value) { return value.length > 2; } }.]
+   * @return {[object]} this [The parser instance to allow chaining.]
+   *
+   **/
+  registerFilterOperator (definition) {
+    this.filterParser.registerOperator(definition);
+
+    if(this.filterTypes.indexOf(definition.name) === -1) {
+      this.filterTypes.push(definition.name);
+    }
+
+    this.clearQueryCache();
+
+    return this;
+  }
+
+  /**
+   * [Disables a filter operator, filters using it are rejected. Also removes its filter type object.]
+   *
+   * @param {[string]} name [Required operator name. Example: "like".]
+   * @return {[object]} this [The parser instance to allow chaining.]
+   *
+   **/
+  disableFilterOperator (name) {
+    this.filterParser.disableOperator(name);
+    this.filterTypes = this.filterTypes.filter(function(filterType) {
+      return filterType !== name;
+    });
+
+    this.clearQueryCache();
+
+    return this;
+  }
+
+  /**
+   * [Reports a problem found while parsing. Throws a JsonApiErrorList right away, unless the collectErrors option is set.
+   * In that case all problems are thrown together at the end of parseRequest.]
+   *
+   * @param {[object]} error [Required JsonApiError instance.]
+   *
+   **/
+  reportError (error) {
+    if(!this.options.collectErrors) {
+      throw new JsonApiErrorList([error]);
+    }
+
+    this.errors.push(error);
+  }
+
+  /**
+   * [Reports a problem with the query string depending on the validationMode option. "strict" reports it as error,
+   * "lenient" adds it to the warnings of the requestData object. Without a validationMode the problem is ignored.]
+   *
+   * @param {[object]} error [Required JsonApiError instance.]
+   *
+   **/
+  reportQueryProblem (error) {
+    if(this.options.validationMode === 'strict') {
+      this.reportError(error);
+    } else if(this.options.validationMode === 'lenient') {
+      this.warnings.push(error);
+    }
+  }
+
+  /**
+   * [Registers a resource definition. Once any resource is registered, parsed requests are validated against them.]
+   *
+   * @param {[object]} definition [Required resource definition. Example: { type: "article", attributes: ["title", "body"], relationships: { author: "user" } }.]
+   * @return {[object]} this [The parser instance to allow chaining.]
+   *
+   **/
+  registerResource (definition) {
+    this.resources.register(definition);
+
+    return this;
+  }
+
+  /**
+   * [Registers a custom query parameter family like "search", "meta[count]" or "ext[atomic]". Registered parameters are matched
+   * before the JSON API parameters, their parsed value is kept in its own queryData member named after the parameter. See
+   * ParameterRegistry.register for the definition settings.]
+   *
+   * @param {[object]} definition [Required parameter definition. Example: { name: "search", parse: function(token) { return token.value; } }.]
+   * @return {[object]} this [The parser instance to allow chaining.]
+   *
+   **/
+  registerParameter (definition) {
+    this.parameters.register(definition);
+    this.clearQueryCache();
+
+    return this;
+  }
+
+  /**
+   * [Registers a route template for endpoints beyond the default JSON API shapes. Registered routes are matched in registration
+   * order before the default routes (":type", ":type/:id", ":type/:id/relationships/:relationship" and ":type/:id/:relationship").]
+   *
+   * @param {[string]} template [Required route template. Example: "article/:id/publish" or "article/:articleId-:version".]
+   * @param {[object]} options [Optional route settings. Example: { name: "publishArticle", resourceType: "article", relationships: false }.]
+   * @return {[object]} this [The parser instance to allow chaining.]
+   *
+   **/
+  registerRoute (template, options) {
+    this.routes.register(template, options);
+
+    return this;
+  }
+
+  /**
+   * [Defines the requestData object to modify via given queryString. NOTE: filter query is not implemented due to lack of specs.
+   * Only the url is parsed, use parseOperation to classify the operation and negotiate the request headers.]
+   *
+   * @param {[string]} url [Required url containing the endpoint path and query string.]
+   * @return {[object]} requestData [Parsed request information as object.]
+   *
+   **/
+  parseRequest (url) {
+    this.errors = [];
+    this.warnings = [];
+    this.filterStrings = [];
+    this.queryParameters = [];
+
+    let requestData = {
+      resourceType: null,
+      identifier: null,
+      relationships: false,
+      relationshipType: null,
+      route: null,
+      warnings: [],
+      queryData: {
+        include: [],
+        includeTree: {},
+        fields: {},
+        sort: [],
+        sorting: [],
+        page: {},
+        pagination: null,
+        filter: this.createFilterTypes(),
+        filterTree: {
+          type: 'and',
+          children: []
+        }
+      }
+    };
+
+    this.parameters.parameters.forEach(function(parameter) {
+      requestData.queryData[parameter.name] = JsonApiQueryParser.cloneData(parameter.defaultValue);
+    });
+
+    let queryIndex = url.indexOf('?');
+    let queryString = (queryIndex === -1 ? '' : url.slice(queryIndex + 1));
+    requestData = this.parseEndpoint(queryIndex === -1 ? url : url.slice(0, queryIndex), requestData);
+    requestData.queryData = this.parseQueryData(queryString, requestData.queryData);
+
+    if(!this.resources.isEmpty() && requestData.route) {
+      this.validateRequest(requestData);
+    }
+
+    if(this.options.coerceValues) {
+      this.coerceRequest(requestData);
+    }
+
+    if(this.errors.length) {
+      throw new JsonApiErrorList(this.errors);
+    }
+
+    requestData.warnings = this.warnings;
+
+    return requestData;
+  }
+
+  /**
+   * [Parses the query string into the complete queryData object: the query parameters, include tree, filter tree, sorting and
+   * pagination. With the queryCacheSize option the result of each query string without errors or warnings is cached together
+   * with its parameter names, so repeated query strings only cost a copy of the cached queryData. queryData holding values
+   * cloneData can not copy (e.g. a Map returned by a custom parameter) is not cached, so no request shares them.]
+   *
+   * @param {[string]} queryString [Required query string without leading question mark, may be empty. Example: "include=author&sort=-created".]
+   * @param {[object]} requestDataSubset [Required reference to the initial requestData.queryData object.]
+   * @return {[object]} requestDataSubset [The parsed queryData.]
+   *
+   **/
+  parseQueryData (queryString, requestDataSubset) {
+    let cachedQuery = (this.queryCache ? this.queryCache.get(queryString) : undefined);
+    let problemCount = this.errors.length + this.warnings.length;
+
+    if(cachedQuery) {
+      this.queryParameters = cachedQuery.queryParameters;
+
+      return JsonApiQueryParser.cloneData(cachedQuery.queryData);
+    }
+
+    if(queryString && this.options.maxQueryLength && queryString.length > this.options.maxQueryLength) {
+      this.reportError(new JsonApiError({
+        status: 414,
+        code: 'QUERY_LENGTH_EXCEEDED',
+        title: 'Query string too long',
+        detail: 'The query string exceeds the maximum length of ' + this.options.maxQueryLength + ' characters.'
+      }));
+    } else if(queryString) {
+      requestDataSubset = this.parseQueryParameters(queryString, requestDataSubset);
+      this.enforceLimits(requestDataSubset);
+    }
+
+    try {
+      requestDataSubset.includeTree = JsonApiQueryParser.buildIncludeTree(requestDataSubset.include, this.options.maxIncludeDepth);
+    } catch(error) {
+      this.reportError(error);
+    }
+
+    if(!requestDataSubset.sort.length && this.options.defaultSort) {
+      requestDataSubset = JsonApiQueryParser.parseSort('sort=' + [].concat(this.options.defaultSort).join(','), requestDataSubset);
+    }
+
+    requestDataSubset.filterTree = this.filterParser.parse(this.filterStrings, this.reportError.bind(this));
+    FilterParser.walkConditions(requestDataSubset.filterTree, function(condition) {
+      this.isWithinMaxDepth(condition.path, 'filter', condition.parameter);
+    }.bind(this));
+    requestDataSubset.sorting = this.parseSorting(requestDataSubset.sort);
+    requestDataSubset.pagination = this.parsePagination(requestDataSubset.page);
+
+    if(this.queryCache && this.errors.length + this.warnings.length === problemCount && JsonApiQueryParser.isCloneable(requestDataSubset)) {
+      this.queryCache.set(queryString, {
+        queryData: JsonApiQueryParser.cloneData(requestDataSubset),
+        queryParameters: this.queryParameters
+      });
+    }
+
+    return requestDataSubset;
+  }
+
+  /**
+   * [Returns a deep copy of parsed request data. Plain objects (also without prototype), lists and dates are copied, any other
+   * value is kept as it is.]
+   *
+   * @param {[mixed]} value [Required value to copy. Example: { sort: ["-created"] }.]
+   * @return {[mixed]} copy [The copied value.]
+   *
+   **/
+  static cloneData (value) {
+    if(Array.isArray(value)) {
+      return value.map(JsonApiQueryParser.cloneData);
+    }
+
+    if(value instanceof Date) {
+      return new Date(value.getTime());
+    }
+
+    let prototype = (typeof value === 'object' && value !== null ? Object.getPrototypeOf(value) : undefined);
+
+    if(prototype !== Object.prototype && prototype !== null) {
+      return value;
+    }
+
+    let copy = (prototype === null ? Object.create(null) : {});
+
+    Object.keys(value).forEach(function(key) {
+      copy[key] = JsonApiQueryParser.cloneData(value[key]);
+    });
+
+    return copy;
+  }
+
+  /**
+   * [Checks if cloneData copies a value completely, i.e. it only consists of plain objects (also without prototype), lists, dates
+   * and primitive values.]
+   *
+   * @param {[mixed]} value [Required value to check. Example: { sort: ["-created"], search: new Map() }.]
+   * @return {[boolean]} [True if no part of the value would be shared by its copies.]
+   *
+   **/
+  static isCloneable (value) {
+    if(Array.isArray(value)) {
+      return value.every(JsonApiQueryParser.isCloneable);
+    }
+
+    if(value instanceof Date || value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+      return true;
+    }
+
+    let prototype = Object.getPrototypeOf(value);
+
+    if(typeof value === 'function' || (prototype !== Object.prototype && prototype !== null)) {
+      return false;
+    }
+
+    return Object.keys(value).every(function(key) {
+      return JsonApiQueryParser.isCloneable(value[key]);
+    });
+  }
+
+  /**
+   * [Parses the request like parseRequest and classifies its operation by request method and endpoint shape. HEAD requests
+   * are treated as GET. Throws a JsonApiErrorList with status 405 if the method is not allowed for the endpoint and with
+   * status 400 for JSON API query parameters the operation does not allow (e.g. sort on a POST or any on a DELETE).
+   * Custom routes can define their operations with the operations route option. The query parameters are checked by the names
+   * parseRequest already decoded, so the query string is only tokenized once. If headers are given, the Content-Type and
+   * Accept headers are negotiated as well and the result is added as negotiation.]
+   *
+   * @param {[string]} method [Required HTTP request method. Example: "PATCH".]
+   * @param {[string]} url [Required url containing the endpoint path and query string.]
+   * @param {[object]} headers [Optional request headers. Example: { "content-type": "application/vnd.api+json" }.]
+   * @return {[object]} requestData [Parsed request information with method and operation. Example: { method: "PATCH", operation: "updateResource", ... }.]
+   *
+   **/
+  parseOperation (method, url, headers) {
+    let requestData = this.parseRequest(url);
+    let requestMethod = String(method).toUpperCase();
+    let endpointShape = JsonApiQueryParser.getEndpointShape(requestData);
+    let operations = (requestData.route && this.routes.getOperations(requestData.route.name)) || OPERATIONS[endpointShape];
+    let operation = operations[requestMethod === 'HEAD' ? 'GET' : requestMethod];
+
+    this.errors = [];
+    requestData.method = requestMethod;
+    requestData.operation = operation || null;
+
+    if(!operation) {
+      this.reportError(new JsonApiError({
+        status: 405,
+        code: 'METHOD_NOT_ALLOWED',
+        title: 'Method not allowed',
+        detail: 'The method "' + requestMethod + '" is not allowed for the ' + endpointShape + ' endpoint. Allowed methods: ' + Object.keys(operations).join(', ') + '.'
+      }));
+    } else if(Object.prototype.hasOwnProperty.call(OPERATION_PARAMS, operation)) {
+      this.queryParameters.forEach(function(parameter, index, parameters) {
+        let family = parameter.split('[')[0];
+
+        if(parameters.indexOf(parameter) === index && Object.prototype.hasOwnProperty.call(PARAM_FAMILIES, family) && OPERATION_PARAMS[operation].indexOf(family) === -1) {
+          this.reportError(new JsonApiError({
+            code: 'PARAMETER_NOT_ALLOWED',
+            title: 'Query parameter not allowed',
+            detail: 'The query parameter "' + parameter + '" is not allowed for the ' + operation + ' operation.',
+            source: { parameter: parameter }
+          }));
+        }
+      }, this);
+    }
+
+    if(headers) {
+      try {
+        requestData.negotiation = this.contentNegotiator.negotiate(headers);
+      } catch(errorList) {
+        errorList.errors.forEach(this.reportError, this);
+      }
+    }
+
+    if(this.errors.length) {
+      throw new JsonApiErrorList(this.errors);
+    }
+
+    return requestData;
+  }
+
+  /**
+   * [Validates a request document (body) against the operation of a request parsed by parseOperation and returns its normalized
+   * primary data. Attribute and relationship names are validated against the registered resources.]
+   *
+   * @param {[object]} document [Required parsed request body. Example: { data: { type: "article", id: "5", attributes: { title: "A" } } }.]
+   * @param {[object]} requestData [Required parsed request information as returned by parseOperation.]
+   * @return {[object]} result [Normalized document. Example: { operation: "updateResource", data: { type: "article", id: "5", attributes: { title: "A" }, relationships: {} }, meta: {} }.]
+   *
+   **/
+  parseDocument (document, requestData) {
+    return this.documentParser.parse(document, requestData);
+  }
+
+  /**
+   * [Creates the initial filter object with an empty object per filter type.]
+   *
+   * @return {[object]} filter [Filter object. Example: { like: {}, not: {}, lt: {}, lte: {}, gt: {}, gte: {} }.]
+   *
+   **/
+  createFilterTypes () {
+    let filter = {};
+
+    this.filterTypes.forEach(function(filterType) {
+      filter[filterType] = {};
+    });
+
+    return filter;
+  }
+
+  /**
+   * [Builds the canonical url of a parsed request, the inverse of parseRequest. Can also be used as cache key.]
+   *
+   * @param {[object]} requestData [Required parsed request information as returned by parseRequest.]
+   * @return {[string]} url [Endpoint path with percent-encoded query string. Example: "/article/5?include=author&sort=-created".]
+   *
+   **/
+  buildUrl (requestData) {
+    return JsonApiUrlBuilder.buildUrl(requestData, this.parameters.parameters);
+  }
+
+  /**
+   * [Builds the top-level pagination links of a collection response. The links keep all query parameters of the request
+   * and only replace the page parameters, unavailable links are null.]
+   *
+   * @param {[object]} requestData [Required parsed request information as returned by parseRequest.]
+   * @param {[object]} meta [Optional collection information for the pagination strategy. Example: { total: 120 } or { nextCursor: "abc" }.]
+   * @return {[object]} links [Pagination links. Example: { self: "/article?page[offset]=10", first: "/article?page[offset]=0", prev: null, ... }.]
+   *
+   **/
+  buildPaginationLinks (requestData, meta) {
+    let pagination = requestData.queryData.pagination;
+    let links = {
+      self: this.buildUrl(requestData)
+    };
+
+    if(!pagination) {
+      return links;
+    }
+
+    let strategy = this.paginationStrategies.find(function(paginationStrategy) {
+      return paginationStrategy.name === pagination.strategy;
+    });
+
+    if(!strategy) {
+      throw new ReferenceError('Unknown pagination strategy "' + pagination.strategy + '"', 'JsonApiQueryParser.js');
+    }
+
+    let pages = strategy.buildLinks(pagination, meta || {});
+
+    ['first', 'prev', 'next', 'last'].forEach(function(linkName) {
+      if(!pages[linkName]) {
+        links[linkName] = null;
+        return;
+      }
+
+      let linkData = Object.assign({}, requestData, {
+        queryData: Object.assign({}, requestData.queryData, { page: pages[linkName] })
+      });
+
+      links[linkName] = this.buildUrl(linkData);
+    }, this);
+
+    return links;
+  }
+
+  /**
+   * [Builds the OpenAPI 3 query parameter objects of an endpoint from the registered resources, so documentation and
+   * validation share the same configuration. Only the parameter families the operation allows are documented, related and
+   * relationship endpoints are documented for the related resource. Relationship paths are listed up to maxIncludeDepth,
+   * without it the paths up to depth 2 are examples of an open list. Custom operations of a route allow every parameter family, as parseOperation does not restrict them.
+   * Custom parameters registered with an openApi setting are appended.]
+   *
+   * @param {[string]} shape [Required endpoint shape, one of "collection", "resource", "related" or "relationship".]
+   * @param {[string]} resourceType [Required registered resource type. Example: "article".]
+   * @param {[string]} relationshipType [Optional relationship name, required for related and relationship endpoints. Example: "author".]
+   * @param {[string]} method [Optional HTTP request method. Default: "GET".]
+   * @param {[object]} operations [Optional operations by request method of a custom route. Default: the operations of the endpoint shape. Example: { POST: "publishArticle" }.]
+   * @return {[array]} parameters [List of OpenAPI parameter objects. Example: [{ name: "include", in: "query", style: "form", explode: false, schema: { ... } }].]
+   *
+   **/
+  buildOpenApiParameters (shape, resourceType, relationshipType, method, operations) {
+    let requestMethod = String(method || 'GET').toUpperCase();
+    let resource = this.resources.get(resourceType);
+
+    if(!Object.prototype.hasOwnProperty.call(OPERATIONS, shape)) {
+      throw new TypeError('Unknown endpoint shape "' + shape + '"', 'JsonApiQueryParser.js');
+    }
+
+    if(!resource) {
+      throw new TypeError('Unknown resource type "' + resourceType + '"', 'JsonApiQueryParser.js');
+    }
+
+    if(shape === 'related' || shape === 'relationship') {
+      let relationship = ResourceRegistry.getMember(resource.relationships, relationshipType);
+      resource = (relationship ? this.resources.get(relationship.type) : null);
+
+      if(!resource) {
+        throw new TypeError('Unknown relationship "' + relationshipType + '" of "' + resourceType + '"', 'JsonApiQueryParser.js');
+      }
+    }
+
+    let operation = (operations || OPERATIONS[shape])[requestMethod === 'HEAD' ? 'GET' : requestMethod];
+    let families = (Object.prototype.hasOwnProperty.call(OPERATION_PARAMS, operation) ? OPERATION_PARAMS[operation] : Object.keys(PARAM_FAMILIES));
+
+    if(!operation) {
+      throw new TypeError('The method "' + requestMethod + '" is not allowed for the ' + shape + ' endpoint', 'JsonApiQueryParser.js');
+    }
+
+    let parameters = OpenApiBuilder.buildParameters(this.resources, resource.type, families, {
+      maxDepth: this.options.maxIncludeDepth || null,
+      paginationStrategies: this.paginationStrategies,
+      filterOperators: this.filterParser.operators
+    });
+
+    this.parameters.parameters.forEach(function(parameter) {
+      if(parameter.openApi) {
+        parameters.push(Object.assign({ name: parameter.name, in: 'query', required: false }, parameter.openApi));
+      }
+    });
+
+    return parameters;
+  }
+
+  /**
+   * [Builds the OpenAPI 3 paths object of the default endpoint shapes of all registered resources and of the custom routes.
+   * Each operation only contains its parameters, the responses have to be merged in by the caller. The basePath option is
+   * prefixed with its route parameters documented as path parameters, a regular expression basePath is not prefixed.
+   * Custom routes follow the default endpoints, so a custom route replaces a default endpoint with the same path like it
+   * does when matching.]
+   *
+   * @return {[object]} paths [OpenAPI paths object. Example: { "/article": { get: { parameters: [...] }, post: { parameters: [...] } }, "/article/{id}": { ... } }.]
+   *
+   **/
+  buildOpenApiPaths () {
+    let basePath = (typeof this.options.basePath === 'string' ? '/' + JsonApiQueryParser.trimSlashes(this.options.basePath) : '');
+    let pathPrefix = OpenApiBuilder.toOpenApiPath(basePath === '/' ? '' : basePath);
+    let pathParameters = (basePath.match(/:[A-Za-z_][A-Za-z0-9_]*/g) || []).map(function(routeParameter) {
+      return { name: routeParameter.slice(1), in: 'path', required: true, schema: { type: 'string' } };
+    });
+    let identifierParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+    let paths = {};
+
+    let addPath = function(path, shape, resourceType, relationshipType, endpointParameters, operations) {
+      paths[pathPrefix + path] = {};
+
+      Object.keys(operations || OPERATIONS[shape]).forEach(function(method) {
+        paths[pathPrefix + path][method.toLowerCase()] = {
+          parameters: endpointParameters.concat(this.buildOpenApiParameters(shape, resourceType, relationshipType, method, operations))
+        };
+      }, this);
+    }.bind(this);
+
+    Object.keys(this.resources.resources).forEach(function(type) {
+      let resource = this.resources.resources[type];
+
+      addPath('/' + type, 'collection', type, null, pathParameters);
+      addPath('/' + type + '/{id}', 'resource', type, null, pathParameters.concat(identifierParameter));
+
+      Object.keys(resource.relationships).forEach(function(relationshipName) {
+        if(!this.resources.get(resource.relationships[relationshipName].type)) {
+          return;
+        }
+
+        addPath('/' + type + '/{id}/' + relationshipName, 'related', type, relationshipName, pathParameters.concat(identifierParameter));
+        addPath('/' + type + '/{id}/relationships/' + relationshipName, 'relationship', type, relationshipName, pathParameters.concat(identifierParameter));
+      }, this);
+    }, this);
+
+    this.routes.routes.forEach(function(route) {
+      let routeParameters = route.paramNames.filter(function(paramName) {
+        return paramName !== 'type' && paramName !== 'relationship';
+      }).map(function(paramName) {
+        return { name: paramName, in: 'path', required: true, schema: { type: 'string' } };
+      });
+
+      this.listRouteEndpoints(route).forEach(function(endpoint) {
+        addPath(endpoint.path, endpoint.shape, endpoint.resourceType, endpoint.relationshipType, pathParameters.concat(routeParameters), route.operations);
+      });
+    }, this);
+
+    return paths;
+  }
+
+  /**
+   * [Lists the endpoints a custom route serves for the registered resources, resolved like parseEndpoint does: the
+   * resourceType option, the "type" parameter (one endpoint per resource type) or the first segment of the template. A
+   * "relationship" parameter gives one endpoint per relationship to a registered resource. Endpoints of unregistered
+   * resources and relationships endpoints without relationship name are left out.]
+   *
+   * @param {[object]} route [Required compiled route. Example: { template: "article/:id/publish", resourceType: "article", paramNames: ["id"], ... }.]
+   * @return {[array]} endpoints [List of OpenAPI paths and their endpoint. Example: [{ path: "/article/{id}/publish", shape: "resource", resourceType: "article", relationshipType: null }].]
+   *
+   **/
+  listRouteEndpoints (route) {
+    let hasParam = function(paramName) {
+      return route.paramNames.indexOf(paramName) !== -1;
+    };
+    let types = (route.resourceType ? [route.resourceType] : (hasParam('type') ? Object.keys(this.resources.resources) : [route.template.split('/')[0]]));
+    let endpoints = [];
+
+    types.forEach(function(type) {
+      let resource = this.resources.get(type);
+      let relationshipNames = (resource && hasParam('relationship') ? Object.keys(resource.relationships).filter(function(relationshipName) {
+        return this.resources.get(resource.relationships[relationshipName].type);
+      }, this) : [null]);
+
+      if(!resource) {
+        return;
+      }
+
+      relationshipNames.forEach(function(relationshipName) {
+        let shape = JsonApiQueryParser.getEndpointShape({
+          relationships: route.relationships,
+          relationshipType: relationshipName,
+          identifier: (hasParam('id') ? '' : null)
+        });
+        let path = route.template.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, function(routeParameter, paramName) {
+          return (paramName === 'type' ? type : (paramName === 'relationship' ? relationshipName : routeParameter));
+        });
+
+        if(shape !== 'relationship' || relationshipName) {
+          endpoints.push({ path: OpenApiBuilder.toOpenApiPath('/' + path), shape: shape, resourceType: type, relationshipType: relationshipName });
+        }
+      });
+    }, this);
+
+    return endpoints;
+  }
+
+  /**
+   * [Matches the endpoint path against the route table to define the requested resource, identifier and relationships.
+   * The "type", "id" and "relationship" route parameters fill resourceType, identifier and relationshipType, the matched route
+   * is added as route. With the basePath option the base path is removed first and its matched path and parameters are added
+   * as basePath and baseParams. Paths with a malformed percent-encoding match no route.]
+   *
+   * @param {[string]} endpointString [Required endpoint string. Example: "articles/6/comments".]
+   * @param {[object]} requestObject [Required reference to the main requestData object.]
+   * @return {[object]} requestData [Parsed request information as object.]
+   *
+   **/
+  parseEndpoint (endpointString, requestObject) {
+    let endpointPath = JsonApiQueryParser.trimSlashes(endpointString);
+    let isMalformed = endpointPath.split('/').some(function(segment) {
+      return RouteTable.decodeSegment(segment) === undefined;
+    });
+
+    if(isMalformed) {
+      requestObject.route = null;
+
+      if(this.options.basePath) {
+        requestObject.basePath = null;
+        requestObject.baseParams = {};
+      }
+
+      this.reportError(new JsonApiError({
+        code: 'INVALID_ENCODING',
+        title: 'Invalid path encoding',
+        detail: 'The endpoint "/' + endpointPath + '" contains a malformed percent-encoding.'
+      }));
+
+      return requestObject;
+    }
+
+    if(this.options.basePath) {
+      let baseMatch = JsonApiQueryParser.matchBasePath(this.options.basePath, endpointPath);
+
+      if(baseMatch) {
+        endpointPath = baseMatch.endpointPath;
+        requestObject.basePath = baseMatch.basePath;
+        requestObject.baseParams = baseMatch.params;
+      } else {
+        requestObject.basePath = null;
+        requestObject.baseParams = {};
+        this.reportError(new JsonApiError({
+          status: 404,
+          code: 'UNKNOWN_BASE_PATH',
+          title: 'Unknown base path',
+          detail: 'The endpoint "/' + endpointPath + '" is not below the base path "' + this.options.basePath + '".'
+        }));
+      }
+    }
+
+    let routeMatch = this.routes.match(endpointPath);
+
+    if(!routeMatch) {
+      requestObject.route = null;
+      this.reportError(new JsonApiError({
+        status: 404,
+        code: 'UNKNOWN_ROUTE',
+        title: 'Unknown route',
+        detail: 'The endpoint "/' + endpointPath + '" does not match any route.'
+      }));
+
+      return requestObject;
+    }
+
+    let route = routeMatch.route;
+    let params = routeMatch.params;
+
+    requestObject.route = {
+      name: route.name,
+      template: route.template,
+      params: params
+    };
+    requestObject.resourceType = route.resourceType || params.type || RouteTable.decodeSegment(endpointPath.split('/')[0]);
+    requestObject.identifier = (params.id === undefined ? null : params.id);
+    requestObject.relationships = route.relationships;
+    requestObject.relationshipType = (params.relationship === undefined ? null : params.relationship);
+
+    if(!route.relationships && requestObject.relationshipType && requestObject.relationshipType.toLowerCase() === 'relationships') {
+      requestObject.relationships = true;
+      requestObject.relationshipType = null;
+      this.reportError(new JsonApiError({
+        status: 404,
+        code: 'MISSING_RELATIONSHIP_TYPE',
+        title: 'Request missing relationship type',
+        detail: 'The relationships endpoint of "' + requestObject.resourceType + '" requires a relationship name.'
+      }));
+    }
+
+    return requestObject;
+  }
+
+  /**
+   * [Matches the start of the endpoint path against a base path. A string base path is compared segment by segment,
+   * segments starting with a colon match any value and capture it by name. A regular expression has to match at the start
+   * of the endpoint path (with leading slash), its named groups are captured. Captured values are percent-decoded like route
+   * parameters.]
+   *
+   * @param {[string|object]} basePath [Required base path template or regular expression. Example: "/api/:version" or /^\/api\/(?<version>v\d+)/.]
+   * @param {[string]} endpointPath [Required endpoint path without surrounding slashes. Example: "api/v1/article/5".]
+   * @return {[object]} baseMatch [The matched base path, its parameters and the remaining endpoint path or null if the base path does not match.
+   * Example: { basePath: "/api/v1", params: { version: "v1" }, endpointPath: "article/5" }.]
+   *
+   **/
+  static matchBasePath (basePath, endpointPath) {
+    if(basePath instanceof RegExp) {
+      let fullPath = '/' + endpointPath;
+      let pathMatch = basePath.exec(fullPath);
+
+      if(!pathMatch || pathMatch.index !== 0 || ['', '/'].indexOf(fullPath.charAt(pathMatch[0].length)) === -1) {
+        return null;
+      }
+
+      let groups = Object.assign({}, pathMatch.groups);
+
+      Object.keys(groups).forEach(function(groupName) {
+        groups[groupName] = RouteTable.decodeSegment(groups[groupName]);
+      });
+
+      return {
+        basePath: pathMatch[0].replace(/\/+$/, ''),
+        params: groups,
+        endpointPath: JsonApiQueryParser.trimSlashes(fullPath.slice(pathMatch[0].length))
+      };
+    }
+
+    let baseSegments = JsonApiQueryParser.trimSlashes(basePath).split('/');
+    let pathSegments = endpointPath.split('/');
+    let params = {};
+
+    if(pathSegments.length < baseSegments.length) {
+      return null;
+    }
+
+    for(let i = 0; i < baseSegments.length; i++) {
+      if(baseSegments[i].charAt(0) === ':' && pathSegments[i].length) {
+        params[baseSegments[i].slice(1)] = RouteTable.decodeSegment(pathSegments[i]);
+      } else if(baseSegments[i] !== pathSegments[i]) {
+        return null;
+      }
+    }
+
+    return {
+      basePath: '/' + pathSegments.slice(0, baseSegments.length).join('/'),
+      params: params,
+      endpointPath: pathSegments.slice(baseSegments.length).join('/')
+    };
+  }
+
+  /**
+   * [Checks the relationship path of a sort key or filter against the maxIncludeDepth option, which limits the relationships
+   * per path of include, sort and filter alike, so the OpenAPI parameters can list every allowed path. Longer paths are
+   * reported as error.]
+   *
+   * @param {[array]} path [Required relationship path. Example: ["author", "article"].]
+   * @param {[string]} family [Required parameter family, "sort" or "filter".]
+   * @param {[string]} parameter [Required parameter name for error reporting. Example: "filter[author][article][title]".]
+   * @return {[boolean]} [True if the path does not exceed the maximum depth.]
+   *
+   **/
+  isWithinMaxDepth (path, family, parameter) {
+    let maxDepth = this.options.maxIncludeDepth;
+
+    if(!maxDepth || path.length <= maxDepth) {
+      return true;
+    }
+
+    this.reportError(new JsonApiError({
+      code: family.toUpperCase() + '_DEPTH_EXCEEDED',
+      title: 'Relationship path too deep',
+      detail: 'The ' + family + ' path "' + path.join('.') + '" exceeds the maximum depth of ' + maxDepth + '.',
+      source: { parameter: parameter }
+    }));
+
+    return false;
+  }
 
   /**
-   * [Defines the requestData object to modify via given queryString. NOTE: filter query is not implemented due to lack of specs.]
+   * [Converts the raw sort keys into structured sort fields. Repeated keys are rejected, whether they are duplicates (title,title)
+   * or conflicting directions (title,-title). Empty keys are reported depending on the validationMode option, relationship
+   * paths longer than the maxIncludeDepth option are rejected.]
    *
-   * @param {[string]} url [Required url containing the endpoint path and query string.]
-   * @return {[object]} requestData [Parsed request information as object.]
+   * @param {[array]} sortKeys [Required list of raw sort keys. Example: ["-created", "author.name"].]
+   * @return {[array]} sorting [List of sort fields. Example: [{ field: "created", direction: "desc", path: [] }].]
    *
    **/
-  parseRequest (url) {
-    let requestData = {
-      resourceType: null,
-      identifier: null,
-      relationships: false,
-      relationshipType: null,
-      queryData: {
-        include: [],
-        fields: {},
-        sort: [],
-        page: {},
-        filter: {
-          like: {},
-          not: {},
-          lt: {},
-          lte: {},
-          gt: {},
-          gte: {}
-        }
+  parseSorting (sortKeys) {
+    let sorting = [];
+    let seenKeys = {};
+
+    sortKeys.forEach(function(sortKey) {
+      let sortField = JsonApiQueryParser.parseSortKey(sortKey);
+      let fieldKey = sortField.path.concat(sortField.field).join('.');
+
+      if(!sortField.field.length) {
+        this.reportQueryProblem(new JsonApiError({
+          code: 'EMPTY_SORT_KEY',
+          title: 'Empty sort key',
+          detail: 'The sort parameter contains an empty sort key.',
+          source: { parameter: 'sort' }
+        }));
+
+        return;
+      }
+
+      if(Object.prototype.hasOwnProperty.call(seenKeys, fieldKey)) {
+        let isDuplicate = (seenKeys[fieldKey] === sortField.direction);
+
+        this.reportError(new JsonApiError({
+          code: (isDuplicate ? 'DUPLICATE_SORT' : 'CONFLICTING_SORT'),
+          title: (isDuplicate ? 'Duplicate sort key' : 'Conflicting sort key'),
+          detail: 'The sort key "' + fieldKey + '" is given more than once.',
+          source: { parameter: 'sort' }
+        }));
+
+        return;
+      }
+
+      if(!this.isWithinMaxDepth(sortField.path, 'sort', 'sort')) {
+        return;
+      }
+
+      seenKeys[fieldKey] = sortField.direction;
+      sorting.push(sortField);
+    }, this);
+
+    return sorting;
+  }
+
+  /**
+   * [Picks the pagination strategy handling all requested page keys and converts the page parameters into its normalized
+   * pagination object. Keys of different strategies can not be mixed. If several strategies handle the keys (page[size]),
+   * the defaultPagination strategy is preferred, otherwise the first registered one.
+   * Page keys unknown to all strategies are reported depending on the validationMode option.]
+   *
+   * @param {[object]} page [Required raw page parameters. Example: { offset: "20", limit: "10" }.]
+   * @return {[object]} pagination [Normalized pagination object or null if there is no page parameter and no defaultPagination.]
+   *
+   **/
+  parsePagination (page) {
+    let defaultPagination = this.options.defaultPagination;
+    let pageKeys = Object.keys(page).filter(function(pageKey) {
+      let isKnown = this.paginationStrategies.some(function(strategy) {
+        return strategy.keys.indexOf(pageKey) !== -1;
+      });
+
+      if(!isKnown) {
+        this.reportQueryProblem(new JsonApiError({
+          code: 'UNKNOWN_PAGE_PARAMETER',
+          title: 'Unknown page parameter',
+          detail: 'The page parameter "' + pageKey + '" is not supported by any pagination strategy.',
+          source: { parameter: 'page[' + pageKey + ']' }
+        }));
       }
-    };
 
-    let urlSplit = url.split('?');
-    requestData = this.parseEndpoint(urlSplit[0], requestData);
+      return isKnown;
+    }, this);
 
-    if(urlSplit[1]) {
-      requestData.queryData = this.parseQueryParameters(urlSplit[1], requestData.queryData);
+    if(!pageKeys.length && !defaultPagination) {
+      return null;
     }
 
-    return requestData;
+    let candidates = this.paginationStrategies.filter(function(strategy) {
+      return (pageKeys.length ? strategy.accepts(pageKeys) : strategy.name === defaultPagination);
+    });
+
+    if(!candidates.length) {
+      this.reportError(new JsonApiError({
+        code: 'MIXED_PAGINATION',
+        title: 'Mixed pagination strategies',
+        detail: 'The page parameters ' + pageKeys.join(', ') + ' belong to different pagination strategies.',
+        source: { parameter: 'page[' + pageKeys[pageKeys.length - 1] + ']' }
+      }));
+
+      return null;
+    }
+
+    let strategy = candidates.find(function(candidate) {
+      return candidate.name === defaultPagination;
+    }) || candidates[0];
+    let knownPage = {};
+
+    pageKeys.forEach(function(pageKey) {
+      knownPage[pageKey] = page[pageKey];
+    });
+
+    return strategy.parse(knownPage, this.options, this.reportError.bind(this));
   }
 
   /**
-   * [Cuts up the endpoint path to define the requested resource, identifier and relationships.]
+   * [Validates the parsed request against the registered resources. Rejects unknown types, relationships, sparse fieldsets,
+   * include paths, non-sortable attributes and non-filterable columns.]
+   *
+   * @param {[object]} requestObject [Required parsed requestData object.]
+   * @return {[object]} requestData [The unmodified requestData object.]
+   *
+   **/
+  validateRequest (requestObject) {
+    let registry = this.resources;
+    let queryData = requestObject.queryData;
+    let resource = registry.get(requestObject.resourceType);
+
+    if(!resource) {
+      this.reportError(new JsonApiError({
+        status: 404,
+        code: 'UNKNOWN_RESOURCE_TYPE',
+        title: 'Unknown resource type',
+        detail: 'The resource type "' + requestObject.resourceType + '" does not exist.'
+      }));
+
+      return requestObject;
+    }
+
+    if(requestObject.relationshipType) {
+      let relationship = ResourceRegistry.getMember(resource.relationships, requestObject.relationshipType);
+      let relatedResource = (relationship ? registry.get(relationship.type) : null);
+
+      if(!relatedResource) {
+        this.reportError(new JsonApiError({
+          status: 404,
+          code: 'UNKNOWN_RELATIONSHIP',
+          title: 'Unknown relationship',
+          detail: 'The resource type "' + resource.type + '" has no relationship "' + requestObject.relationshipType + '".'
+        }));
+
+        return requestObject;
+      }
+
+      resource = relatedResource;
+    }
+
+    Object.keys(queryData.fields).forEach(function(fieldsType) {
+      let fieldsResource = registry.get(fieldsType);
+      let parameter = 'fields[' + fieldsType + ']';
+
+      if(!fieldsResource) {
+        this.reportError(new JsonApiError({
+          code: 'UNKNOWN_RESOURCE_TYPE',
+          title: 'Unknown resource type',
+          detail: 'The resource type "' + fieldsType + '" does not exist.',
+          source: { parameter: parameter }
+        }));
+
+        return;
+      }
+
+      queryData.fields[fieldsType].forEach(function(field) {
+        if(!ResourceRegistry.getMember(fieldsResource.attributes, field) && !ResourceRegistry.getMember(fieldsResource.relationships, field)) {
+          this.reportError(new JsonApiError({
+            code: 'UNKNOWN_FIELD',
+            title: 'Unknown field',
+            detail: 'The resource type "' + fieldsType + '" has no field "' + field + '".',
+            source: { parameter: parameter }
+          }));
+        }
+      }, this);
+    }, this);
+
+    queryData.include.forEach(function(includePath) {
+      if(!registry.resolvePath(resource.type, includePath.split('.'))) {
+        this.reportError(new JsonApiError({
+          code: 'UNKNOWN_INCLUDE',
+          title: 'Unknown include path',
+          detail: 'The relationship path "' + includePath + '" does not exist for "' + resource.type + '".',
+          source: { parameter: 'include' }
+        }));
+      }
+    }, this);
+
+    queryData.sort.forEach(function(sortKey) {
+      let attribute = registry.resolveAttribute(resource.type, sortKey.replace(/^-/, ''));
+
+      if(!attribute || !attribute.sortable) {
+        this.reportError(new JsonApiError({
+          code: 'INVALID_SORT',
+          title: 'Invalid sort key',
+          detail: 'Sorting by "' + sortKey + '" is not supported for "' + resource.type + '".',
+          source: { parameter: 'sort' }
+        }));
+      }
+    }, this);
+
+    FilterParser.walkConditions(queryData.filterTree, function(condition) {
+      let column = condition.path.concat(condition.field).join('.');
+      let attribute = registry.resolveAttribute(resource.type, column);
+
+      if(!attribute || !attribute.filterable) {
+        this.reportError(new JsonApiError({
+          code: 'INVALID_FILTER',
+          title: 'Invalid filter',
+          detail: 'Filtering by "' + column + '" is not supported for "' + resource.type + '".',
+          source: { parameter: condition.parameter }
+        }));
+      }
+    }.bind(this));
+
+    return requestObject;
+  }
+
+  /**
+   * [Coerces the raw string values of the request. Filter values are converted to the declared type of their attribute
+   * (integer, float, boolean or date, "null" becomes null), values that can not be converted are reported as errors.
+   * Like filters and operators with their own coercion are left alone. Page values are replaced by the numbers the
+   * pagination strategy read from them.]
    *
-   * @param {[string]} endpointString [Required endpoint string. Example: "articles/6/comments".]
    * @param {[object]} requestObject [Required reference to the main requestData object.]
    * @return {[object]} requestData [Parsed request information as object.]
    *
    **/
-  parseEndpoint (endpointString, requestObject) {
-    let requestSplit = JsonApiQueryParser.trimSlashes(endpointString).split('/');
+  coerceRequest (requestObject) {
+    let registry = this.resources;
+    let queryData = requestObject.queryData;
+    let pagination = queryData.pagination;
+    let resource = registry.get(requestObject.resourceType);
 
-    requestObject.resourceType = requestSplit[0];
-    requestObject.identifier = (requestSplit.length >= 2 ? requestSplit[1] : null);
-    requestObject.relationships = (requestSplit.length >= 3 && requestSplit[2].toLowerCase() === 'relationships');
-
-    if(requestObject.relationships) {
-      if(!requestSplit[3]) {
-        throw new ReferenceError('Request missing relationship type', 'JsonApiQueryParser.js');
-      } else {
-        requestObject.relationshipType = requestSplit[3]
+    Object.keys(queryData.page).forEach(function(pageKey) {
+      if(pagination && typeof pagination[pageKey] === 'number') {
+        queryData.page[pageKey] = pagination[pageKey];
       }
-    } else {
-      requestObject.relationshipType = (requestSplit.length === 3 ? requestSplit[2] : null);
+    });
+
+    if(resource && requestObject.relationshipType) {
+      let relationship = ResourceRegistry.getMember(resource.relationships, requestObject.relationshipType);
+      resource = (relationship ? registry.get(relationship.type) : null);
+    }
+
+    if(!resource) {
+      return requestObject;
     }
 
+    let getCoercibleType = function(operator, attributePath) {
+      let attribute = registry.resolveAttribute(resource.type, attributePath);
+      let definition = this.filterParser.operators[operator];
+
+      if(operator === 'like' || !definition || definition.coerce || !attribute || !TypeCoercer.isSupported(attribute.type)) {
+        return null;
+      }
+
+      return attribute.type;
+    }.bind(this);
+
+    FilterParser.walkConditions(queryData.filterTree, function(condition) {
+      let column = condition.path.concat(condition.field).join('.');
+      let type = getCoercibleType(condition.operator, column);
+      let value = (type ? TypeCoercer.coerceAll(type, condition.value) : condition.value);
+
+      if(value === undefined) {
+        this.reportError(new JsonApiError({
+          code: 'INVALID_FILTER_VALUE',
+          title: 'Invalid filter value',
+          detail: 'The value "' + condition.value + '" of the "' + column + '" filter is not a valid ' + type + '.',
+          source: { parameter: condition.parameter }
+        }));
+        return;
+      }
+
+      condition.value = value;
+    }.bind(this));
+
+    Object.keys(queryData.filter).forEach(function(filterKey) {
+      let isFilterType = (this.filterTypes.indexOf(filterKey) !== -1 && typeof queryData.filter[filterKey] === 'object');
+      let bucket = (isFilterType ? queryData.filter[filterKey] : queryData.filter);
+      let columns = (isFilterType ? Object.keys(bucket) : [filterKey]);
+
+      columns.forEach(function(column) {
+        let type = getCoercibleType(isFilterType ? filterKey : 'eq', column);
+        let value = (type ? TypeCoercer.coerce(type, bucket[column]) : undefined);
+
+        if(value !== undefined) {
+          bucket[column] = value;
+        }
+      });
+    }, this);
+
     return requestObject;
   }
 
   /**
-   * [Cuts up the query parameters and sends each piece to the delegate function.]
+   * [Cuts up the query parameters into decoded tokens and sends each token to the delegate function. Filter tokens are split
+   * into their bracket keys once, which fill the filter object and are kept to build the filter tree. The decoded parameter
+   * names are kept in queryParameters for parseOperation. Pieces with a malformed percent-encoding are reported as errors.]
    *
    * @param {[string]} queryString [Required query string. Example: "?include=comments,user&fields[article]=title,body" ]
    * @param {[object]} requestDataSubset [Required reference to the main requestData object.]
@@ -91,77 +1279,365 @@ class JsonApiQueryParser {
    *
    **/
   parseQueryParameters (queryString, requestDataSubset) {
-    let querySplit = queryString.split('&');
-    querySplit = querySplit.map(function(queryPart){
-      return decodeURIComponent(queryPart);
+    let tokens = QueryTokenizer.tokenize(queryString, this.reportError.bind(this));
+
+    this.queryParameters = tokens.map(function(token) {
+      return token.parameter;
     });
-    querySplit.forEach(this.delegateToParser, requestDataSubset);
+
+    if(this.options.maxParameters && tokens.length > this.options.maxParameters) {
+      this.reportError(new JsonApiError({
+        code: 'PARAMETER_COUNT_EXCEEDED',
+        title: 'Too many query parameters',
+        detail: 'The query string exceeds the maximum of ' + this.options.maxParameters + ' parameters.'
+      }));
+
+      return requestDataSubset;
+    }
+
+    tokens.forEach(function(token) {
+      let forbiddenKeyError = JsonApiQueryParser.inspectParameterKeys(token.parameter);
+      let problem = (this.options.validationMode ? JsonApiQueryParser.inspectQueryPart(token) : null);
+
+      if(forbiddenKeyError) {
+        this.reportError(forbiddenKeyError);
+        return;
+      }
+
+      if(this.parseCustomParameter(token, requestDataSubset)) {
+        return;
+      }
+
+      if(problem) {
+        this.reportQueryProblem(problem);
+        return;
+      }
+
+      let isFilter = FILTER_PARAM.test(token.parameter);
+      let filterPart = (isFilter ? FilterParser.splitFilterString(token) : null);
+
+      try {
+        if(filterPart) {
+          JsonApiQueryParser.parseFilterPart(filterPart, requestDataSubset);
+        } else {
+          this.delegateToParser.call(requestDataSubset, token);
+        }
+      } catch(error) {
+        if(!(error instanceof JsonApiError)) {
+          throw error;
+        }
+
+        this.reportError(error);
+        return;
+      }
+
+      if(isFilter) {
+        this.filterStrings.push(filterPart || token);
+      }
+    }, this);
 
     return requestDataSubset;
   }
 
   /**
-   * [Delegates each query string piece to its own parser function.]
+   * [Parses a token with the first registered parameter matching its name. Invalid parameters are reported as error.]
+   *
+   * @param {[object]} token [Required decoded token. Example: { parameter: "meta[count]", value: "true", values: ["true"] }.]
+   * @param {[object]} requestDataSubset [Required reference to the requestData.queryData object.]
+   * @return {[boolean]} [True if a registered parameter handled the token.]
+   *
+   **/
+  parseCustomParameter (token, requestDataSubset) {
+    let result = (this.parameters.isEmpty() ? null : this.parameters.match(token.parameter));
+
+    if(!result) {
+      return false;
+    }
+
+    if(result.parameter.validate && !result.parameter.validate(token, result.match)) {
+      this.reportError(new JsonApiError({
+        code: 'INVALID_PARAMETER_VALUE',
+        title: 'Invalid query parameter value',
+        detail: 'The value of the query parameter "' + token.parameter + '" is invalid.',
+        source: { parameter: token.parameter }
+      }));
+
+      return true;
+    }
+
+    requestDataSubset[result.parameter.name] = result.parameter.parse(token, requestDataSubset[result.parameter.name], result.match);
+
+    return true;
+  }
+
+  /**
+   * [Checks the parsed query parameters against the maxIncludeCount, maxFieldsetSize and maxFilterClauses options. Include paths
+   * and filters exceeding their limit are dropped after reporting the error, so they are not processed any further.]
+   *
+   * @param {[object]} requestDataSubset [Required reference to the requestData.queryData object.]
+   *
+   **/
+  enforceLimits (requestDataSubset) {
+    let maxIncludeCount = this.options.maxIncludeCount;
+    let maxFieldsetSize = this.options.maxFieldsetSize;
+    let maxFilterClauses = this.options.maxFilterClauses;
+
+    if(maxIncludeCount && requestDataSubset.include.length > maxIncludeCount) {
+      this.reportError(new JsonApiError({
+        code: 'INCLUDE_COUNT_EXCEEDED',
+        title: 'Too many include paths',
+        detail: 'The include parameter exceeds the maximum of ' + maxIncludeCount + ' paths.',
+        source: { parameter: 'include' }
+      }));
+      requestDataSubset.include = [];
+    }
+
+    Object.keys(requestDataSubset.fields).forEach(function(resourceType) {
+      if(maxFieldsetSize && requestDataSubset.fields[resourceType].length > maxFieldsetSize) {
+        this.reportError(new JsonApiError({
+          code: 'FIELDSET_SIZE_EXCEEDED',
+          title: 'Sparse fieldset too large',
+          detail: 'The fieldset of "' + resourceType + '" exceeds the maximum of ' + maxFieldsetSize + ' fields.',
+          source: { parameter: 'fields[' + resourceType + ']' }
+        }));
+      }
+    }, this);
+
+    if(maxFilterClauses && this.filterStrings.length > maxFilterClauses) {
+      this.reportError(new JsonApiError({
+        code: 'FILTER_COUNT_EXCEEDED',
+        title: 'Too many filters',
+        detail: 'The query string exceeds the maximum of ' + maxFilterClauses + ' filter parameters.',
+        source: { parameter: 'filter' }
+      }));
+      this.filterStrings = [];
+    }
+  }
+
+  /**
+   * [Returns the endpoint shape of a parsed request, also for requests matched by custom routes.]
+   *
+   * @param {[object]} requestData [Required parsed request information.]
+   * @return {[string]} shape [One of "collection", "resource", "related" or "relationship".]
+   *
+   **/
+  static getEndpointShape (requestData) {
+    if(requestData.relationships) {
+      return 'relationship';
+    }
+
+    if(requestData.relationshipType) {
+      return 'related';
+    }
+
+    return (requestData.identifier === null ? 'collection' : 'resource');
+  }
+
+  /**
+   * [Checks a query string piece for unknown parameter families, malformed brackets and empty values.
+   * Implementation specific parameters are allowed if their name contains at least one character other than a-z.]
+   *
+   * @param {[mixed]} queryPart [Required query string piece or token. Example: "sorts=title".]
+   * @return {[object]} error [JsonApiError describing the problem or null if the piece is valid.]
+   *
+   **/
+  static inspectQueryPart (queryPart) {
+    let token = QueryTokenizer.toToken(queryPart);
+    let parameter = token.parameter;
+    let value = (token.value === null ? '' : token.value);
+    let nameMatch = /^([^\[\]]+)((?:\[[^\[\]]+\])*)$/.exec(parameter);
+    let family = (nameMatch ? nameMatch[1] : parameter.split('[')[0]);
+
+    if(!Object.prototype.hasOwnProperty.call(PARAM_FAMILIES, family)) {
+      if(!/^[a-z]*$/.test(family)) {
+        return null;
+      }
+
+      return new JsonApiError({
+        code: 'UNKNOWN_PARAMETER',
+        title: 'Unknown query parameter',
+        detail: 'The query parameter "' + parameter + '" is not supported. Implementation specific parameters must contain at least one character other than a-z.',
+        source: { parameter: parameter }
+      });
+    }
+
+    let bracketCount = (nameMatch ? (nameMatch[2].match(/\[/g) || []).length : -1);
+
+    if(bracketCount < PARAM_FAMILIES[family][0] || bracketCount > PARAM_FAMILIES[family][1]) {
+      return new JsonApiError({
+        code: 'MALFORMED_PARAMETER',
+        title: 'Malformed query parameter',
+        detail: 'The query parameter "' + parameter + '" does not match the format of the "' + family + '" parameter.',
+        source: { parameter: parameter }
+      });
+    }
+
+    if(!value.length) {
+      return new JsonApiError({
+        code: 'EMPTY_VALUE',
+        title: 'Empty query parameter value',
+        detail: 'The query parameter "' + parameter + '" requires a value.',
+        source: { parameter: parameter }
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * [Checks the bracket keys of the fields, page and filter parameters for names that would reach the object prototype.]
+   *
+   * @param {[string]} parameter [Required decoded parameter name. Example: "fields[__proto__]".]
+   * @return {[object]} error [JsonApiError describing the forbidden key or null if the keys are allowed.]
+   *
+   **/
+  static inspectParameterKeys (parameter) {
+    if(!FORBIDDEN_KEY_PATTERN.test(parameter)) {
+      return null;
+    }
+
+    let family = parameter.split('[')[0].toLowerCase();
+    let keys = (parameter.match(/\[[^\[\]]*\]/g) || []).map(function(bracket) {
+      return bracket.slice(1, -1);
+    });
+    let forbiddenKey = keys.find(function(key) {
+      return FORBIDDEN_KEYS.indexOf(key) !== -1;
+    });
+
+    if(['fields', 'page', 'filter'].indexOf(family) === -1 || forbiddenKey === undefined) {
+      return null;
+    }
+
+    return new JsonApiError({
+      code: 'FORBIDDEN_KEY',
+      title: 'Forbidden query parameter key',
+      detail: 'The key "' + forbiddenKey + '" is not allowed in the query parameter "' + parameter + '".',
+      source: { parameter: parameter }
+    });
+  }
+
+  /**
+   * [Delegates each query string piece to its own parser function. Pieces without value are ignored.]
    *
-   * @param {[string]} query [Required query string piece. Example: "fields[article]=title,body".]
+   * @param {[mixed]} query [Required query string piece or token. Example: "fields[article]=title,body".]
    * @return {[object]} requestData [Parsed request information as object.]
    *
    **/
   delegateToParser (query) {
     // NOTE: 'this' points to requestObject!
     let _requestDataSubset = this;
-    let functionName;
+    let token = QueryTokenizer.toToken(query);
+    let bracketIndex = token.parameter.indexOf('[');
+    let family = (bracketIndex === -1 ? token.parameter : token.parameter.slice(0, bracketIndex)).toLowerCase();
 
-    for(functionName in PARSE_PARAM) {
-      if(PARSE_PARAM[functionName].test(query)) {
-        _requestDataSubset = JsonApiQueryParser[functionName](query, _requestDataSubset);
-      }
+    if(token.value === null || !Object.prototype.hasOwnProperty.call(FAMILY_PARSERS, family)) {
+      return;
     }
+
+    FAMILY_PARSERS[family].forEach(function(functionName) {
+      _requestDataSubset = JsonApiQueryParser[functionName](token, _requestDataSubset);
+    });
   }
 
   /**
    * [Parses the include query string piece and returns the modified _requestDataSubset.]
    *
-   * @param {[string]} includeString [Required include string piece. Example: "include=comments,user".]
+   * @param {[mixed]} includeString [Required include string piece or token. Example: "include=comments,user".]
    * @param {[object]} requestDataSubset [Required reference to the requestData.queryData object.]
    * @return {[object]} requestDataSubset [Returning the modified request data.]
    *
    **/
   static parseInclude (includeString, requestDataSubset) {
-    // Kept simple for now, does not parse dot-separated relationships (comment.user)
-    let targetString = includeString.split('=')[1];
-    requestDataSubset.include = targetString.split(',');
+    // Dot-separated relationships (comment.user) are kept as flat strings here, see buildIncludeTree.
+    let token = QueryTokenizer.toToken(includeString);
+
+    if(PARSE_PARAM.parseInclude.test(token.parameter)) {
+      requestDataSubset.include = token.values;
+    }
 
     return requestDataSubset;
   }
 
   /**
-   * [Parses the fields query string piece and returns the modified _requestDataSubset.]
+   * [Converts the flat include paths into a nested relationship tree. Implied intermediate paths are added and duplicates collapsed.
+   * The tree nodes have no prototype. Throws a JsonApiError if a path exceeds the maximum depth or contains a relationship name
+   * that would reach the object prototype.]
    *
-   * @param {[string]} fieldsString [Required fields query string piece. Example: "fields[article]=title,body".]
+   * @param {[array]} includePaths [Required list of include paths. Example: ["comment.user", "author"].]
+   * @param {[number]} maxDepth [Optional maximum amount of relationships per path. Example: 2.]
+   * @return {[object]} includeTree [Nested relationship tree. Example: { comment: { user: {} }, author: {} }.]
+   *
+   **/
+  static buildIncludeTree (includePaths, maxDepth) {
+    let includeTree = Object.create(null);
+
+    includePaths.forEach(function(includePath) {
+      let relationships = includePath.split('.').filter(function(relationship) {
+        return relationship.length > 0;
+      });
+      let forbiddenKey = relationships.find(function(relationship) {
+        return FORBIDDEN_KEYS.indexOf(relationship) !== -1;
+      });
+      let branch = includeTree;
+
+      if(forbiddenKey !== undefined) {
+        throw new JsonApiError({
+          code: 'FORBIDDEN_KEY',
+          title: 'Forbidden query parameter key',
+          detail: 'The relationship "' + forbiddenKey + '" is not allowed in the include path "' + includePath + '".',
+          source: { parameter: 'include' }
+        });
+      }
+
+      if(maxDepth && relationships.length > maxDepth) {
+        throw new JsonApiError({
+          code: 'INCLUDE_DEPTH_EXCEEDED',
+          title: 'Include path too deep',
+          detail: 'The include path "' + includePath + '" exceeds the maximum depth of ' + maxDepth + '.',
+          source: { parameter: 'include' }
+        });
+      }
+
+      relationships.forEach(function(relationship) {
+        if(!Object.prototype.hasOwnProperty.call(branch, relationship)) {
+          branch[relationship] = Object.create(null);
+        }
+        branch = branch[relationship];
+      });
+    });
+
+    return includeTree;
+  }
+
+  /**
+   * [Parses the fields query string piece and returns the modified _requestDataSubset. Repeated fields are only added once.]
+   *
+   * @param {[mixed]} fieldsString [Required fields query string piece or token. Example: "fields[article]=title,body".]
    * @param {[object]} requestDataSubset [Required reference to the requestData.queryData object.]
    * @return {[object]} requestDataSubset [Returning the modified request data.]
    *
    **/
   static parseFields (fieldsString, requestDataSubset) {
+    let token = QueryTokenizer.toToken(fieldsString);
+    let parameterMatch = PARSE_PARAM.parseFields.exec(token.parameter);
     let targetResource;
     let targetFields;
-    let targetFieldsString;
-    let fieldNameRegex = /^fields.*?\=(.*?)$/i;
 
-    targetResource = fieldsString.replace(PARSE_PARAM.parseFields, function(match, $1, $2, $3) {
-      return $1;
-    });
+    if(!parameterMatch) {
+      return requestDataSubset;
+    }
 
-    targetFieldsString = fieldsString.replace(fieldNameRegex, function(match, $1, $2, $3) {
-      return $1;
-    });
+    targetResource = parameterMatch[1];
 
-    requestDataSubset.fields[targetResource] = (!requestDataSubset.fields[targetResource] ? [] : requestDataSubset.fields[targetResource]);
-    targetFields = targetFieldsString.split(',');
+    if(!Object.prototype.hasOwnProperty.call(requestDataSubset.fields, targetResource)) {
+      requestDataSubset.fields[targetResource] = [];
+    }
+    targetFields = token.values;
 
     targetFields.forEach(function(targetField) {
-      requestDataSubset.fields[targetResource].push(targetField);
+      if(requestDataSubset.fields[targetResource].indexOf(targetField) === -1) {
+        requestDataSubset.fields[targetResource].push(targetField);
+      }
     });
 
     return requestDataSubset;
@@ -170,25 +1646,18 @@ class JsonApiQueryParser {
   /**
    * [Parses the page query string piece and returns the modified _requestDataSubset.]
    *
-   * @param {[string]} pageString [Required page query string piece. Example: "page[offset]=20".]
+   * @param {[mixed]} pageString [Required page query string piece or token. Example: "page[offset]=20".]
    * @param {[object]} requestDataSubset [Required reference to the requestData.queryData object.]
    * @return {[object]} requestDataSubset [Returning the modified request data.]
    *
    **/
   static parsePage (pageString, requestDataSubset) {
-    let pageSettingKey;
-    let pageSettingValue;
-    let pageValueRegex = /^page.*?\=(.*?)$/i;
-
-    pageSettingKey = pageString.replace(PARSE_PARAM.parsePage, function(match, $1, $2, $3) {
-      return $1;
-    });
-
-    pageSettingValue = pageString.replace(pageValueRegex, function(match, $1, $2, $3) {
-      return $1;
-    });
+    let token = QueryTokenizer.toToken(pageString);
+    let parameterMatch = PARSE_PARAM.parsePage.exec(token.parameter);
 
-    requestDataSubset.page[pageSettingKey] = pageSettingValue;
+    if(parameterMatch) {
+      requestDataSubset.page[parameterMatch[1]] = token.value;
+    }
 
     return requestDataSubset;
   }
@@ -196,78 +1665,125 @@ class JsonApiQueryParser {
   /**
    * [Parses the sort query string piece and returns the modified _requestDataSubset.]
    *
-   * @param {[string]} sortString [Required sort query string piece. Example: "sort=-created,title".]
+   * @param {[mixed]} sortString [Required sort query string piece or token. Example: "sort=-created,title".]
    * @param {[object]} requestDataSubset [Required reference to the requestData.queryData object.]
    * @return {[object]} requestDataSubset [Returning the modified request data.]
    *
    **/
   static parseSort (sortString, requestDataSubset) {
-    let targetString = sortString.split('=')[1];
-    requestDataSubset.sort = targetString.split(',');
+    let token = QueryTokenizer.toToken(sortString);
+
+    if(PARSE_PARAM.parseSort.test(token.parameter)) {
+      requestDataSubset.sort = token.values;
+    }
 
     return requestDataSubset;
   }
 
+  /**
+   * [Splits a single sort key into its direction, relationship path and field.]
+   *
+   * @param {[string]} sortKey [Required sort key. Example: "-author.name".]
+   * @return {[object]} sortField [Structured sort field. Example: { field: "name", direction: "desc", path: ["author"] }.]
+   *
+   **/
+  static parseSortKey (sortKey) {
+    let isDescending = (sortKey.charAt(0) === '-');
+    let path = (isDescending ? sortKey.slice(1) : sortKey).split('.');
+
+    return {
+      field: path.pop(),
+      direction: (isDescending ? 'desc' : 'asc'),
+      path: path
+    };
+  }
+
   /**
    * [Note: The are no proper specifications for this parameter yet.
-   * For now the filter is implemented similar to the fields parameter. Values should be url encoded to allow for special characters.]
+   * For now the filter is implemented similar to the fields parameter. Values should be url encoded to allow for special characters.
+   * Throws a JsonApiError for a plain value of a filter type (filter[like]=x), see assignFilterValue.]
    *
-   * @param {[string]} filterString [Required sort query string piece. Example: "filter[name]=John%20Doe".]
+   * @param {[mixed]} filterString [Required filter query string piece or token. Example: "filter[name]=John%20Doe".]
    * @param {[object]} requestDataSubset [Required reference to the requestData.queryData object.]
    * @return {[object]} requestDataSubset [Returning the modified request data.]
    *
    **/
   static parseFilter (filterString, requestDataSubset) {
-    let targetColumn;
-    let targetFilterString;
-    let filterNameRegex = /^filter.*?\=(.*?)$/i;
-
-    targetColumn = filterString.replace(PARSE_PARAM.parseFilter, function(match, $1, $2, $3) {
-      return $1;
-    });
-
-    targetFilterString = filterString.replace(filterNameRegex, function(match, $1, $2, $3) {
-      return $1;
-    });
+    let token = QueryTokenizer.toToken(filterString);
+    let parameterMatch = PARSE_PARAM.parseFilter.exec(token.parameter);
 
-    requestDataSubset.filter[targetColumn] = targetFilterString;
+    if(parameterMatch) {
+      JsonApiQueryParser.assignFilterValue(requestDataSubset.filter, [parameterMatch[1]], token.value, token.parameter);
+    }
 
     return requestDataSubset;
   }
 
   /**
    * [Note: The are no proper specifications for this parameter yet.
-   * For now the filter is implemented similar to the fields parameter. Values should be url encoded to allow for special characters.]
+   * For now the filter is implemented similar to the fields parameter. Values should be url encoded to allow for special characters.
+   * Throws a JsonApiError if the filter type was given a plain value, see assignFilterValue.]
    *
-   * @param {[string]} filterString [Required sort query string piece. Example: "filter[name][like]=John%20Doe".]
+   * @param {[mixed]} filterString [Required filter query string piece or token. Example: "filter[like][name]=John%20Doe".]
    * @param {[object]} requestDataSubset [Required reference to the requestData.queryData object.]
    * @return {[object]} requestDataSubset [Returning the modified request data.]
    *
    **/
   static parseFilterType (filterString, requestDataSubset) {
-    let targetType;
-    let targetColumn;
-    let targetFilterString;
-    
-    targetType = filterString.replace(PARSE_PARAM.parseFilterType, function(match, $1) {
-      return $1;
-    });
-    
-    targetColumn = filterString.replace(PARSE_PARAM.parseFilterType, function(match, $1, $2) {
-      return $2;
-    });
+    let token = QueryTokenizer.toToken(filterString);
+    let parameterMatch = PARSE_PARAM.parseFilterType.exec(token.parameter);
 
-    targetFilterString = filterString.replace(PARSE_PARAM.parseFilterType, function(match, $1, $2, $3) {
-      return $3;
-    });
+    if(parameterMatch) {
+      JsonApiQueryParser.assignFilterValue(requestDataSubset.filter, [parameterMatch[1], parameterMatch[2]], token.value, token.parameter);
+    }
 
-    if(requestDataSubset.filter[targetType]){
-      requestDataSubset.filter[targetType][targetColumn] = targetFilterString;
+    return requestDataSubset;
+  }
+
+  /**
+   * [Fills the filter object with a filter already split into its bracket keys, like parseFilter and parseFilterType do with
+   * a query string piece. Filters with more than two keys are only part of the filter tree.
+   * Throws a JsonApiError if the filter type was given a plain value, see assignFilterValue.]
+   *
+   * @param {[object]} filterPart [Required filter part as returned by FilterParser.splitFilterString. Example: { parameter: "filter[like][name]", segments: ["like", "name"], value: "jo", values: ["jo"] }.]
+   * @param {[object]} requestDataSubset [Required reference to the requestData.queryData object.]
+   * @return {[object]} requestDataSubset [Returning the modified request data.]
+   *
+   **/
+  static parseFilterPart (filterPart, requestDataSubset) {
+    if(filterPart.segments.length <= 2) {
+      JsonApiQueryParser.assignFilterValue(requestDataSubset.filter, filterPart.segments, filterPart.value, filterPart.parameter);
     }
 
     return requestDataSubset;
   }
 
+  /**
+   * [Sets a plain filter (filter[column]) or a filter type filter (filter[type][column]) in the filter object. Filter types
+   * only take column filters, so a plain value for a filter type is rejected whether it comes before or after its column
+   * filters. Column filters for anything else than a filter type are ignored.]
+   *
+   * @param {[object]} filter [Required reference to the requestData.queryData.filter object.]
+   * @param {[array]} keys [Required bracket keys, one for a plain filter and two for a filter type. Example: ["like", "name"].]
+   * @param {[string]} value [Required filter value. Example: "jo".]
+   * @param {[string]} parameter [Required parameter name for error reporting. Example: "filter[like][name]".]
+   *
+   **/
+  static assignFilterValue (filter, keys, value, parameter) {
+    let current = (Object.prototype.hasOwnProperty.call(filter, keys[0]) ? filter[keys[0]] : undefined);
+    let isFilterType = (typeof current === 'object' && current !== null);
+
+    if(keys.length === 1 ? isFilterType : (current !== undefined && !isFilterType)) {
+      throw FilterParser.createError('The filter type "' + keys[0] + '" only takes column filters like "filter[' + keys[0] + '][name]", not a plain value.', parameter);
+    }
+
+    if(keys.length === 1) {
+      filter[keys[0]] = value;
+    } else if(isFilterType) {
+      current[keys[1]] = value;
+    }
+  }
+
   /**
    * [Slash trim to avoid faulty endpoint mapping. Runs recursively to remove any double slash errors]
    *
@@ -287,4 +1803,22 @@ class JsonApiQueryParser {
 
 }
 
+JsonApiQueryParser.JsonApiError = JsonApiError;
+JsonApiQueryParser.JsonApiErrorList = JsonApiErrorList;
+JsonApiQueryParser.PaginationStrategy = PaginationStrategy;
+JsonApiQueryParser.JsonApiUrlBuilder = JsonApiUrlBuilder;
+JsonApiQueryParser.FilterParser = FilterParser;
+JsonApiQueryParser.RouteTable = RouteTable;
+JsonApiQueryParser.ParameterRegistry = ParameterRegistry;
+JsonApiQueryParser.JsonApiMiddleware = JsonApiMiddleware;
+JsonApiQueryParser.JsonApiDocumentParser = JsonApiDocumentParser;
+JsonApiQueryParser.ContentNegotiator = ContentNegotiator;
+JsonApiQueryParser.TypeCoercer = TypeCoercer;
+JsonApiQueryParser.QueryTokenizer = QueryTokenizer;
+JsonApiQueryParser.LruCache = LruCache;
+JsonApiQueryParser.OpenApiBuilder = OpenApiBuilder;
+JsonApiQueryParser.KnexAdapter = KnexAdapter;
+JsonApiQueryParser.MongoAdapter = MongoAdapter;
+JsonApiQueryParser.MemoryAdapter = MemoryAdapter;
+
 module.exports = JsonApiQueryParser;
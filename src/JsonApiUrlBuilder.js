@@ -0,0 +1,216 @@
+'use strict';
+
+const FilterParser = require('./FilterParser');
+
+class JsonApiUrlBuilder {
+
+  /**
+   * [Builds the canonical url of a requestData object as produced by parseRequest.]
+   *
+   * @param {[object]} requestData [Required parsed request information.]
+   * @param {[array]} parameters [Optional registered custom parameters, see ParameterRegistry.]
+   * @return {[string]} url [Endpoint path with query string. Example: "/article/5?include=author&fields[article]=body,title".]
+   *
+   **/
+  static buildUrl (requestData, parameters) {
+    let queryString = JsonApiUrlBuilder.buildQueryString(requestData.queryData, parameters);
+
+    return JsonApiUrlBuilder.buildEndpoint(requestData) + (queryString.length ? '?' + queryString : '');
+  }
+
+  /**
+   * [Builds the endpoint path from the base path, resource type, identifier and relationship. If the request matched a route,
+   * its template is filled with the route parameters instead.]
+   *
+   * @param {[object]} requestData [Required parsed request information.]
+   * @return {[string]} endpoint [Endpoint path. Example: "/api/v1/article/5/relationships/comment".]
+   *
+   **/
+  static buildEndpoint (requestData) {
+    if(requestData.route) {
+      return (requestData.basePath || '') + '/' + JsonApiUrlBuilder.fillTemplate(requestData.route.template, Object.assign({}, requestData.route.params, {
+        type: requestData.resourceType,
+        id: requestData.identifier,
+        relationship: requestData.relationshipType
+      }));
+    }
+
+    let segments = [requestData.resourceType];
+
+    if(requestData.identifier !== null && requestData.identifier !== undefined) {
+      segments.push(requestData.identifier);
+
+      if(requestData.relationshipType) {
+        if(requestData.relationships) {
+          segments.push('relationships');
+        }
+
+        segments.push(requestData.relationshipType);
+      }
+    }
+
+    return (requestData.basePath || '') + '/' + segments.map(function(segment) {
+      return encodeURIComponent(segment);
+    }).join('/');
+  }
+
+  /**
+   * [Replaces the parameters of a route template with their percent-encoded values.]
+   *
+   * @param {[string]} template [Required route template. Example: ":type/:id/publish".]
+   * @param {[object]} params [Required parameter values. Example: { type: "article", id: "5" }.]
+   * @return {[string]} path [The filled path. Example: "article/5/publish".]
+   *
+   **/
+  static fillTemplate (template, params) {
+    return template.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, function(param, paramName) {
+      return encodeURIComponent(params[paramName]);
+    });
+  }
+
+  /**
+   * [Builds a canonical query string from the queryData object. Parameters are ordered as include, fields, sort, page, filter
+   * and the custom parameters in registration order. Include paths, fieldsets, field names, page keys, filter keys and the
+   * names of each custom parameter are sorted, the order of the sort keys is kept. Filters are taken from the filter tree
+   * if there is one, otherwise from the filter object.]
+   *
+   * @param {[object]} queryData [Required queryData of a parsed request.]
+   * @param {[array]} parameters [Optional registered custom parameters, only the ones with a build function are added.]
+   * @return {[string]} queryString [Percent-encoded query string without leading question mark. Example: "include=author&sort=-created".]
+   *
+   **/
+  static buildQueryString (queryData, parameters) {
+    let queryParts = [];
+
+    if(queryData.include && queryData.include.length) {
+      queryParts.push(JsonApiUrlBuilder.buildQueryPart(['include'], JsonApiUrlBuilder.sortUnique(queryData.include)));
+    }
+
+    Object.keys(queryData.fields || {}).sort().forEach(function(fieldsType) {
+      queryParts.push(JsonApiUrlBuilder.buildQueryPart(['fields', fieldsType], JsonApiUrlBuilder.sortUnique(queryData.fields[fieldsType])));
+    });
+
+    if(queryData.sort && queryData.sort.length) {
+      queryParts.push(JsonApiUrlBuilder.buildQueryPart(['sort'], queryData.sort));
+    }
+
+    Object.keys(queryData.page || {}).sort().forEach(function(pageKey) {
+      queryParts.push(JsonApiUrlBuilder.buildQueryPart(['page', pageKey], [queryData.page[pageKey]]));
+    });
+
+    if(queryData.filterTree) {
+      queryParts = queryParts.concat(JsonApiUrlBuilder.buildFilterParts(queryData.filterTree));
+    } else {
+      Object.keys(queryData.filter || {}).sort().forEach(function(filterKey) {
+        let filterValue = queryData.filter[filterKey];
+
+        if(typeof filterValue !== 'object') {
+          queryParts.push(JsonApiUrlBuilder.buildQueryPart(['filter', filterKey], [filterValue]));
+          return;
+        }
+
+        Object.keys(filterValue).sort().forEach(function(column) {
+          queryParts.push(JsonApiUrlBuilder.buildQueryPart(['filter', filterKey, column], [filterValue[column]]));
+        });
+      });
+    }
+
+    return queryParts.concat(JsonApiUrlBuilder.buildCustomParts(queryData, parameters || [])).join('&');
+  }
+
+  /**
+   * [Builds the query string pieces of the custom parameters. The build function of each parameter returns its query parameters
+   * as object of decoded names and values, lists are joined with commas. Values that are null or undefined are left out.]
+   *
+   * @param {[object]} queryData [Required queryData of a parsed request.]
+   * @param {[array]} parameters [Required registered custom parameters.]
+   * @return {[array]} queryParts [Query string pieces. Example: ["meta[count]=true", "search=json"].]
+   *
+   **/
+  static buildCustomParts (queryData, parameters) {
+    let queryParts = [];
+
+    parameters.forEach(function(parameter) {
+      let value = queryData[parameter.name];
+      let builtParameters = (parameter.build && value !== null && value !== undefined ? parameter.build(value) : {});
+
+      Object.keys(builtParameters || {}).sort().forEach(function(parameterName) {
+        let builtValue = builtParameters[parameterName];
+        let nameMatch = /^([^\[\]]+)((?:\[[^\[\]]*\])*)$/.exec(parameterName);
+        let nameParts = (nameMatch && nameMatch[2].length ? [nameMatch[1]].concat(nameMatch[2].slice(1, -1).split('][')) : [parameterName]);
+
+        if(builtValue === null || builtValue === undefined) {
+          return;
+        }
+
+        queryParts.push(JsonApiUrlBuilder.buildQueryPart(nameParts, [].concat(builtValue).map(String)));
+      });
+    });
+
+    return queryParts;
+  }
+
+  /**
+   * [Builds the sorted filter query string pieces of a filter tree. Conditions keep their original parameter name,
+   * conditions without one get "filter[path][field][operator]" with numbered groups.]
+   *
+   * @param {[object]} filterTree [Required root group node of the filter tree.]
+   * @return {[array]} queryParts [Sorted filter query string pieces. Example: ["filter[age][lt]=15", "filter[name]=john"].]
+   *
+   **/
+  static buildFilterParts (filterTree) {
+    let queryParts = [];
+    let addConditions = function(group, groupSegments) {
+      group.children.forEach(function(child, index) {
+        if(child.type !== 'condition') {
+          addConditions(child, groupSegments.concat(child.type, String(index)));
+          return;
+        }
+
+        let nameParts = (child.parameter ? FilterParser.splitFilterString({ parameter: child.parameter, value: '', values: [''] }).segments
+                                         : groupSegments.concat(child.path, child.field, (child.operator === 'eq' ? [] : child.operator)));
+
+        queryParts.push(JsonApiUrlBuilder.buildQueryPart(['filter'].concat(nameParts), [].concat(child.value)));
+      });
+    };
+
+    addConditions(filterTree, []);
+
+    return queryParts.sort();
+  }
+
+  /**
+   * [Builds a single query string piece. The parameter name parts are wrapped in brackets and all values are percent-encoded
+   * separately, so the commas separating them stay intact. Coerced dates are written as ISO 8601 strings.]
+   *
+   * @param {[array]} nameParts [Required parameter family followed by its bracket keys. Example: ["fields", "article"].]
+   * @param {[array]} values [Required list of values. Example: ["body", "title"].]
+   * @return {[string]} queryPart [Query string piece. Example: "fields[article]=body,title".]
+   *
+   **/
+  static buildQueryPart (nameParts, values) {
+    let parameterName = nameParts.map(function(namePart, index) {
+      return (index === 0 ? encodeURIComponent(namePart) : '[' + encodeURIComponent(namePart) + ']');
+    }).join('');
+
+    return parameterName + '=' + values.map(function(value) {
+      return encodeURIComponent(value instanceof Date ? value.toISOString() : value);
+    }).join(',');
+  }
+
+  /**
+   * [Returns a sorted copy of the given list without duplicates.]
+   *
+   * @param {[array]} list [Required list of strings. Example: ["title", "body", "title"].]
+   * @return {[array]} [Sorted list without duplicates. Example: ["body", "title"].]
+   *
+   **/
+  static sortUnique (list) {
+    return list.filter(function(item, index) {
+      return list.indexOf(item) === index;
+    }).sort();
+  }
+
+}
+
+module.exports = JsonApiUrlBuilder;
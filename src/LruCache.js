@@ -0,0 +1,70 @@
+'use strict';
+
+
+class LruCache {
+
+  /**
+   * [Creates a cache holding up to maxSize entries. Reading or writing an entry marks it as most recently used, the least
+   * recently used entry is evicted once the cache is full.]
+   *
+   * @param {[number]} maxSize [Required maximum amount of entries. Example: 1000.]
+   *
+   **/
+  constructor (maxSize) {
+    if(!Number.isInteger(maxSize) || maxSize < 1) {
+      throw new TypeError('The maximum size of the cache must be a positive integer.');
+    }
+
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  /**
+   * [Returns the cached value of a key and marks it as most recently used.]
+   *
+   * @param {[string]} key [Required cache key. Example: "include=author".]
+   * @return {[mixed]} value [The cached value or undefined if the key is not cached.]
+   *
+   **/
+  get (key) {
+    if(!this.entries.has(key)) {
+      return undefined;
+    }
+
+    let value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    return value;
+  }
+
+  /**
+   * [Caches a value and evicts the least recently used entry if the cache is full.]
+   *
+   * @param {[string]} key [Required cache key. Example: "include=author".]
+   * @param {[mixed]} value [Required value to cache.]
+   * @return {[object]} this [The cache instance to allow chaining.]
+   *
+   **/
+  set (key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    if(this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return this;
+  }
+
+  /**
+   * [Removes all cached entries.]
+   *
+   **/
+  clear () {
+    this.entries.clear();
+  }
+
+}
+
+module.exports = LruCache;
@@ -0,0 +1,354 @@
+'use strict';
+
+const RouteTable = require('./RouteTable');
+const ResourceRegistry = require('./ResourceRegistry');
+
+/**
+ * [Defines the OpenAPI schemas of the attribute types. Attributes without known type are documented as string.]
+ **/
+let ATTRIBUTE_SCHEMAS = Object.freeze({
+  integer: { type: 'integer' },
+  float: { type: 'number' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' }
+});
+
+/**
+ * [Defines the depth of the example relationship paths (include, sort and filter) if the depth is unlimited. The lists are
+ * documented as open then, as the parser accepts deeper paths too.]
+ **/
+let DEFAULT_PATH_DEPTH = 2;
+
+
+class OpenApiBuilder {
+
+  /**
+   * [Builds the OpenAPI 3 query parameter objects of the given JSON API parameter families for a resource type. include and
+   * sort are documented as comma-separated lists (style form), fields, page and filter as deepObject.
+   *
+   * Settings:
+   *   maxDepth: Maximum amount of relationships per include, sort and filter path. Default: null (unlimited, the paths up to
+   *     depth 2 are listed as examples and deeper paths are allowed).
+   *   paginationStrategies: List of PaginationStrategy instances documented in page. Default: [].
+   *   filterOperators: Object of enabled filter operator definitions by name. Default: {}.]
+   *
+   * @param {[object]} registry [Required ResourceRegistry containing the resource type.]
+   * @param {[string]} type [Required resource type of the primary data. Example: "article".]
+   * @param {[array]} families [Required parameter families to document. Example: ["include", "fields", "sort", "page", "filter"].]
+   * @param {[object]} settings [Optional settings. Example: { maxDepth: 2, paginationStrategies: [new OffsetPagination()], filterOperators: { eq: { arity: 1 } } }.]
+   * @return {[array]} parameters [List of OpenAPI parameter objects. Example: [{ name: "include", in: "query", style: "form", explode: false, schema: { ... } }].]
+   *
+   **/
+  static buildParameters (registry, type, families, settings) {
+    let options = Object.assign({
+      maxDepth: null,
+      paginationStrategies: [],
+      filterOperators: {}
+    }, settings);
+
+    let isOpen = (typeof options.maxDepth !== 'number');
+    let maxDepth = (isOpen ? DEFAULT_PATH_DEPTH : options.maxDepth);
+    let resourcePaths = OpenApiBuilder.buildResourcePaths(registry, type, maxDepth);
+    let parameters = [];
+
+    if(families.indexOf('include') !== -1 && resourcePaths.length > 1) {
+      parameters.push(OpenApiBuilder.buildListParameter('include', 'Relationship paths to include.', resourcePaths.slice(1).map(function(resourcePath) {
+        return resourcePath.path;
+      }), isOpen));
+    }
+
+    if(families.indexOf('fields') !== -1) {
+      parameters.push(OpenApiBuilder.buildFieldsParameter(registry));
+    }
+
+    let sortKeys = (families.indexOf('sort') !== -1 ? OpenApiBuilder.buildSortKeys(registry, resourcePaths) : []);
+
+    if(sortKeys.length) {
+      parameters.push(OpenApiBuilder.buildListParameter('sort', 'Sort keys, a leading "-" sorts descending.', sortKeys, isOpen));
+    }
+
+    if(families.indexOf('page') !== -1 && options.paginationStrategies.length) {
+      parameters.push(OpenApiBuilder.buildPageParameter(options.paginationStrategies));
+    }
+
+    if(families.indexOf('filter') !== -1) {
+      parameters.push({
+        name: 'filter',
+        in: 'query',
+        required: false,
+        description: 'Filters by attribute, optionally with an operator key (filter[field][operator]). Groups use filter[and] and filter[or].' +
+          (isOpen ? ' Relationships can be followed to any depth.' : ''),
+        style: 'deepObject',
+        explode: true,
+        schema: OpenApiBuilder.buildFilterSchema(registry, registry.get(type), maxDepth, options.filterOperators, isOpen)
+      });
+    }
+
+    return parameters;
+  }
+
+  /**
+   * [Lists the resource type and every relationship path reachable from it, breadth first.]
+   *
+   * @param {[object]} registry [Required ResourceRegistry.]
+   * @param {[string]} type [Required resource type to start from. Example: "article".]
+   * @param {[number]} maxDepth [Required maximum amount of relationships per path. Example: 2.]
+   * @return {[array]} resourcePaths [List of paths and their resource definitions, starting with the empty path of the type itself.
+   * Example: [{ path: "", resource: { type: "article", ... } }, { path: "author", resource: { type: "user", ... } }].]
+   *
+   **/
+  static buildResourcePaths (registry, type, maxDepth) {
+    let resourcePaths = [{ path: '', depth: 0, resource: registry.get(type) }];
+
+    for(let i = 0; i < resourcePaths.length; i++) {
+      let resourcePath = resourcePaths[i];
+
+      if(resourcePath.depth >= maxDepth) {
+        continue;
+      }
+
+      Object.keys(resourcePath.resource.relationships).forEach(function(relationshipName) {
+        let relatedResource = registry.get(resourcePath.resource.relationships[relationshipName].type);
+
+        if(relatedResource) {
+          resourcePaths.push({
+            path: (resourcePath.path.length ? resourcePath.path + '.' : '') + relationshipName,
+            depth: resourcePath.depth + 1,
+            resource: relatedResource
+          });
+        }
+      });
+    }
+
+    return resourcePaths.map(function(resourcePath) {
+      return { path: resourcePath.path, resource: resourcePath.resource };
+    });
+  }
+
+  /**
+   * [Builds a comma-separated list parameter with the allowed values. Open lists take the values as example only, as
+   * deeper relationship paths are allowed too.]
+   *
+   * @param {[string]} name [Required parameter name. Example: "include".]
+   * @param {[string]} description [Required parameter description.]
+   * @param {[array]} values [Required allowed values. Example: ["author", "comment.user"].]
+   * @param {[boolean]} isOpen [Optional, true if the relationship paths are not limited in depth.]
+   * @return {[object]} parameter [OpenAPI parameter object.]
+   *
+   **/
+  static buildListParameter (name, description, values, isOpen) {
+    return {
+      name: name,
+      in: 'query',
+      required: false,
+      description: description + (isOpen ? ' Relationship paths of any depth are allowed.' : ''),
+      style: 'form',
+      explode: false,
+      schema: (isOpen ? {
+        type: 'array',
+        items: { type: 'string' },
+        example: values
+      } : {
+        type: 'array',
+        items: { type: 'string', enum: values }
+      })
+    };
+  }
+
+  /**
+   * [Builds the fields parameter with one comma-separated field list per registered resource type, as sparse fieldsets
+   * are validated against all of them.]
+   *
+   * @param {[object]} registry [Required ResourceRegistry.]
+   * @return {[object]} parameter [OpenAPI parameter object.]
+   *
+   **/
+  static buildFieldsParameter (registry) {
+    let properties = {};
+
+    Object.keys(registry.resources).forEach(function(type) {
+      let resource = registry.resources[type];
+      let fieldNames = Object.keys(resource.attributes).concat(Object.keys(resource.relationships));
+      let fieldPattern = '(' + fieldNames.map(RouteTable.escapeRegex).join('|') + ')';
+
+      if(!fieldNames.length) {
+        return;
+      }
+
+      properties[resource.type] = {
+        type: 'string',
+        description: 'Comma-separated fields of "' + resource.type + '": ' + fieldNames.join(', ') + '.',
+        pattern: '^' + fieldPattern + '(,' + fieldPattern + ')*$'
+      };
+    });
+
+    return {
+      name: 'fields',
+      in: 'query',
+      required: false,
+      description: 'Sparse fieldsets by resource type.',
+      style: 'deepObject',
+      explode: true,
+      schema: {
+        type: 'object',
+        properties: properties,
+        additionalProperties: false
+      }
+    };
+  }
+
+  /**
+   * [Lists the names a sort key or filter can use on a resource: the id, the attributes and the relationships. Whether they
+   * are sortable or filterable is decided by ResourceRegistry.resolveAttribute, just like the parser validates them.]
+   *
+   * @param {[object]} resource [Required resource definition.]
+   * @return {[array]} memberNames [List of names. Example: ["id", "title", "author"].]
+   *
+   **/
+  static listMemberNames (resource) {
+    return ['id'].concat(Object.keys(resource.attributes), Object.keys(resource.relationships)).filter(function(memberName, index, memberNames) {
+      return memberNames.indexOf(memberName) === index;
+    });
+  }
+
+  /**
+   * [Lists the sort keys of all sortable members along the resource paths, each ascending and descending.]
+   *
+   * @param {[object]} registry [Required ResourceRegistry.]
+   * @param {[array]} resourcePaths [Required resource paths as returned by buildResourcePaths.]
+   * @return {[array]} sortKeys [List of sort keys. Example: ["id", "-id", "title", "-title", "author.id", "-author.id", "author.name", "-author.name"].]
+   *
+   **/
+  static buildSortKeys (registry, resourcePaths) {
+    let sortKeys = [];
+
+    resourcePaths.forEach(function(resourcePath) {
+      OpenApiBuilder.listMemberNames(resourcePath.resource).forEach(function(memberName) {
+        let sortKey = (resourcePath.path.length ? resourcePath.path + '.' : '') + memberName;
+        let attribute = registry.resolveAttribute(resourcePath.resource.type, memberName);
+
+        if(attribute && attribute.sortable) {
+          sortKeys.push(sortKey, '-' + sortKey);
+        }
+      });
+    });
+
+    return sortKeys;
+  }
+
+  /**
+   * [Builds the page parameter with the keys of all pagination strategies. The integer keys of a strategy are documented as
+   * integers with their smallest allowed value, the other keys as strings.]
+   *
+   * @param {[array]} paginationStrategies [Required list of PaginationStrategy instances.]
+   * @return {[object]} parameter [OpenAPI parameter object.]
+   *
+   **/
+  static buildPageParameter (paginationStrategies) {
+    let properties = {};
+
+    paginationStrategies.forEach(function(strategy) {
+      strategy.keys.forEach(function(pageKey) {
+        let isInteger = Object.prototype.hasOwnProperty.call(strategy.integerKeys, pageKey);
+
+        properties[pageKey] = (isInteger ? { type: 'integer', minimum: strategy.integerKeys[pageKey] } : { type: 'string' });
+      });
+    });
+
+    return {
+      name: 'page',
+      in: 'query',
+      required: false,
+      description: 'Pagination, the keys of one strategy can be combined: ' + paginationStrategies.map(function(strategy) {
+        return strategy.name + ' (' + strategy.keys.join(', ') + ')';
+      }).join(', ') + '.',
+      style: 'deepObject',
+      explode: true,
+      schema: {
+        type: 'object',
+        properties: properties,
+        additionalProperties: false
+      }
+    };
+  }
+
+  /**
+   * [Builds the filter schema of a resource. The id, filterable attributes and relationships take a value or an object of
+   * operators, relationships filter by related id and also nest the filter schema of their resource up to the maximum depth.
+   * In open schemas the relationships at the maximum depth accept further nested filters.
+   * Operator values are typed like the attribute unless the parser leaves them uncoerced (like, operators with their own
+   * coercion and comma-separated lists).
+   *
+   * @param {[object]} registry [Required ResourceRegistry.]
+   * @param {[object]} resource [Required resource definition.]
+   * @param {[number]} depth [Required remaining amount of relationships to follow.]
+   * @param {[object]} filterOperators [Required object of enabled filter operator definitions by name.]
+   * @param {[boolean]} isOpen [Optional, true if the relationship paths are not limited in depth.]
+   * @return {[object]} schema [OpenAPI schema object. Example: { type: "object", properties: { title: { oneOf: [...] } } }.]
+   *
+   **/
+  static buildFilterSchema (registry, resource, depth, filterOperators, isOpen) {
+    let properties = {};
+
+    OpenApiBuilder.listMemberNames(resource).forEach(function(memberName) {
+      let attribute = registry.resolveAttribute(resource.type, memberName);
+
+      if(!attribute || !attribute.filterable) {
+        return;
+      }
+
+      let relationship = ResourceRegistry.getMember(resource.relationships, memberName);
+      let relatedResource = (relationship ? registry.get(relationship.type) : null);
+      let isNested = Boolean(relatedResource && depth > 0);
+      let valueSchema = OpenApiBuilder.buildAttributeSchema(attribute);
+      let objectProperties = {};
+
+      if(isNested) {
+        objectProperties = OpenApiBuilder.buildFilterSchema(registry, relatedResource, depth - 1, filterOperators, isOpen).properties;
+      }
+
+      Object.keys(filterOperators).forEach(function(operatorName) {
+        let operator = filterOperators[operatorName];
+        let isTyped = (operator.arity === 1 && operatorName !== 'like' && !operator.coerce);
+
+        objectProperties[operatorName] = (isTyped ? valueSchema : { type: 'string' });
+      });
+
+      properties[memberName] = {
+        oneOf: [valueSchema, { type: 'object', properties: objectProperties, additionalProperties: Boolean(relatedResource && !isNested && isOpen) }]
+      };
+    });
+
+    return {
+      type: 'object',
+      properties: properties
+    };
+  }
+
+  /**
+   * [Returns the OpenAPI schema of an attribute value.]
+   *
+   * @param {[object]} attribute [Required attribute settings. Example: { type: "integer", sortable: true, filterable: true }.]
+   * @return {[object]} schema [OpenAPI schema object. Example: { type: "integer" }.]
+   *
+   **/
+  static buildAttributeSchema (attribute) {
+    let schema = (Object.prototype.hasOwnProperty.call(ATTRIBUTE_SCHEMAS, attribute.type) ? ATTRIBUTE_SCHEMAS[attribute.type] : { type: 'string' });
+
+    return Object.assign({}, schema);
+  }
+
+  /**
+   * [Converts a route template with ":param" segments into an OpenAPI path with "{param}" segments.]
+   *
+   * @param {[string]} template [Required route template. Example: "/api/:version/article/:id".]
+   * @return {[string]} path [OpenAPI path. Example: "/api/{version}/article/{id}".]
+   *
+   **/
+  static toOpenApiPath (template) {
+    return template.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, '{$1}');
+  }
+
+}
+
+module.exports = OpenApiBuilder;
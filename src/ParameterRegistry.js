@@ -0,0 +1,114 @@
+'use strict';
+
+const RouteTable = require('./RouteTable');
+
+/**
+ * [Defines the queryData members filled by the parser itself. Custom parameters can not use them as name.]
+ **/
+let QUERY_DATA_MEMBERS = Object.freeze(['include', 'includeTree', 'fields', 'sort', 'sorting', 'page', 'pagination', 'filter', 'filterTree']);
+
+/**
+ * [Defines the names that would reach the object prototype of queryData.]
+ **/
+let FORBIDDEN_NAMES = Object.freeze(['__proto__', 'constructor', 'prototype']);
+
+
+class ParameterRegistry {
+
+  /**
+   * [Creates an empty registry of custom query parameter families.]
+   **/
+  constructor () {
+    this.parameters = [];
+  }
+
+  /**
+   * [Registers a custom query parameter family. A definition with the same name replaces the existing one.
+   *
+   * Definition:
+   *   name: Name of the queryData member holding the parsed value. Required.
+   *   pattern: RegExp matched against each decoded parameter name. Default: the name with any amount of bracket keys.
+   *   parse: function(token, currentValue, match) returning the new queryData value. Required.
+   *   validate: function(token, match) returning false if the parameter is invalid. Optional.
+   *   defaultValue: Value of the queryData member while the parameter is missing. Default: null.
+   *   build: function(value) returning the query parameters of the value as object for buildUrl. Optional.
+   *   openApi: OpenAPI parameter object settings for buildOpenApiParameters, e.g. { schema: { type: "string" } }. Optional.]
+   *
+   * @param {[object]} definition [Required parameter definition. Example: { name: "search", parse: function(token) { return token.value; } }.]
+   * @return {[object]} parameter [Normalized parameter definition.]
+   *
+   **/
+  register (definition) {
+    if(!definition || typeof definition.name !== 'string' || !definition.name.length) {
+      throw new TypeError('Query parameter definition requires a name', 'ParameterRegistry.js');
+    }
+
+    if(QUERY_DATA_MEMBERS.indexOf(definition.name) !== -1 || FORBIDDEN_NAMES.indexOf(definition.name) !== -1) {
+      throw new TypeError('Query parameter can not use the reserved name "' + definition.name + '"', 'ParameterRegistry.js');
+    }
+
+    if(typeof definition.parse !== 'function') {
+      throw new TypeError('Query parameter "' + definition.name + '" requires a parse function', 'ParameterRegistry.js');
+    }
+
+    if(definition.pattern !== undefined && !(definition.pattern instanceof RegExp)) {
+      throw new TypeError('The pattern of query parameter "' + definition.name + '" must be a RegExp', 'ParameterRegistry.js');
+    }
+
+    let parameter = {
+      name: definition.name,
+      pattern: definition.pattern || new RegExp('^' + RouteTable.escapeRegex(definition.name) + '(\\[[^\\[\\]]*\\])*$'),
+      parse: definition.parse,
+      validate: definition.validate,
+      defaultValue: (definition.defaultValue === undefined ? null : definition.defaultValue),
+      build: definition.build,
+      openApi: definition.openApi || null
+    };
+    let existingIndex = this.parameters.findIndex(function(existingParameter) {
+      return existingParameter.name === parameter.name;
+    });
+
+    if(existingIndex === -1) {
+      this.parameters.push(parameter);
+    } else {
+      this.parameters[existingIndex] = parameter;
+    }
+
+    return parameter;
+  }
+
+  /**
+   * [Finds the first registered parameter whose pattern matches the parameter name.]
+   *
+   * @param {[string]} parameterName [Required decoded parameter name. Example: "meta[count]".]
+   * @return {[object]} result [The parameter definition and the pattern match or null. Example: { parameter: { name: "meta", ... }, match: ["meta[count]", "count"] }.]
+   *
+   **/
+  match (parameterName) {
+    for(let i = 0; i < this.parameters.length; i++) {
+      let match = this.parameters[i].pattern.exec(parameterName);
+
+      if(match) {
+        return {
+          parameter: this.parameters[i],
+          match: match
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * [Checks whether any parameter is registered.]
+   *
+   * @return {[boolean]} [True if no parameter is registered.]
+   *
+   **/
+  isEmpty () {
+    return this.parameters.length === 0;
+  }
+
+}
+
+module.exports = ParameterRegistry;
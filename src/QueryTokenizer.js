@@ -0,0 +1,107 @@
+'use strict';
+
+const JsonApiError = require('./JsonApiError');
+
+
+class QueryTokenizer {
+
+  /**
+   * [Splits a query string into its parameters. The pieces are split by "&", their names and values by the first "=" and the
+   * list values by ",", all before decoding. Every part is decoded on its own afterwards, so encoded separators like %26, %3D
+   * or %2C are kept as literal characters and "+" is read as space. Pieces with a malformed percent-encoding are skipped.]
+   *
+   * @param {[string]} queryString [Required query string without leading question mark. Example: "filter[name]=a%3Db&include=user,comment".]
+   * @param {[function]} reportError [Optional callback receiving a JsonApiError for each malformed piece.]
+   * @return {[array]} tokens [List of decoded tokens. Example: [{ parameter: "filter[name]", value: "a=b", values: ["a=b"] }, { parameter: "include", value: "user,comment", values: ["user", "comment"] }].]
+   *
+   **/
+  static tokenize (queryString, reportError) {
+    let tokens = [];
+
+    queryString.split('&').forEach(function(queryPart) {
+      if(!queryPart.length) {
+        return;
+      }
+
+      let separatorIndex = queryPart.indexOf('=');
+      let rawParameter = (separatorIndex === -1 ? queryPart : queryPart.slice(0, separatorIndex));
+      let rawValue = (separatorIndex === -1 ? null : queryPart.slice(separatorIndex + 1));
+      let parameter = QueryTokenizer.decode(rawParameter);
+      let value = (rawValue === null ? null : QueryTokenizer.decode(rawValue));
+
+      if(parameter === undefined || value === undefined) {
+        if(reportError) {
+          reportError(new JsonApiError({
+            code: 'INVALID_ENCODING',
+            title: 'Invalid query parameter encoding',
+            detail: 'The query parameter "' + (parameter === undefined ? rawParameter : parameter) + '" contains a malformed percent-encoding.',
+            source: { parameter: (parameter === undefined ? rawParameter : parameter) }
+          }));
+        }
+
+        return;
+      }
+
+      tokens.push({
+        parameter: parameter,
+        value: value,
+        values: QueryTokenizer.splitValues(rawValue, value)
+      });
+    });
+
+    return tokens;
+  }
+
+  /**
+   * [Returns the token of a single query string piece. Tokens are returned as they are, so parse functions accept both.]
+   *
+   * @param {[mixed]} queryPart [Required query string piece or token. Example: "fields[article]=title,body".]
+   * @return {[object]} token [Decoded token, the value is null if the piece has none. Example: { parameter: "fields[article]", value: "title,body", values: ["title", "body"] }.]
+   *
+   **/
+  static toToken (queryPart) {
+    if(typeof queryPart !== 'string') {
+      return queryPart;
+    }
+
+    return QueryTokenizer.tokenize(queryPart)[0] || { parameter: '', value: null, values: [] };
+  }
+
+  /**
+   * [Splits a raw value by its unencoded commas and decodes each value. Values without comma reuse the decoded value.]
+   *
+   * @param {[string]} rawValue [Optional raw value, null if the piece has none. Example: "a%2Cb,c".]
+   * @param {[string]} value [Optional decoded value. Example: "a,b,c".]
+   * @return {[array]} values [List of decoded values. Example: ["a,b", "c"].]
+   *
+   **/
+  static splitValues (rawValue, value) {
+    if(rawValue === null) {
+      return [];
+    }
+
+    return (rawValue.indexOf(',') === -1 ? [value] : rawValue.split(',').map(QueryTokenizer.decode));
+  }
+
+  /**
+   * [Decodes a single part of a query string. Plus signs are decoded as spaces.]
+   *
+   * @param {[string]} component [Required raw query string part. Example: "John+Doe%2C%20Jr.".]
+   * @return {[string]} decoded [The decoded part or undefined if its percent-encoding is malformed. Example: "John Doe, Jr.".]
+   *
+   **/
+  static decode (component) {
+    if(component.indexOf('%') === -1 && component.indexOf('+') === -1) {
+      return component;
+    }
+
+    try {
+      return decodeURIComponent(component.replace(/\+/g, ' '));
+    } catch(error) {
+      return undefined;
+    }
+  }
+
+}
+
+module.exports = QueryTokenizer;
@@ -0,0 +1,168 @@
+'use strict';
+
+class ResourceRegistry {
+
+  /**
+   * [Creates an empty registry of resource definitions.]
+   **/
+  constructor () {
+    this.resources = {};
+  }
+
+  /**
+   * [Normalizes and stores a resource definition. Attributes and relationships can be given as a list of names or
+   * as an object with settings per name. Attribute settings: { type, sortable, filterable }, a string is used as type.
+   * Relationship settings: { type } with the target resource type, a string is used as type.]
+   *
+   * @param {[object]} definition [Required resource definition. Example: { type: "article", attributes: ["title"], relationships: { author: "user" } }.]
+   * @return {[object]} resource [The normalized resource definition.]
+   *
+   **/
+  register (definition) {
+    if(!definition || typeof definition.type !== 'string' || !definition.type.length) {
+      throw new TypeError('Resource definition requires a type name', 'ResourceRegistry.js');
+    }
+
+    let resource = {
+      type: definition.type,
+      attributes: {},
+      relationships: {}
+    };
+
+    ResourceRegistry.normalizeMembers(definition.attributes).forEach(function(member) {
+      if(member.settings === null || typeof member.settings !== 'object') {
+        member.settings = (typeof member.settings === 'string' ? { type: member.settings } : {});
+      }
+
+      resource.attributes[member.name] = Object.assign({
+        type: null,
+        sortable: true,
+        filterable: true
+      }, member.settings);
+    });
+
+    ResourceRegistry.normalizeMembers(definition.relationships).forEach(function(member) {
+      if(member.settings === null || typeof member.settings !== 'object') {
+        member.settings = { type: (member.settings === true ? member.name : member.settings) };
+      }
+
+      if(typeof member.settings.type !== 'string') {
+        throw new TypeError('Relationship "' + member.name + '" of "' + definition.type + '" requires a target type', 'ResourceRegistry.js');
+      }
+
+      resource.relationships[member.name] = Object.assign({}, member.settings);
+    });
+
+    this.resources[resource.type] = resource;
+
+    return resource;
+  }
+
+  /**
+   * [Returns the registered definition of the given type.]
+   *
+   * @param {[string]} type [Required resource type. Example: "article".]
+   * @return {[object]} resource [The resource definition or null if the type is unknown.]
+   *
+   **/
+  get (type) {
+    return (Object.prototype.hasOwnProperty.call(this.resources, type) ? this.resources[type] : null);
+  }
+
+  /**
+   * [Checks whether any resource has been registered yet.]
+   *
+   * @return {[boolean]} [True if no resources are registered.]
+   *
+   **/
+  isEmpty () {
+    return Object.keys(this.resources).length === 0;
+  }
+
+  /**
+   * [Follows a list of relationship names from the given type and returns the resource at the end of the path.]
+   *
+   * @param {[string]} type [Required resource type to start from. Example: "article".]
+   * @param {[array]} relationshipPath [Required list of relationship names. Example: ["comment", "user"].]
+   * @return {[object]} resource [The resource definition at the end of the path or null if the path is unknown.]
+   *
+   **/
+  resolvePath (type, relationshipPath) {
+    let resource = this.get(type);
+
+    for(let i = 0; resource && i < relationshipPath.length; i++) {
+      let relationship = ResourceRegistry.getMember(resource.relationships, relationshipPath[i]);
+      resource = (relationship ? this.get(relationship.type) : null);
+    }
+
+    return resource;
+  }
+
+  /**
+   * [Resolves a possibly dot-separated attribute path (author.name) to its attribute settings. Validation, coercion and the
+   * OpenAPI documentation all resolve sort keys and filters with it.
+   * The resource id is treated as a sortable and filterable attribute, relationships only as filterable (by related id).]
+   *
+   * @param {[string]} type [Required resource type the path starts from. Example: "article".]
+   * @param {[string]} attributePath [Required attribute path. Example: "author.name".]
+   * @return {[object]} attribute [The attribute settings or null if the attribute is unknown.]
+   *
+   **/
+  resolveAttribute (type, attributePath) {
+    let pathSplit = attributePath.split('.');
+    let attributeName = pathSplit.pop();
+    let resource = this.resolvePath(type, pathSplit);
+
+    if(!resource) {
+      return null;
+    }
+
+    if(attributeName === 'id') {
+      return { type: null, sortable: true, filterable: true };
+    }
+
+    if(ResourceRegistry.getMember(resource.relationships, attributeName)) {
+      return { type: null, sortable: false, filterable: true };
+    }
+
+    return ResourceRegistry.getMember(resource.attributes, attributeName);
+  }
+
+  /**
+   * [Returns the settings of a resource member (attribute or relationship) without falling back on prototype keys.]
+   *
+   * @param {[object]} members [Required attributes or relationships of a resource definition.]
+   * @param {[string]} name [Required member name. Example: "title".]
+   * @return {[object]} settings [The member settings or null if the member does not exist.]
+   *
+   **/
+  static getMember (members, name) {
+    return (Object.prototype.hasOwnProperty.call(members, name) ? members[name] : null);
+  }
+
+  /**
+   * [Converts a list of names or an object of settings into a list of { name, settings } pairs.]
+   *
+   * @param {[array|object]} members [Optional member list. Example: ["title", "body"] or { title: { sortable: false } }.]
+   * @return {[array]} [List of normalized members.]
+   *
+   **/
+  static normalizeMembers (members) {
+    if(!members) {
+      return [];
+    }
+
+    if(Array.isArray(members)) {
+      return members.map(function(name) {
+        return { name: name, settings: {} };
+      });
+    }
+
+    return Object.keys(members).map(function(name) {
+      return { name: name, settings: members[name] };
+    });
+  }
+
+}
+
+module.exports = ResourceRegistry;
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * [Defines the endpoint shapes of the JSON API spec. They are matched after all registered routes.]
+ **/
+let DEFAULT_ROUTES = Object.freeze([
+  { template: ':type', options: { name: 'collection' } },
+  { template: ':type/:id', options: { name: 'resource' } },
+  { template: ':type/:id/relationships/:relationship', options: { name: 'relationship', relationships: true } },
+  { template: ':type/:id/:relationship', options: { name: 'related' } }
+]);
+
+/**
+ * [Defines the pattern of a route parameter within a template segment.]
+ **/
+let ROUTE_PARAM = /:([A-Za-z_][A-Za-z0-9_]*)/g;
+
+
+class RouteTable {
+
+  /**
+   * [Creates a route table containing the default JSON API endpoint shapes.]
+   **/
+  constructor () {
+    this.routes = [];
+    this.defaultRoutes = DEFAULT_ROUTES.map(function(defaultRoute) {
+      return RouteTable.compileRoute(defaultRoute.template, defaultRoute.options);
+    });
+  }
+
+  /**
+   * [Compiles and stores a route. Registered routes are matched in registration order before the default routes.]
+   *
+   * @param {[string]} template [Required route template. Example: "article/:id/publish".]
+   * @param {[object]} options [Optional route settings. Example: { name: "publishArticle", resourceType: "article" }.]
+   * @return {[object]} route [The compiled route.]
+   *
+   **/
+  register (template, options) {
+    let route = RouteTable.compileRoute(template, options);
+
+    this.routes.push(route);
+
+    return route;
+  }
+
+  /**
+   * [Finds the first route matching the whole endpoint path. The parameters are percent-decoded after matching, so an
+   * encoded slash stays within its segment.]
+   *
+   * @param {[string]} endpointPath [Required endpoint path without surrounding slashes. Example: "article/5/publish".]
+   * @return {[object]} routeMatch [The matched route and its parameters or null if no route matches. Example: { route: {...}, params: { id: "5" } }.]
+   *
+   **/
+  match (endpointPath) {
+    let routes = this.routes.concat(this.defaultRoutes);
+
+    for(let i = 0; i < routes.length; i++) {
+      let pathMatch = routes[i].pattern.exec(endpointPath);
+
+      if(pathMatch) {
+        let params = {};
+
+        routes[i].paramNames.forEach(function(paramName, index) {
+          params[paramName] = RouteTable.decodeSegment(pathMatch[index + 1]);
+        });
+
+        return { route: routes[i], params: params };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * [Returns the operations a registered route defines by request method.]
+   *
+   * @param {[string]} name [Required route name. Example: "publishArticle".]
+   * @return {[object]} operations [Operation names by request method or null if the route defines none. Example: { POST: "publishArticle" }.]
+   *
+   **/
+  getOperations (name) {
+    let route = this.routes.find(function(registeredRoute) {
+      return registeredRoute.name === name;
+    });
+
+    return (route ? route.operations : null);
+  }
+
+  /**
+   * [Compiles a route template into a regular expression. Segments are separated by slashes, parameters start with a colon
+   * and match any non-empty text within their segment, so one segment can hold several parameters (":articleId-:version").
+   * Literal text is matched case-insensitively.
+   *
+   * Route settings:
+   *   name: Route name. Default: the template.
+   *   resourceType: Fixed resource type. Default: the "type" parameter or the first segment of the path.
+   *   relationships: Whether the route is a relationships endpoint. Default: false.
+   *   operations: Operation names by request method. Default: null, the operations of the endpoint shape are used.]
+   *
+   * @param {[string]} template [Required route template. Example: "author/:authorId/article".]
+   * @param {[object]} options [Optional route settings.]
+   * @return {[object]} route [Compiled route. Example: { name: "author/:authorId/article", template: "author/:authorId/article", pattern: /.../i, paramNames: ["authorId"], ... }.]
+   *
+   **/
+  static compileRoute (template, options) {
+    if(typeof template !== 'string' || !RouteTable.trimSlashes(template).length) {
+      throw new TypeError('Route requires a template', 'RouteTable.js');
+    }
+
+    let settings = Object.assign({
+      name: null,
+      resourceType: null,
+      relationships: false,
+      operations: null
+    }, options);
+    let trimmedTemplate = RouteTable.trimSlashes(template);
+    let paramNames = [];
+
+    let segmentPatterns = trimmedTemplate.split('/').map(function(segment) {
+      let segmentPattern = '';
+      let lastIndex = 0;
+      let paramMatch;
+
+      ROUTE_PARAM.lastIndex = 0;
+      while((paramMatch = ROUTE_PARAM.exec(segment)) !== null) {
+        if(paramNames.indexOf(paramMatch[1]) !== -1) {
+          throw new TypeError('Route "' + template + '" uses the parameter "' + paramMatch[1] + '" twice', 'RouteTable.js');
+        }
+
+        paramNames.push(paramMatch[1]);
+        segmentPattern += RouteTable.escapeRegex(segment.slice(lastIndex, paramMatch.index)) + '([^/]+?)';
+        lastIndex = ROUTE_PARAM.lastIndex;
+      }
+
+      return segmentPattern + RouteTable.escapeRegex(segment.slice(lastIndex));
+    });
+
+    return {
+      name: settings.name || trimmedTemplate,
+      template: trimmedTemplate,
+      resourceType: settings.resourceType,
+      relationships: settings.relationships,
+      operations: settings.operations,
+      pattern: new RegExp('^' + segmentPatterns.join('/') + '$', 'i'),
+      paramNames: paramNames
+    };
+  }
+
+  /**
+   * [Escapes all characters with a special meaning in regular expressions.]
+   *
+   * @param {[string]} value [Required literal text. Example: "v1.0".]
+   * @return {[string]} [The escaped text. Example: "v1\.0".]
+   *
+   **/
+  static escapeRegex (value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * [Decodes a percent-encoded path segment. Unlike query strings, "+" is kept as it is.]
+   *
+   * @param {[string]} segment [Required raw path segment. Example: "a%20b".]
+   * @return {[string]} [The decoded segment or undefined if its percent-encoding is malformed. Example: "a b".]
+   *
+   **/
+  static decodeSegment (segment) {
+    if(segment === undefined || segment.indexOf('%') === -1) {
+      return segment;
+    }
+
+    try {
+      return decodeURIComponent(segment);
+    } catch(error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * [Removes all leading and trailing slashes.]
+   *
+   * @param {[string]} input [Required path. Example: "/article/:id/".]
+   * @return {[string]} [The trimmed path. Example: "article/:id".]
+   *
+   **/
+  static trimSlashes (input) {
+    return input.replace(/^\/+|\/+$/g, '');
+  }
+
+}
+
+module.exports = RouteTable;
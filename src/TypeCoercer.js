@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * [Defines the attribute types that values can be coerced to. The pattern validates the raw string, coerce converts it and
+ * returns undefined for values out of range: integers beyond the safe integer range and days that do not exist.]
+ **/
+let TYPE_COERCIONS = Object.freeze({
+  integer: {
+    pattern: /^[-+]?\d+$/,
+    coerce: function(value) {
+      let number = parseInt(value, 10);
+
+      return (Number.isSafeInteger(number) ? number : undefined);
+    }
+  },
+  float: {
+    pattern: /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/,
+    coerce: function(value) {
+      return parseFloat(value);
+    }
+  },
+  boolean: {
+    pattern: /^(true|false)$/,
+    coerce: function(value) {
+      return (value === 'true');
+    }
+  },
+  date: {
+    pattern: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,
+    coerce: function(value) {
+      let date = new Date(value);
+      let day = new Date(0);
+
+      // new Date rolls 2016-02-31 over to 2016-03-02, so the calendar day is rebuilt and compared with the input.
+      day.setUTCFullYear(parseInt(value.slice(0, 4), 10), parseInt(value.slice(5, 7), 10) - 1, parseInt(value.slice(8, 10), 10));
+
+      return (isNaN(date.getTime()) || day.toISOString().slice(0, 10) !== value.slice(0, 10) ? undefined : date);
+    }
+  }
+});
+
+
+class TypeCoercer {
+
+  /**
+   * [Checks whether values can be coerced to the given attribute type.]
+   *
+   * @param {[string]} type [Optional attribute type. Example: "integer".]
+   * @return {[boolean]} [True if the type is supported.]
+   *
+   **/
+  static isSupported (type) {
+    return (typeof type === 'string' && Object.prototype.hasOwnProperty.call(TYPE_COERCIONS, type));
+  }
+
+  /**
+   * [Coerces a raw query string value to the attribute type. The value "null" is coerced to null for every type.]
+   *
+   * @param {[string]} type [Required supported attribute type. Example: "date".]
+   * @param {[string]} value [Required raw value. Example: "2016-01-31T12:00:00Z".]
+   * @return {[mixed]} value [The coerced value or undefined if the value does not match the type.]
+   *
+   **/
+  static coerce (type, value) {
+    let coercion = TYPE_COERCIONS[type];
+
+    if(value === 'null') {
+      return null;
+    }
+
+    if(typeof value !== 'string' || !coercion.pattern.test(value)) {
+      return undefined;
+    }
+
+    return coercion.coerce(value);
+  }
+
+  /**
+   * [Coerces a single value or every value of a list.]
+   *
+   * @param {[string]} type [Required supported attribute type. Example: "integer".]
+   * @param {[mixed]} value [Required raw value or list of raw values. Example: ["1", "2"].]
+   * @return {[mixed]} value [The coerced value(s) or undefined if any value does not match the type.]
+   *
+   **/
+  static coerceAll (type, value) {
+    if(!Array.isArray(value)) {
+      return TypeCoercer.coerce(type, value);
+    }
+
+    let coercedValues = value.map(function(singleValue) {
+      return TypeCoercer.coerce(type, singleValue);
+    });
+
+    return (coercedValues.indexOf(undefined) === -1 ? coercedValues : undefined);
+  }
+
+}
+
+module.exports = TypeCoercer;
@@ -0,0 +1,274 @@
+'use strict';
+
+const JsonApiError = require('../JsonApiError');
+const JsonApiErrorList = require('../JsonApiErrorList');
+const FilterParser = require('../FilterParser');
+
+/**
+ * [Defines the comparison operators of the filter operators that map to a plain where clause.]
+ **/
+let COMPARISON_OPERATORS = Object.freeze({
+  eq: '=',
+  not: '<>',
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>='
+});
+
+/**
+ * [Defines the filter operators with their own query builder method next to the comparison operators.]
+ **/
+let METHOD_OPERATORS = Object.freeze(['like', 'in', 'nin', 'between', 'null']);
+
+/**
+ * [Defines the escape character of like patterns, passed with an explicit ESCAPE clause as not every dialect has a default.]
+ **/
+let LIKE_ESCAPE = '\\';
+
+/**
+ * [Defines the pattern of column names that may be used without column mapping.]
+ **/
+let SAFE_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+
+class KnexAdapter {
+
+  /**
+   * [Creates an adapter applying parsed requests to Knex query builders.
+   *
+   * Options:
+   *   columns: Maps attribute paths to columns. Example: { title: "articles.title", "author.name": "authors.name" }.
+   *   idColumn: Column always selected with sparse fieldsets. Default: "id".
+   *   mappedColumnsOnly: Only allow attributes listed in columns. Default: false, plain identifiers are used as column name.
+   *   operators: Custom filter operators. Example: { ilike: function(builder, method, column, value) { builder[method](column, "ilike", value); } }.]
+   *
+   * @param {[object]} options [Optional adapter settings.]
+   *
+   **/
+  constructor (options) {
+    this.options = Object.assign({
+      columns: {},
+      idColumn: 'id',
+      mappedColumnsOnly: false,
+      operators: {}
+    }, options);
+  }
+
+  /**
+   * [Applies the sparse fieldset, sort, pagination and filters of a parsed request to the query builder.
+   * Throws a JsonApiErrorList before touching the query builder if an attribute can not be mapped to a safe column or an
+   * operator or pagination strategy is not supported.]
+   *
+   * @param {[object]} queryBuilder [Required Knex query builder. Example: knex("articles").]
+   * @param {[object]} requestData [Required parsed request information as returned by parseRequest.]
+   * @return {[object]} queryBuilder [The modified query builder.]
+   *
+   **/
+  apply (queryBuilder, requestData) {
+    let queryData = requestData.queryData;
+    let errors = [];
+    let fields = queryData.fields[requestData.resourceType];
+    let pagination = queryData.pagination;
+    let fieldColumns = null;
+
+    this.errors = errors;
+
+    if(fields) {
+      fieldColumns = fields.map(function(field) {
+        return this.resolveColumn(field, 'fields[' + requestData.resourceType + ']');
+      }, this);
+    }
+
+    FilterParser.walkConditions(queryData.filterTree, function(condition) {
+      this.resolveColumn(condition.path.concat(condition.field).join('.'), condition.parameter);
+
+      if(!this.isSupportedOperator(condition.operator)) {
+        errors.push(new JsonApiError({
+          code: 'UNSUPPORTED_FILTER_OPERATOR',
+          title: 'Unsupported filter operator',
+          detail: 'The filter operator "' + condition.operator + '" is not supported.',
+          source: { parameter: condition.parameter }
+        }));
+      }
+    }.bind(this));
+
+    let sortColumns = queryData.sorting.map(function(sortField) {
+      return this.resolveColumn(sortField.path.concat(sortField.field).join('.'), 'sort');
+    }, this);
+
+    if(pagination && pagination.strategy !== 'offset' && pagination.strategy !== 'number') {
+      errors.push(new JsonApiError({
+        code: 'UNSUPPORTED_PAGINATION',
+        title: 'Unsupported pagination',
+        detail: 'The pagination strategy "' + pagination.strategy + '" is not supported.',
+        source: { parameter: 'page' }
+      }));
+    }
+
+    if(errors.length) {
+      throw new JsonApiErrorList(errors);
+    }
+
+    if(fieldColumns) {
+      if(fieldColumns.indexOf(this.options.idColumn) === -1) {
+        fieldColumns.unshift(this.options.idColumn);
+      }
+
+      queryBuilder.select(fieldColumns);
+    }
+
+    this.applyGroup(queryBuilder, queryData.filterTree);
+
+    queryData.sorting.forEach(function(sortField, index) {
+      queryBuilder.orderBy(sortColumns[index], sortField.direction);
+    });
+
+    if(pagination && pagination.strategy === 'offset') {
+      KnexAdapter.applyLimit(queryBuilder, pagination.limit, pagination.offset);
+    } else if(pagination) {
+      KnexAdapter.applyLimit(queryBuilder, pagination.size, (pagination.number - 1) * (pagination.size || 0));
+    }
+
+    return queryBuilder;
+  }
+
+  /**
+   * [Checks whether a filter operator can be applied by the adapter.]
+   *
+   * @param {[string]} operator [Required operator name. Example: "like".]
+   * @return {[boolean]} [True if the operator is a custom, comparison or built-in operator.]
+   *
+   **/
+  isSupportedOperator (operator) {
+    return Object.prototype.hasOwnProperty.call(this.options.operators, operator)
+      || Object.prototype.hasOwnProperty.call(COMPARISON_OPERATORS, operator)
+      || METHOD_OPERATORS.indexOf(operator) !== -1;
+  }
+
+  /**
+   * [Applies the children of a filter group. Children of "or" groups are combined with the orWhere variants,
+   * nested groups are wrapped in their own where callback.]
+   *
+   * @param {[object]} queryBuilder [Required Knex query builder.]
+   * @param {[object]} group [Required group node of the filter tree.]
+   *
+   **/
+  applyGroup (queryBuilder, group) {
+    let isOr = (group.type === 'or');
+
+    group.children.forEach(function(child) {
+      if(child.type === 'condition') {
+        this.applyCondition(queryBuilder, child, isOr);
+        return;
+      }
+
+      let adapter = this;
+      queryBuilder[isOr ? 'orWhere' : 'where'](function(nestedBuilder) {
+        adapter.applyGroup(nestedBuilder || this, child);
+      });
+    }, this);
+  }
+
+  /**
+   * [Applies a single filter condition with bound values. Like filters use a raw clause with an ESCAPE character.]
+   *
+   * @param {[object]} queryBuilder [Required Knex query builder.]
+   * @param {[object]} condition [Required condition node of the filter tree.]
+   * @param {[boolean]} isOr [Required flag to use the orWhere variants.]
+   *
+   **/
+  applyCondition (queryBuilder, condition, isOr) {
+    let column = this.resolveColumn(condition.path.concat(condition.field).join('.'), condition.parameter);
+    let prefix = (isOr ? 'orWhere' : 'where');
+    let value = condition.value;
+
+    if(Object.prototype.hasOwnProperty.call(this.options.operators, condition.operator)) {
+      this.options.operators[condition.operator](queryBuilder, prefix, column, value);
+      return;
+    }
+
+    if(Object.prototype.hasOwnProperty.call(COMPARISON_OPERATORS, condition.operator)) {
+      queryBuilder[prefix](column, COMPARISON_OPERATORS[condition.operator], value);
+      return;
+    }
+
+    switch(condition.operator) {
+      case 'like':
+        queryBuilder[prefix + 'Raw']('?? like ? escape ?', [column, '%' + KnexAdapter.escapeLike(value) + '%', LIKE_ESCAPE]);
+        break;
+      case 'in':
+        queryBuilder[prefix + 'In'](column, value);
+        break;
+      case 'nin':
+        queryBuilder[prefix + 'NotIn'](column, value);
+        break;
+      case 'between':
+        queryBuilder[prefix + 'Between'](column, value);
+        break;
+      case 'null':
+        queryBuilder[prefix + (value ? 'Null' : 'NotNull')](column);
+        break;
+    }
+  }
+
+  /**
+   * [Maps an attribute path to its column. Unmapped attributes are only used if they are plain identifiers, so no query
+   * parameter can inject SQL. Invalid attributes are collected as errors.]
+   *
+   * @param {[string]} attributePath [Required attribute path. Example: "author.name".]
+   * @param {[string]} parameter [Required query parameter for error reporting. Example: "sort".]
+   * @return {[string]} column [The column name. Example: "authors.name".]
+   *
+   **/
+  resolveColumn (attributePath, parameter) {
+    if(Object.prototype.hasOwnProperty.call(this.options.columns, attributePath)) {
+      return this.options.columns[attributePath];
+    }
+
+    if(!this.options.mappedColumnsOnly && SAFE_IDENTIFIER.test(attributePath)) {
+      return attributePath;
+    }
+
+    this.errors.push(new JsonApiError({
+      code: 'UNKNOWN_COLUMN',
+      title: 'Unknown column',
+      detail: 'The attribute "' + attributePath + '" can not be queried.',
+      source: { parameter: parameter }
+    }));
+
+    return null;
+  }
+
+  /**
+   * [Applies limit and offset, skipping the limit if there is no page size.]
+   *
+   * @param {[object]} queryBuilder [Required Knex query builder.]
+   * @param {[number]} limit [Required page size or null.]
+   * @param {[number]} offset [Required amount of skipped rows.]
+   *
+   **/
+  static applyLimit (queryBuilder, limit, offset) {
+    if(limit) {
+      queryBuilder.limit(limit);
+    }
+
+    if(offset) {
+      queryBuilder.offset(offset);
+    }
+  }
+
+  /**
+   * [Escapes the wildcard characters of a like pattern with a backslash.]
+   *
+   * @param {[string]} value [Required search value. Example: "50%".]
+   * @return {[string]} [The escaped value. Example: "50\%".]
+   *
+   **/
+  static escapeLike (value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+  }
+
+}
+
+module.exports = KnexAdapter;
@@ -0,0 +1,428 @@
+'use strict';
+
+const JsonApiError = require('../JsonApiError');
+const JsonApiErrorList = require('../JsonApiErrorList');
+const FilterParser = require('../FilterParser');
+const ResourceRegistry = require('../ResourceRegistry');
+
+/**
+ * [Defines the built-in filter operators the adapter can evaluate.]
+ **/
+let SUPPORTED_OPERATORS = Object.freeze(['eq', 'not', 'like', 'lt', 'lte', 'gt', 'gte', 'in', 'nin', 'between', 'null']);
+
+
+class MemoryAdapter {
+
+  /**
+   * [Creates an adapter applying parsed requests to arrays of JSON API resource objects.
+   *
+   * Options:
+   *   operators: Custom filter operators. Example: { startswith: function(attributeValue, filterValue) { return String(attributeValue).indexOf(filterValue) === 0; } }.]
+   *
+   * @param {[object]} options [Optional adapter settings.]
+   *
+   **/
+  constructor (options) {
+    this.options = Object.assign({
+      operators: {}
+    }, options);
+  }
+
+  /**
+   * [Filters, sorts and paginates the resources, trims them to the sparse fieldsets and collects the included resources.
+   * Relationship paths in filters and sort keys as well as include paths are resolved through the store.
+   * Throws a JsonApiErrorList if a filter operator or the pagination strategy is not supported.]
+   *
+   * @param {[array]} resources [Required list of primary resource objects. Example: [{ type: "article", id: "1", attributes: { title: "A" } }].]
+   * @param {[object]} requestData [Required parsed request information as returned by parseRequest.]
+   * @param {[array]} store [Optional list of related resource objects of any type.]
+   * @return {[object]} result [Response members. Example: { data: [...], included: [...], meta: { total: 12 } }.]
+   *
+   **/
+  apply (resources, requestData, store) {
+    let queryData = requestData.queryData;
+    let pagination = queryData.pagination;
+    let errors = [];
+
+    this.store = MemoryAdapter.indexResources((store || []).concat(resources));
+
+    FilterParser.walkConditions(queryData.filterTree, function(condition) {
+      if(SUPPORTED_OPERATORS.indexOf(condition.operator) === -1 && !Object.prototype.hasOwnProperty.call(this.options.operators, condition.operator)) {
+        errors.push(new JsonApiError({
+          code: 'UNSUPPORTED_FILTER_OPERATOR',
+          title: 'Unsupported filter operator',
+          detail: 'The filter operator "' + condition.operator + '" is not supported.',
+          source: { parameter: condition.parameter }
+        }));
+      }
+    }.bind(this));
+
+    if(pagination && pagination.strategy !== 'offset' && pagination.strategy !== 'number') {
+      errors.push(new JsonApiError({
+        code: 'UNSUPPORTED_PAGINATION',
+        title: 'Unsupported pagination',
+        detail: 'The pagination strategy "' + pagination.strategy + '" is not supported.',
+        source: { parameter: 'page' }
+      }));
+    }
+
+    if(errors.length) {
+      throw new JsonApiErrorList(errors);
+    }
+
+    let data = resources.filter(function(resource) {
+      return this.matchesGroup(resource, queryData.filterTree);
+    }, this);
+    let total = data.length;
+
+    data = this.sortResources(data, queryData.sorting);
+
+    if(pagination && pagination.strategy === 'offset') {
+      data = data.slice(pagination.offset, (pagination.limit ? pagination.offset + pagination.limit : undefined));
+    } else if(pagination && pagination.size) {
+      data = data.slice((pagination.number - 1) * pagination.size, pagination.number * pagination.size);
+    }
+
+    let included = this.collectIncluded(data, queryData.includeTree);
+
+    return {
+      data: data.map(function(resource) {
+        return MemoryAdapter.applyFieldset(resource, queryData.fields);
+      }),
+      included: included.map(function(resource) {
+        return MemoryAdapter.applyFieldset(resource, queryData.fields);
+      }),
+      meta: {
+        total: total
+      }
+    };
+  }
+
+  /**
+   * [Checks whether a resource matches a filter group. "and" groups require all children, "or" groups any child.]
+   *
+   * @param {[object]} resource [Required resource object.]
+   * @param {[object]} group [Required group node of the filter tree.]
+   * @return {[boolean]} [True if the resource matches.]
+   *
+   **/
+  matchesGroup (resource, group) {
+    let matchesChild = function(child) {
+      return (child.type === 'condition' ? this.matchesCondition(resource, child) : this.matchesGroup(resource, child));
+    }.bind(this);
+
+    return (group.type === 'or' ? group.children.some(matchesChild) : group.children.every(matchesChild));
+  }
+
+  /**
+   * [Checks whether a resource matches a filter condition. Conditions on to-many relationship paths match if any related
+   * resource matches.]
+   *
+   * @param {[object]} resource [Required resource object.]
+   * @param {[object]} condition [Required condition node of the filter tree.]
+   * @return {[boolean]} [True if the resource matches.]
+   *
+   **/
+  matchesCondition (resource, condition) {
+    let targets = this.resolvePath(resource, condition.path);
+
+    return targets.some(function(target) {
+      return this.compare(MemoryAdapter.readField(target, condition.field), condition);
+    }, this);
+  }
+
+  /**
+   * [Applies the operator of a condition to a field value. Missing values (null or undefined) never match the like, range
+   * and comparison operators. Lists (to-many ids) match if any id matches, for the negations "not" and "nin" if all ids
+   * match. Unsupported operators are rejected by apply beforehand, so the remaining case is "null".]
+   *
+   * @param {[mixed]} fieldValue [Required field value of the resource.]
+   * @param {[object]} condition [Required condition node of the filter tree.]
+   * @return {[boolean]} [True if the value matches.]
+   *
+   **/
+  compare (fieldValue, condition) {
+    let value = condition.value;
+
+    if(Object.prototype.hasOwnProperty.call(this.options.operators, condition.operator)) {
+      return this.options.operators[condition.operator](fieldValue, value);
+    }
+
+    if(Array.isArray(fieldValue) && condition.operator !== 'null') {
+      let matchesItem = function(item) {
+        return this.compare(item, condition);
+      }.bind(this);
+
+      return (condition.operator === 'not' || condition.operator === 'nin' ? fieldValue.every(matchesItem) : fieldValue.some(matchesItem));
+    }
+
+    let isMissing = (fieldValue === null || fieldValue === undefined);
+
+    switch(condition.operator) {
+      case 'eq':
+        return MemoryAdapter.compareValues(fieldValue, value) === 0;
+      case 'not':
+        return MemoryAdapter.compareValues(fieldValue, value) !== 0;
+      case 'like':
+        return (!isMissing && String(fieldValue).toLowerCase().indexOf(String(value).toLowerCase()) !== -1);
+      case 'lt':
+        return !isMissing && MemoryAdapter.compareValues(fieldValue, value) < 0;
+      case 'lte':
+        return !isMissing && MemoryAdapter.compareValues(fieldValue, value) <= 0;
+      case 'gt':
+        return !isMissing && MemoryAdapter.compareValues(fieldValue, value) > 0;
+      case 'gte':
+        return !isMissing && MemoryAdapter.compareValues(fieldValue, value) >= 0;
+      case 'in':
+        return MemoryAdapter.isListed(fieldValue, value);
+      case 'nin':
+        return !MemoryAdapter.isListed(fieldValue, value);
+      case 'between':
+        return !isMissing && MemoryAdapter.compareValues(fieldValue, value[0]) >= 0 && MemoryAdapter.compareValues(fieldValue, value[1]) <= 0;
+      default:
+        return isMissing === value;
+    }
+  }
+
+  /**
+   * [Sorts a copy of the resources by all sort fields in order.]
+   *
+   * @param {[array]} resources [Required list of resource objects.]
+   * @param {[array]} sorting [Required structured sort fields. Example: [{ field: "created", direction: "desc", path: [] }].]
+   * @return {[array]} [Sorted copy of the resources.]
+   *
+   **/
+  sortResources (resources, sorting) {
+    let sortValues = new Map();
+
+    resources.forEach(function(resource) {
+      sortValues.set(resource, sorting.map(function(sortField) {
+        let target = this.resolvePath(resource, sortField.path)[0];
+        return (target ? MemoryAdapter.readField(target, sortField.field) : undefined);
+      }, this));
+    }, this);
+
+    return resources.slice().sort(function(resourceA, resourceB) {
+      let valuesA = sortValues.get(resourceA);
+      let valuesB = sortValues.get(resourceB);
+
+      for(let i = 0; i < sorting.length; i++) {
+        let comparison = MemoryAdapter.compareValues(valuesA[i], valuesB[i]);
+
+        if(comparison !== 0) {
+          return (sorting[i].direction === 'desc' ? -comparison : comparison);
+        }
+      }
+
+      return 0;
+    });
+  }
+
+  /**
+   * [Collects the related resources of the include tree, without duplicates and without the primary resources.]
+   *
+   * @param {[array]} resources [Required list of primary resource objects.]
+   * @param {[object]} includeTree [Required include tree. Example: { comment: { user: {} } }.]
+   * @return {[array]} included [List of related resource objects.]
+   *
+   **/
+  collectIncluded (resources, includeTree) {
+    let included = [];
+    let seenKeys = {};
+
+    resources.forEach(function(resource) {
+      seenKeys[MemoryAdapter.getResourceKey(resource)] = true;
+    });
+
+    let addRelated = function(resource, tree) {
+      Object.keys(tree).forEach(function(relationshipName) {
+        this.resolvePath(resource, [relationshipName]).forEach(function(relatedResource) {
+          let resourceKey = MemoryAdapter.getResourceKey(relatedResource);
+
+          if(!seenKeys[resourceKey]) {
+            seenKeys[resourceKey] = true;
+            included.push(relatedResource);
+          }
+
+          addRelated(relatedResource, tree[relationshipName]);
+        });
+      }, this);
+    }.bind(this);
+
+    resources.forEach(function(resource) {
+      addRelated(resource, includeTree);
+    });
+
+    return included;
+  }
+
+  /**
+   * [Follows the relationships of a resource through the store.]
+   *
+   * @param {[object]} resource [Required resource object to start from.]
+   * @param {[array]} relationshipPath [Required list of relationship names. Example: ["comment", "user"].]
+   * @return {[array]} resources [All resources at the end of the path, the resource itself for an empty path.]
+   *
+   **/
+  resolvePath (resource, relationshipPath) {
+    let targets = [resource];
+
+    relationshipPath.forEach(function(relationshipName) {
+      targets = targets.reduce(function(relatedResources, target) {
+        let relationship = (target.relationships || {})[relationshipName];
+        let linkage = (relationship && relationship.data ? [].concat(relationship.data) : []);
+
+        return relatedResources.concat(linkage.map(function(identifier) {
+          return this.store[MemoryAdapter.getResourceKey(identifier)];
+        }, this).filter(Boolean));
+      }.bind(this), []);
+    }, this);
+
+    return targets;
+  }
+
+  /**
+   * [Reads an attribute, the id or the related id(s) of a relationship from a resource.]
+   *
+   * @param {[object]} resource [Required resource object.]
+   * @param {[string]} field [Required field name. Example: "title".]
+   * @return {[mixed]} value [The field value, an id or list of ids for relationships.]
+   *
+   **/
+  static readField (resource, field) {
+    if(field === 'id') {
+      return resource.id;
+    }
+
+    let relationship = ResourceRegistry.getMember(resource.relationships || {}, field);
+
+    if(relationship && Object.prototype.hasOwnProperty.call(relationship, 'data')) {
+      return (Array.isArray(relationship.data) ? relationship.data.map(function(identifier) {
+        return identifier.id;
+      }) : (relationship.data ? relationship.data.id : null));
+    }
+
+    let attributes = resource.attributes || {};
+
+    return (Object.prototype.hasOwnProperty.call(attributes, field) ? attributes[field] : undefined);
+  }
+
+  /**
+   * [Compares two values. Dates (e.g. coerced filter values) are compared by time, values that are both numeric as numbers
+   * and others as strings.
+   * Missing values (null or undefined) are sorted first.]
+   *
+   * @param {[mixed]} valueA [Required first value.]
+   * @param {[mixed]} valueB [Required second value.]
+   * @return {[number]} [Negative if valueA is smaller, 0 if equal and positive if valueA is larger.]
+   *
+   **/
+  static compareValues (valueA, valueB) {
+    let isMissingA = (valueA === null || valueA === undefined);
+    let isMissingB = (valueB === null || valueB === undefined);
+
+    if(isMissingA || isMissingB) {
+      return (isMissingA && isMissingB ? 0 : (isMissingA ? -1 : 1));
+    }
+
+    if(valueA instanceof Date || valueB instanceof Date) {
+      return new Date(valueA).getTime() - new Date(valueB).getTime();
+    }
+
+    if(MemoryAdapter.isNumeric(valueA) && MemoryAdapter.isNumeric(valueB)) {
+      return Number(valueA) - Number(valueB);
+    }
+
+    valueA = String(valueA);
+    valueB = String(valueB);
+
+    return (valueA < valueB ? -1 : (valueA > valueB ? 1 : 0));
+  }
+
+  /**
+   * [Checks whether a value equals any value of the list.]
+   *
+   * @param {[mixed]} fieldValue [Required field value of the resource.]
+   * @param {[array]} listValues [Required filter values. Example: ["1", "2", "3"].]
+   * @return {[boolean]} [True if the value is listed.]
+   *
+   **/
+  static isListed (fieldValue, listValues) {
+    return listValues.some(function(listValue) {
+      return MemoryAdapter.compareValues(fieldValue, listValue) === 0;
+    });
+  }
+
+  /**
+   * [Checks whether a value is a number or a numeric string.]
+   *
+   * @param {[mixed]} value [Required value. Example: "15".]
+   * @return {[boolean]} [True if the value is numeric.]
+   *
+   **/
+  static isNumeric (value) {
+    return (typeof value === 'number' || (typeof value === 'string' && value.trim().length > 0 && isFinite(value)));
+  }
+
+  /**
+   * [Returns a copy of the resource with only the attributes and relationships of its sparse fieldset.]
+   *
+   * @param {[object]} resource [Required resource object.]
+   * @param {[object]} fields [Required sparse fieldsets. Example: { article: ["title"] }.]
+   * @return {[object]} resource [The trimmed copy or the resource itself if there is no fieldset for its type.]
+   *
+   **/
+  static applyFieldset (resource, fields) {
+    if(!Object.prototype.hasOwnProperty.call(fields, resource.type)) {
+      return resource;
+    }
+
+    let trimmed = Object.assign({}, resource);
+
+    ['attributes', 'relationships'].forEach(function(member) {
+      if(!resource[member]) {
+        return;
+      }
+
+      trimmed[member] = {};
+      Object.keys(resource[member]).forEach(function(name) {
+        if(fields[resource.type].indexOf(name) !== -1) {
+          trimmed[member][name] = resource[member][name];
+        }
+      });
+    });
+
+    return trimmed;
+  }
+
+  /**
+   * [Indexes resources by their type and id.]
+   *
+   * @param {[array]} resources [Required list of resource objects.]
+   * @return {[object]} store [Resources keyed by type and id.]
+   *
+   **/
+  static indexResources (resources) {
+    let store = {};
+
+    resources.forEach(function(resource) {
+      store[MemoryAdapter.getResourceKey(resource)] = resource;
+    });
+
+    return store;
+  }
+
+  /**
+   * [Returns the unique key of a resource or resource identifier.]
+   *
+   * @param {[object]} resource [Required resource object or identifier. Example: { type: "user", id: "1" }.]
+   * @return {[string]} [The resource key. Example: "user:1".]
+   *
+   **/
+  static getResourceKey (resource) {
+    return resource.type + ':' + resource.id;
+  }
+
+}
+
+module.exports = MemoryAdapter;
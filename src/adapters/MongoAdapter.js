@@ -0,0 +1,237 @@
+'use strict';
+
+const JsonApiError = require('../JsonApiError');
+const JsonApiErrorList = require('../JsonApiErrorList');
+
+/**
+ * [Defines the query operators of the filter operators that map to a single MongoDB operator.]
+ **/
+let QUERY_OPERATORS = Object.freeze({
+  not: '$ne',
+  lt: '$lt',
+  lte: '$lte',
+  gt: '$gt',
+  gte: '$gte',
+  in: '$in',
+  nin: '$nin'
+});
+
+/**
+ * [Defines the pattern of (dot-separated) field names that may be used without field mapping.]
+ **/
+let SAFE_FIELD = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+
+class MongoAdapter {
+
+  /**
+   * [Creates an adapter converting parsed requests into MongoDB find arguments.
+   *
+   * Options:
+   *   fields: Maps attribute paths to document fields. Example: { id: "_id", "author.name": "author.fullName" }.
+   *   mappedFieldsOnly: Only allow attributes listed in fields. Default: false, plain field names are used as they are.
+   *   operators: Custom filter operators returning the query of a field. Example: { ilike: function(value) { return { $regex: value, $options: "i" }; } }.]
+   *
+   * @param {[object]} options [Optional adapter settings.]
+   *
+   **/
+  constructor (options) {
+    this.options = Object.assign({
+      fields: {},
+      mappedFieldsOnly: false,
+      operators: {}
+    }, options);
+  }
+
+  /**
+   * [Converts a parsed request into the filter, projection, sort, skip and limit of a MongoDB find.
+   * Throws a JsonApiErrorList if an attribute can not be mapped to a safe field.]
+   *
+   * @param {[object]} requestData [Required parsed request information as returned by parseRequest.]
+   * @return {[object]} query [MongoDB find arguments. Example: { filter: { age: { $lt: "15" } }, projection: null, sort: { created: -1 }, skip: 0, limit: null }.]
+   *
+   **/
+  toQuery (requestData) {
+    let queryData = requestData.queryData;
+    let fields = queryData.fields[requestData.resourceType];
+    let pagination = queryData.pagination;
+    let query = {
+      filter: null,
+      projection: null,
+      sort: null,
+      skip: 0,
+      limit: null
+    };
+
+    this.errors = [];
+    query.filter = this.buildGroup(queryData.filterTree);
+
+    if(fields) {
+      query.projection = {};
+
+      fields.forEach(function(field) {
+        query.projection[this.resolveField(field, 'fields[' + requestData.resourceType + ']')] = 1;
+      }, this);
+    }
+
+    if(queryData.sorting.length) {
+      query.sort = {};
+
+      queryData.sorting.forEach(function(sortField) {
+        query.sort[this.resolveField(sortField.path.concat(sortField.field).join('.'), 'sort')] = (sortField.direction === 'desc' ? -1 : 1);
+      }, this);
+    }
+
+    if(pagination && pagination.strategy === 'offset') {
+      query.skip = pagination.offset;
+      query.limit = pagination.limit;
+    } else if(pagination && pagination.strategy === 'number') {
+      query.skip = (pagination.number - 1) * (pagination.size || 0);
+      query.limit = pagination.size;
+    } else if(pagination) {
+      this.errors.push(new JsonApiError({
+        code: 'UNSUPPORTED_PAGINATION',
+        title: 'Unsupported pagination',
+        detail: 'The pagination strategy "' + pagination.strategy + '" is not supported.',
+        source: { parameter: 'page' }
+      }));
+    }
+
+    if(this.errors.length) {
+      throw new JsonApiErrorList(this.errors);
+    }
+
+    return query;
+  }
+
+  /**
+   * [Runs the parsed request as find on the given collection and returns its cursor.]
+   *
+   * @param {[object]} collection [Required MongoDB collection.]
+   * @param {[object]} requestData [Required parsed request information as returned by parseRequest.]
+   * @return {[object]} cursor [The find cursor with sort, skip and limit applied.]
+   *
+   **/
+  apply (collection, requestData) {
+    let query = this.toQuery(requestData);
+    let cursor = collection.find(query.filter, (query.projection ? { projection: query.projection } : {}));
+
+    if(query.sort) {
+      cursor = cursor.sort(query.sort);
+    }
+
+    if(query.skip) {
+      cursor = cursor.skip(query.skip);
+    }
+
+    if(query.limit) {
+      cursor = cursor.limit(query.limit);
+    }
+
+    return cursor;
+  }
+
+  /**
+   * [Converts a filter group into a query document. Several children are combined with $and or $or.]
+   *
+   * @param {[object]} group [Required group node of the filter tree.]
+   * @return {[object]} filter [Query document. Example: { $or: [{ name: "a" }, { title: "b" }] }.]
+   *
+   **/
+  buildGroup (group) {
+    let children = group.children.map(function(child) {
+      return (child.type === 'condition' ? this.buildCondition(child) : this.buildGroup(child));
+    }, this).filter(function(childFilter) {
+      return Object.keys(childFilter).length > 0;
+    });
+
+    if(children.length <= 1) {
+      return (children[0] || {});
+    }
+
+    let filter = {};
+    filter['$' + group.type] = children;
+
+    return filter;
+  }
+
+  /**
+   * [Converts a single filter condition into a query document. Like filters become case-insensitive regular expressions
+   * matching anywhere in the value.]
+   *
+   * @param {[object]} condition [Required condition node of the filter tree.]
+   * @return {[object]} filter [Query document. Example: { age: { $lt: "15" } }.]
+   *
+   **/
+  buildCondition (condition) {
+    let field = this.resolveField(condition.path.concat(condition.field).join('.'), condition.parameter);
+    let value = condition.value;
+    let filter = {};
+
+    if(Object.prototype.hasOwnProperty.call(this.options.operators, condition.operator)) {
+      filter[field] = this.options.operators[condition.operator](value);
+    } else if(Object.prototype.hasOwnProperty.call(QUERY_OPERATORS, condition.operator)) {
+      filter[field] = {};
+      filter[field][QUERY_OPERATORS[condition.operator]] = value;
+    } else if(condition.operator === 'eq') {
+      filter[field] = { $eq: value };
+    } else if(condition.operator === 'like') {
+      filter[field] = { $regex: MongoAdapter.escapeRegex(value), $options: 'i' };
+    } else if(condition.operator === 'between') {
+      filter[field] = { $gte: value[0], $lte: value[1] };
+    } else if(condition.operator === 'null') {
+      filter[field] = (value ? { $eq: null } : { $ne: null });
+    } else {
+      this.errors.push(new JsonApiError({
+        code: 'UNSUPPORTED_FILTER_OPERATOR',
+        title: 'Unsupported filter operator',
+        detail: 'The filter operator "' + condition.operator + '" is not supported.',
+        source: { parameter: condition.parameter }
+      }));
+    }
+
+    return filter;
+  }
+
+  /**
+   * [Maps an attribute path to its document field. Unmapped attributes are only used if they are plain (dot-separated) names,
+   * so no query parameter can add query operators. Invalid attributes are collected as errors.]
+   *
+   * @param {[string]} attributePath [Required attribute path. Example: "author.name".]
+   * @param {[string]} parameter [Required query parameter for error reporting. Example: "sort".]
+   * @return {[string]} field [The document field. Example: "author.fullName".]
+   *
+   **/
+  resolveField (attributePath, parameter) {
+    if(Object.prototype.hasOwnProperty.call(this.options.fields, attributePath)) {
+      return this.options.fields[attributePath];
+    }
+
+    if(!this.options.mappedFieldsOnly && SAFE_FIELD.test(attributePath)) {
+      return attributePath;
+    }
+
+    this.errors.push(new JsonApiError({
+      code: 'UNKNOWN_FIELD',
+      title: 'Unknown field',
+      detail: 'The attribute "' + attributePath + '" can not be queried.',
+      source: { parameter: parameter }
+    }));
+
+    return attributePath;
+  }
+
+  /**
+   * [Escapes all characters with a special meaning in regular expressions.]
+   *
+   * @param {[string]} value [Required search value. Example: "a.b".]
+   * @return {[string]} [The escaped value. Example: "a\.b".]
+   *
+   **/
+  static escapeRegex (value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+}
+
+module.exports = MongoAdapter;
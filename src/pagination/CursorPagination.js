@@ -0,0 +1,98 @@
+'use strict';
+
+const JsonApiError = require('../JsonApiError');
+const PaginationStrategy = require('./PaginationStrategy');
+
+
+class CursorPagination extends PaginationStrategy {
+
+  /**
+   * [Creates the cursor based strategy handling page[after], page[before] and page[size].]
+   **/
+  constructor () {
+    super('cursor', ['after', 'before', 'size'], { size: 1 });
+  }
+
+  /**
+   * [Converts page[after], page[before] and page[size] into { strategy, after, before, size }. Cursors are kept as strings,
+   * giving both page[after] and page[before] is reported as error because the page would be ambiguous.]
+   *
+   * @param {[object]} page [Required raw page parameters. Example: { after: "abc", size: "10" }.]
+   * @param {[object]} settings [Required page size settings. Example: { defaultPageSize: 20, maxPageSize: 100 }.]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError for each invalid value.]
+   * @return {[object]} pagination [Normalized pagination object. Example: { strategy: "cursor", after: "abc", before: null, size: 10 }.]
+   *
+   **/
+  parse (page, settings, reportError) {
+    let pagination = {
+      strategy: this.name,
+      after: null,
+      before: null,
+      size: PaginationStrategy.readSize(page, 'size', settings, reportError)
+    };
+
+    if(Object.prototype.hasOwnProperty.call(page, 'after') && Object.prototype.hasOwnProperty.call(page, 'before')) {
+      reportError(new JsonApiError({
+        code: 'INVALID_PAGE_VALUE',
+        title: 'Invalid page value',
+        detail: 'The cursors "page[after]" and "page[before]" can not be combined.',
+        source: { parameter: 'page[before]' }
+      }));
+
+      return pagination;
+    }
+
+    ['after', 'before'].forEach(function(key) {
+      if(!Object.prototype.hasOwnProperty.call(page, key)) {
+        return;
+      }
+
+      if(!page[key].length) {
+        reportError(new JsonApiError({
+          code: 'INVALID_PAGE_VALUE',
+          title: 'Invalid page value',
+          detail: 'The value of "page[' + key + ']" must be a cursor.',
+          source: { parameter: 'page[' + key + ']' }
+        }));
+      } else {
+        pagination[key] = page[key];
+      }
+    });
+
+    return pagination;
+  }
+
+  /**
+   * [Builds the cursors of the pagination links. The prev and next links are only given for known cursors, there is no last link.]
+   *
+   * @param {[object]} pagination [Required normalized pagination object. Example: { strategy: "cursor", after: "abc", before: null, size: 10 }.]
+   * @param {[object]} meta [Required cursor information. Example: { prevCursor: "abd", nextCursor: "abx" }.]
+   * @return {[object]} pages [Page parameters per link. Example: { first: { size: 10 }, prev: { before: "abd", size: 10 }, ... }.]
+   *
+   **/
+  buildLinks (pagination, meta) {
+    let createPage = function(cursorKey, cursor) {
+      let page = {};
+
+      if(cursorKey) {
+        page[cursorKey] = cursor;
+      }
+
+      if(pagination.size) {
+        page.size = pagination.size;
+      }
+
+      return page;
+    };
+
+    return {
+      first: createPage(null),
+      prev: (meta.prevCursor ? createPage('before', meta.prevCursor) : null),
+      next: (meta.nextCursor ? createPage('after', meta.nextCursor) : null),
+      last: null
+    };
+  }
+
+}
+
+module.exports = CursorPagination;
@@ -0,0 +1,63 @@
+'use strict';
+
+const PaginationStrategy = require('./PaginationStrategy');
+
+
+class NumberPagination extends PaginationStrategy {
+
+  /**
+   * [Creates the page number based strategy handling page[number] and page[size].]
+   **/
+  constructor () {
+    super('number', ['number', 'size'], { number: 1, size: 1 });
+  }
+
+  /**
+   * [Converts page[number] and page[size] into { strategy, number, size }. Page numbers start at 1, which is also the default.]
+   *
+   * @param {[object]} page [Required raw page parameters. Example: { number: "3", size: "10" }.]
+   * @param {[object]} settings [Required page size settings. Example: { defaultPageSize: 20, maxPageSize: 100 }.]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError for each invalid value.]
+   * @return {[object]} pagination [Normalized pagination object. Example: { strategy: "number", number: 3, size: 10 }.]
+   *
+   **/
+  parse (page, settings, reportError) {
+    let number = PaginationStrategy.readInteger(page, 'number', this.integerKeys.number, reportError);
+
+    return {
+      strategy: this.name,
+      number: (number === null ? 1 : number),
+      size: PaginationStrategy.readSize(page, 'size', settings, reportError)
+    };
+  }
+
+  /**
+   * [Builds the page number and size of the pagination links. Without total there is no last link and the next link is always given.]
+   *
+   * @param {[object]} pagination [Required normalized pagination object. Example: { strategy: "number", number: 3, size: 10 }.]
+   * @param {[object]} meta [Required collection information. Example: { total: 120 }.]
+   * @return {[object]} pages [Page parameters per link. Example: { first: { number: 1, size: 10 }, prev: { number: 2, size: 10 }, ... }.]
+   *
+   **/
+  buildLinks (pagination, meta) {
+    let size = pagination.size;
+    let hasTotal = (typeof meta.total === 'number');
+    let createPage = function(number) {
+      return (size ? { number: number, size: size } : { number: number });
+    };
+
+    if(!size) {
+      return { first: createPage(1), prev: null, next: null, last: null };
+    }
+
+    return {
+      first: createPage(1),
+      prev: (pagination.number > 1 ? createPage(pagination.number - 1) : null),
+      next: (!hasTotal || pagination.number * size < meta.total ? createPage(pagination.number + 1) : null),
+      last: (hasTotal ? createPage(Math.max(Math.ceil(meta.total / size), 1)) : null)
+    };
+  }
+
+}
+
+module.exports = NumberPagination;
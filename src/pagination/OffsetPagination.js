@@ -0,0 +1,63 @@
+'use strict';
+
+const PaginationStrategy = require('./PaginationStrategy');
+
+
+class OffsetPagination extends PaginationStrategy {
+
+  /**
+   * [Creates the offset based strategy handling page[offset] and page[limit].]
+   **/
+  constructor () {
+    super('offset', ['offset', 'limit'], { offset: 0, limit: 1 });
+  }
+
+  /**
+   * [Converts page[offset] and page[limit] into { strategy, offset, limit }. The offset defaults to 0.]
+   *
+   * @param {[object]} page [Required raw page parameters. Example: { offset: "20", limit: "10" }.]
+   * @param {[object]} settings [Required page size settings. Example: { defaultPageSize: 20, maxPageSize: 100 }.]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError for each invalid value.]
+   * @return {[object]} pagination [Normalized pagination object. Example: { strategy: "offset", offset: 20, limit: 10 }.]
+   *
+   **/
+  parse (page, settings, reportError) {
+    let offset = PaginationStrategy.readInteger(page, 'offset', this.integerKeys.offset, reportError);
+
+    return {
+      strategy: this.name,
+      offset: (offset === null ? 0 : offset),
+      limit: PaginationStrategy.readSize(page, 'limit', settings, reportError)
+    };
+  }
+
+  /**
+   * [Builds the offset and limit of the pagination links. Without total there is no last link and the next link is always given.]
+   *
+   * @param {[object]} pagination [Required normalized pagination object. Example: { strategy: "offset", offset: 20, limit: 10 }.]
+   * @param {[object]} meta [Required collection information. Example: { total: 120 }.]
+   * @return {[object]} pages [Page parameters per link. Example: { first: { offset: 0, limit: 10 }, prev: { offset: 10, limit: 10 }, ... }.]
+   *
+   **/
+  buildLinks (pagination, meta) {
+    let limit = pagination.limit;
+    let hasTotal = (typeof meta.total === 'number');
+    let createPage = function(offset) {
+      return (limit ? { offset: offset, limit: limit } : { offset: offset });
+    };
+
+    if(!limit) {
+      return { first: createPage(0), prev: null, next: null, last: null };
+    }
+
+    return {
+      first: createPage(0),
+      prev: (pagination.offset > 0 ? createPage(Math.max(pagination.offset - limit, 0)) : null),
+      next: (!hasTotal || pagination.offset + limit < meta.total ? createPage(pagination.offset + limit) : null),
+      last: (hasTotal ? createPage(Math.max(Math.ceil(meta.total / limit) - 1, 0) * limit) : null)
+    };
+  }
+
+}
+
+module.exports = OffsetPagination;
@@ -0,0 +1,125 @@
+'use strict';
+
+const JsonApiError = require('../JsonApiError');
+
+
+class PaginationStrategy {
+
+  /**
+   * [Creates a pagination strategy. Extend this class and implement the parse function to add custom strategies.]
+   *
+   * @param {[string]} name [Required strategy name. Example: "offset".]
+   * @param {[array]} keys [Required list of page parameter keys handled by this strategy. Example: ["offset", "limit"].]
+   * @param {[object]} integerKeys [Optional smallest allowed value of each key read as integer, the other keys are strings. Example: { offset: 0, limit: 1 }.]
+   *
+   **/
+  constructor (name, keys, integerKeys) {
+    this.name = name;
+    this.keys = keys;
+    this.integerKeys = integerKeys || {};
+  }
+
+  /**
+   * [Checks whether all given page parameter keys are handled by this strategy.]
+   *
+   * @param {[array]} pageKeys [Required list of requested page keys. Example: ["offset", "limit"].]
+   * @return {[boolean]} [True if the strategy handles every key.]
+   *
+   **/
+  accepts (pageKeys) {
+    return pageKeys.every(function(pageKey) {
+      return this.keys.indexOf(pageKey) !== -1;
+    }, this);
+  }
+
+  /**
+   * [Converts the raw page parameters into the normalized pagination object.]
+   *
+   * @param {[object]} page [Required raw page parameters. Example: { offset: "20", limit: "10" }.]
+   * @param {[object]} settings [Required page size settings. Example: { defaultPageSize: 20, maxPageSize: 100 }.]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError for each invalid value.]
+   * @return {[object]} pagination [Normalized pagination object. Example: { strategy: "offset", offset: 20, limit: 10 }.]
+   *
+   **/
+  parse (page, settings, reportError) {
+    throw new Error('Pagination strategy "' + this.name + '" does not implement parse');
+  }
+
+  /**
+   * [Builds the page parameters of the first, prev, next and last pagination links.]
+   *
+   * @param {[object]} pagination [Required normalized pagination object as returned by parse.]
+   * @param {[object]} meta [Required collection information. Example: { total: 120 } or { nextCursor: "abc" }.]
+   * @return {[object]} pages [Page parameters per link, null for unavailable links. Example: { first: { offset: 0, limit: 10 }, prev: null }.]
+   *
+   **/
+  buildLinks (pagination, meta) {
+    throw new Error('Pagination strategy "' + this.name + '" does not implement buildLinks');
+  }
+
+  /**
+   * [Reads a page parameter as integer and checks its minimum value. Integers beyond the safe integer range are invalid.]
+   *
+   * @param {[object]} page [Required raw page parameters.]
+   * @param {[string]} key [Required page key. Example: "offset".]
+   * @param {[number]} minimum [Required smallest allowed value.]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError if the value is invalid.]
+   * @return {[number]} value [The integer value or null if the parameter is missing or invalid.]
+   *
+   **/
+  static readInteger (page, key, minimum, reportError) {
+    if(!Object.prototype.hasOwnProperty.call(page, key)) {
+      return null;
+    }
+
+    let value = parseInt(page[key], 10);
+
+    if(!/^-?\d+$/.test(page[key]) || !Number.isSafeInteger(value) || value < minimum) {
+      reportError(new JsonApiError({
+        code: 'INVALID_PAGE_VALUE',
+        title: 'Invalid page value',
+        detail: 'The value of "page[' + key + ']" must be an integer of at least ' + minimum + '.',
+        source: { parameter: 'page[' + key + ']' }
+      }));
+
+      return null;
+    }
+
+    return parseInt(page[key], 10);
+  }
+
+  /**
+   * [Reads the page size parameter, falling back on the default page size. Sizes above the maximum page size are reported
+   * as error, not clamped.]
+   *
+   * @param {[object]} page [Required raw page parameters.]
+   * @param {[string]} key [Required page key of the page size. Example: "limit".]
+   * @param {[object]} settings [Required page size settings. Example: { defaultPageSize: 20, maxPageSize: 100 }.]
+   * @param {[function]} reportError [Required callback receiving a JsonApiError if the value is invalid.]
+   * @return {[number]} size [The page size or null if there is no size and no default or the size exceeds the maximum.]
+   *
+   **/
+  static readSize (page, key, settings, reportError) {
+    let size = PaginationStrategy.readInteger(page, key, 1, reportError);
+
+    if(size === null) {
+      return (settings.defaultPageSize || null);
+    }
+
+    if(settings.maxPageSize && size > settings.maxPageSize) {
+      reportError(new JsonApiError({
+        code: 'MAX_PAGE_SIZE_EXCEEDED',
+        title: 'Page size too large',
+        detail: 'The value of "page[' + key + ']" must not exceed ' + settings.maxPageSize + '.',
+        source: { parameter: 'page[' + key + ']' }
+      }));
+
+      return null;
+    }
+
+    return size;
+  }
+
+}
+
+module.exports = PaginationStrategy;
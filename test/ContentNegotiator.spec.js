@@ -0,0 +1,109 @@
+'use strict';
+
+var ContentNegotiator = require('../src/ContentNegotiator');
+var JsonApiErrorList = require('../src/JsonApiErrorList');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('ContentNegotiator', function () {
+
+  var ATOMIC = 'https://jsonapi.org/ext/atomic';
+  var VERSION = 'https://example.com/ext/version';
+  var CURSOR_PROFILE = 'https://jsonapi.org/profiles/ethanresnick/cursor-pagination';
+  var negotiator;
+
+  /**
+   * [Negotiates the headers and returns the thrown JsonApiErrorList.]
+   **/
+  var getErrorList = function(headers) {
+    try {
+      negotiator.negotiate(headers);
+    } catch(errorList) {
+      expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+      return errorList;
+    }
+
+    throw new Error('Expected a JsonApiErrorList');
+  };
+
+  beforeEach(function () {
+    negotiator = new ContentNegotiator({ extensions: [ATOMIC], profiles: [CURSOR_PROFILE] });
+  });
+
+  describe('negotiate function', function() {
+    it('should accept the plain media type and requests without headers.', function() {
+      var expectedNegotiation = {
+        contentType: null,
+        extensions: [],
+        profiles: [],
+        responseContentType: 'application/vnd.api+json'
+      };
+
+      expect(negotiator.negotiate({})).to.deep.equal(expectedNegotiation);
+      expect(negotiator.negotiate({ Accept: '*/*', 'Content-Type': 'application/json' })).to.deep.equal(expectedNegotiation);
+
+      expectedNegotiation.contentType = { ext: [], profile: [] };
+      expect(negotiator.negotiate({
+        'content-type': 'application/vnd.api+json',
+        accept: 'application/vnd.api+json'
+      })).to.deep.equal(expectedNegotiation);
+    });
+
+    it('should parse the ext and profile parameters and apply the supported ones.', function() {
+      var negotiation = negotiator.negotiate({
+        'content-type': 'application/vnd.api+json; ext="' + ATOMIC + '"; profile="' + CURSOR_PROFILE + ' https://example.com/other"',
+        accept: 'application/vnd.api+json; ext="' + ATOMIC + '"; profile="https://example.com/other ' + CURSOR_PROFILE + '"'
+      });
+
+      expect(negotiation).to.deep.equal({
+        contentType: { ext: [ATOMIC], profile: [CURSOR_PROFILE, 'https://example.com/other'] },
+        extensions: [ATOMIC],
+        profiles: [CURSOR_PROFILE],
+        responseContentType: 'application/vnd.api+json; ext="' + ATOMIC + '"; profile="' + CURSOR_PROFILE + '"'
+      });
+    });
+
+    it('should answer 415 for unsupported media type parameters or extensions in the Content-Type.', function() {
+      var errorList = getErrorList({ 'content-type': 'application/vnd.api+json; charset=utf-8' });
+
+      expect(errorList.status).to.equal(415);
+      expect(errorList.errors[0].code).to.equal('UNSUPPORTED_MEDIA_TYPE');
+      expect(errorList.errors[0].source).to.deep.equal({ header: 'Content-Type' });
+
+      errorList = getErrorList({ 'content-type': 'application/vnd.api+json; ext="' + VERSION + '"' });
+      expect(errorList.status).to.equal(415);
+    });
+
+    it('should answer 406 if every JSON API media type in the Accept header is modified.', function() {
+      var errorList = getErrorList({ accept: 'application/vnd.api+json; charset=utf-8, application/vnd.api+json; ext="' + VERSION + '", */*' });
+
+      expect(errorList.status).to.equal(406);
+      expect(errorList.errors[0].code).to.equal('NOT_ACCEPTABLE');
+      expect(errorList.errors[0].source).to.deep.equal({ header: 'Accept' });
+
+      expect(negotiator.negotiate({
+        accept: 'application/vnd.api+json; charset=utf-8, application/vnd.api+json'
+      }).extensions).to.deep.equal([]);
+    });
+
+    it('should prefer the accepted instance with the highest quality and ignore accept parameters.', function() {
+      var negotiation = negotiator.negotiate({
+        accept: ['application/vnd.api+json;q=0.5', 'application/vnd.api+json; ext="' + ATOMIC + '"; q=0.9; charset=x']
+      });
+
+      expect(negotiation.extensions).to.deep.equal([ATOMIC]);
+
+      expect(getErrorList({ accept: 'application/vnd.api+json;q=0' }).status).to.equal(406);
+    });
+  });
+
+  describe('parseMediaTypes function', function() {
+    it('should split media types and parameters outside of quoted strings.', function() {
+      expect(ContentNegotiator.parseMediaTypes('Application/VND.API+JSON; EXT="a,b;c d", text/html;q=0.4;level=1')).to.deep.equal([
+        { type: 'application/vnd.api+json', params: { ext: 'a,b;c d' }, quality: 1 },
+        { type: 'text/html', params: {}, quality: 0.4 }
+      ]);
+    });
+  });
+
+});
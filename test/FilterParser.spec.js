@@ -0,0 +1,217 @@
+'use strict';
+
+var FilterParser = require('../src/FilterParser');
+var JsonApiError = require('../src/JsonApiError');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('FilterParser', function () {
+
+  var filterParser;
+  var reportedErrors;
+  var reportError = function(error) {
+    reportedErrors.push(error);
+  };
+
+  beforeEach(function () {
+    filterParser = new FilterParser();
+    reportedErrors = [];
+  });
+
+  afterEach(function () {
+    filterParser = null;
+  });
+
+  describe('parse function', function() {
+    it('should convert plain, operator first and operator last filters into conditions.', function() {
+      let testData = filterParser.parse([
+        'filter[name]=john doe',
+        'filter[lt][age]=15',
+        'filter[age][gte]=3',
+        'filter[author][name][like]=jo',
+        'filter[like][author][name]=an'
+      ], reportError);
+
+      let expectedData = {
+        type: 'and',
+        children: [
+          { type: 'condition', field: 'name', path: [], operator: 'eq', value: 'john doe', parameter: 'filter[name]' },
+          { type: 'condition', field: 'age', path: [], operator: 'lt', value: '15', parameter: 'filter[lt][age]' },
+          { type: 'condition', field: 'age', path: [], operator: 'gte', value: '3', parameter: 'filter[age][gte]' },
+          { type: 'condition', field: 'name', path: ['author'], operator: 'like', value: 'jo', parameter: 'filter[author][name][like]' },
+          { type: 'condition', field: 'name', path: ['author'], operator: 'like', value: 'an', parameter: 'filter[like][author][name]' }
+        ]
+      };
+
+      expect(testData).to.deep.equal(expectedData);
+      expect(reportedErrors).to.deep.equal([]);
+    });
+
+    it('should read list, pair and boolean values depending on the operator.', function() {
+      let testData = filterParser.parse([
+        'filter[id][in]=1,2,3',
+        'filter[nin][id]=4',
+        'filter[age][between]=18,30',
+        'filter[deletedAt][null]=true',
+        'filter[author][null]=false'
+      ], reportError);
+
+      expect(testData.children.map(function(condition) {
+        return condition.value;
+      })).to.deep.equal([['1', '2', '3'], ['4'], ['18', '30'], true, false]);
+      expect(reportedErrors).to.deep.equal([]);
+    });
+
+    it('should nest conditions in and/or groups, numbered groups are kept apart.', function() {
+      let testData = filterParser.parse([
+        'filter[or][name]=a',
+        'filter[or][title][like]=b',
+        'filter[status]=open',
+        'filter[or][1][and][age][gt]=3',
+        'filter[or][1][and][age][lt]=9',
+        'filter[or][1][id]=7'
+      ], reportError);
+
+      let expectedData = {
+        type: 'and',
+        children: [
+          {
+            type: 'or',
+            children: [
+              { type: 'condition', field: 'name', path: [], operator: 'eq', value: 'a', parameter: 'filter[or][name]' },
+              { type: 'condition', field: 'title', path: [], operator: 'like', value: 'b', parameter: 'filter[or][title][like]' }
+            ]
+          },
+          { type: 'condition', field: 'status', path: [], operator: 'eq', value: 'open', parameter: 'filter[status]' },
+          {
+            type: 'or',
+            children: [
+              {
+                type: 'and',
+                children: [
+                  { type: 'condition', field: 'age', path: [], operator: 'gt', value: '3', parameter: 'filter[or][1][and][age][gt]' },
+                  { type: 'condition', field: 'age', path: [], operator: 'lt', value: '9', parameter: 'filter[or][1][and][age][lt]' }
+                ]
+              },
+              { type: 'condition', field: 'id', path: [], operator: 'eq', value: '7', parameter: 'filter[or][1][id]' }
+            ]
+          }
+        ]
+      };
+
+      expect(testData).to.deep.equal(expectedData);
+    });
+
+    it('should report invalid values and empty groups and skip them.', function() {
+      let testData = filterParser.parse([
+        'filter[age][between]=1,2,3',
+        'filter[deletedAt][null]=yes',
+        'filter[or]=1',
+        'filter[or][2]=1',
+        'filter=1',
+        'filter[]=1'
+      ], reportError);
+
+      expect(testData).to.deep.equal({ type: 'and', children: [] });
+      expect(reportedErrors).to.have.length(4);
+      expect(reportedErrors[0]).to.be.an.instanceof(JsonApiError);
+      expect(reportedErrors.map(function(error) {
+        return error.source.parameter;
+      })).to.deep.equal(['filter[age][between]', 'filter[deletedAt][null]', 'filter[or]', 'filter[or][2]']);
+    });
+  });
+
+  describe('registerOperator function', function() {
+    it('should add operators with their own arity, validation and coercion.', function() {
+      filterParser.registerOperator({ name: 'ilike' });
+      filterParser.registerOperator({
+        name: 'within',
+        arity: 3,
+        validate: function(value) {
+          return /^-?\d+(\.\d+)?$/.test(value);
+        },
+        coerce: parseFloat
+      });
+
+      let testData = filterParser.parse(['filter[name][ilike]=Jo', 'filter[location][within]=52.5,13.4,10', 'filter[within][area]=1,2,x'], reportError);
+
+      expect(testData.children).to.deep.equal([
+        { type: 'condition', field: 'name', path: [], operator: 'ilike', value: 'Jo', parameter: 'filter[name][ilike]' },
+        { type: 'condition', field: 'location', path: [], operator: 'within', value: [52.5, 13.4, 10], parameter: 'filter[location][within]' }
+      ]);
+      expect(reportedErrors).to.have.length(1);
+      expect(reportedErrors[0].source).to.deep.equal({ parameter: 'filter[within][area]' });
+    });
+
+    it('should throw a TypeError for definitions without name or with a group or reserved name.', function() {
+      expect(function() {
+        filterParser.registerOperator({ arity: 1 });
+      }).to.throw(TypeError);
+
+      expect(function() {
+        filterParser.registerOperator({ name: 'or' });
+      }).to.throw(TypeError);
+
+      ['__proto__', 'constructor', 'prototype'].forEach(function(name) {
+        expect(function() {
+          filterParser.registerOperator({ name: name });
+        }).to.throw(TypeError, 'reserved name "' + name + '"');
+      });
+
+      expect(Object.getPrototypeOf(filterParser.operators)).to.equal(Object.prototype);
+      expect(filterParser.hasOperator('constructor')).to.equal(false);
+    });
+  });
+
+  describe('disableOperator function', function() {
+    it('should reject filters using a disabled operator.', function() {
+      filterParser.disableOperator('like');
+
+      let testData = filterParser.parse(['filter[name][like]=jo', 'filter[like][name]=jo', 'filter[like]=jo'], reportError);
+
+      expect(testData.children).to.deep.equal([
+        { type: 'condition', field: 'like', path: [], operator: 'eq', value: 'jo', parameter: 'filter[like]' }
+      ]);
+      expect(reportedErrors).to.have.length(2);
+
+      filterParser.registerOperator({ name: 'like' });
+      expect(filterParser.parse(['filter[name][like]=jo'], reportError).children[0].operator).to.equal('like');
+
+      expect(function() {
+        filterParser.disableOperator('eq');
+      }).to.throw(TypeError);
+    });
+  });
+
+  describe('splitFilterString function', function() {
+    it('should split the filter string into parameter, bracket keys and value.', function() {
+      expect(FilterParser.splitFilterString('filter[age][lt]=1=5')).to.deep.equal({
+        parameter: 'filter[age][lt]',
+        segments: ['age', 'lt'],
+        value: '1=5',
+        values: ['1=5']
+      });
+      expect(FilterParser.splitFilterString('filter[age=5')).to.equal(null);
+    });
+
+    it('should not be needed for filters parse receives already split.', function() {
+      let filterPart = FilterParser.splitFilterString('filter[author][name][like]=jo');
+
+      expect(filterParser.parse([filterPart], reportError)).to.deep.equal(filterParser.parse(['filter[author][name][like]=jo'], reportError));
+    });
+  });
+
+  describe('walkConditions function', function() {
+    it('should call the callback for every nested condition.', function() {
+      let fields = [];
+      let filterTree = filterParser.parse(['filter[a]=1', 'filter[or][b]=2', 'filter[or][0][and][c]=3'], reportError);
+
+      FilterParser.walkConditions(filterTree, function(condition) {
+        fields.push(condition.field);
+      });
+
+      expect(fields).to.deep.equal(['a', 'b', 'c']);
+    });
+  });
+
+});
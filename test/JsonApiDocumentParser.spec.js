@@ -0,0 +1,208 @@
+'use strict';
+
+var JsonApiDocumentParser = require('../src/JsonApiDocumentParser');
+var JsonApiQueryParser = require('../src/JsonApiQueryParser');
+var JsonApiErrorList = require('../src/JsonApiErrorList');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('JsonApiDocumentParser', function () {
+
+  var parserClass;
+  var documentParser;
+
+  /**
+   * [Parses the document and returns the thrown JsonApiErrorList.]
+   **/
+  var getErrorList = function(document, requestData) {
+    try {
+      documentParser.parse(document, requestData);
+    } catch(errorList) {
+      expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+      return errorList;
+    }
+
+    throw new Error('Expected a JsonApiErrorList');
+  };
+
+  var getErrorSummary = function(errorList) {
+    return errorList.errors.map(function(error) {
+      return error.code + ' ' + error.source.pointer;
+    });
+  };
+
+  beforeEach(function () {
+    parserClass = new JsonApiQueryParser();
+    documentParser = new JsonApiDocumentParser();
+  });
+
+  describe('parse function', function() {
+    it('should normalize the resource object of a create operation.', function() {
+      var requestData = parserClass.parseOperation('POST', '/article');
+      var result = documentParser.parse({
+        data: {
+          type: 'article',
+          attributes: { title: 'Hello', body: 'World' },
+          relationships: {
+            author: { data: { type: 'user', id: '1', meta: { ignored: true } } },
+            tags: { data: [{ type: 'tag', id: '2' }, { type: 'tag', lid: 'new-tag' }] },
+            editor: { data: null }
+          }
+        },
+        meta: { requestId: 'abc' },
+        'atomic:operations': []
+      }, requestData);
+
+      expect(result).to.deep.equal({
+        operation: 'createResource',
+        data: {
+          type: 'article',
+          id: null,
+          attributes: { title: 'Hello', body: 'World' },
+          relationships: {
+            author: { type: 'user', id: '1' },
+            tags: [{ type: 'tag', id: '2' }, { type: 'tag', lid: 'new-tag' }],
+            editor: null
+          }
+        },
+        meta: { requestId: 'abc' }
+      });
+    });
+
+    it('should require a matching type and id on update operations.', function() {
+      var requestData = parserClass.parseOperation('PATCH', '/article/5');
+
+      expect(documentParser.parse({ data: { type: 'article', id: '5' } }, requestData).data.id).to.equal('5');
+
+      var errorList = getErrorList({ data: { type: 'user', id: '6' } }, requestData);
+      expect(getErrorSummary(errorList)).to.deep.equal(['TYPE_MISMATCH /data/type', 'ID_MISMATCH /data/id']);
+      expect(errorList.status).to.equal(409);
+
+      errorList = getErrorList({ data: { type: 'article' } }, requestData);
+      expect(getErrorSummary(errorList)).to.deep.equal(['MISSING_ID /data/id']);
+      expect(errorList.status).to.equal(400);
+    });
+
+    it('should reject missing data, unknown members and invalid resource objects.', function() {
+      var requestData = parserClass.parseOperation('POST', '/article');
+
+      expect(getErrorSummary(getErrorList({ meta: {}, foo: 1 }, requestData))).to.deep.equal(['UNKNOWN_MEMBER /foo', 'MISSING_DATA ']);
+      expect(getErrorSummary(getErrorList({ data: [] }, requestData))).to.deep.equal(['INVALID_DATA /data']);
+      expect(getErrorSummary(getErrorList([], requestData))).to.deep.equal(['INVALID_DOCUMENT ']);
+      expect(getErrorSummary(getErrorList({
+        data: {
+          id: 5,
+          name: 'x',
+          attributes: { id: '1', title: 'a' },
+          relationships: { author: { type: 'user', id: '1' }, tags: { data: [{ type: 'tag' }] } }
+        },
+        meta: 'x'
+      }, requestData))).to.deep.equal([
+        'UNKNOWN_MEMBER /data/name',
+        'MISSING_TYPE /data/type',
+        'INVALID_ID /data/id',
+        'INVALID_MEMBER /data/attributes/id',
+        'INVALID_RELATIONSHIP /data/relationships/author',
+        'INVALID_LINKAGE /data/relationships/tags/data/0',
+        'INVALID_MEMBER /meta'
+      ]);
+    });
+
+    it('should reject attribute and relationship names reaching the object prototype.', function() {
+      var requestData = parserClass.parseOperation('POST', '/article');
+      var document = JSON.parse('{"data":{"type":"article","attributes":{"__proto__":{"isAdmin":true},"title":"a"},'
+                                + '"relationships":{"constructor":{"data":null}}}}');
+      var errorList = getErrorList(document, requestData);
+
+      expect(getErrorSummary(errorList)).to.deep.equal(['FORBIDDEN_KEY /data/attributes/__proto__', 'FORBIDDEN_KEY /data/relationships/constructor']);
+      expect(Object.prototype.isAdmin).to.equal(undefined);
+    });
+
+    it('should validate the linkage of relationship operations.', function() {
+      var requestData = parserClass.parseOperation('PATCH', '/article/5/relationships/author');
+
+      expect(documentParser.parse({ data: null }, requestData).data).to.equal(null);
+      expect(documentParser.parse({ data: { type: 'user', id: '1' } }, requestData).data).to.deep.equal({ type: 'user', id: '1' });
+      expect(documentParser.parse({ data: [] }, requestData).data).to.deep.equal([]);
+
+      requestData = parserClass.parseOperation('POST', '/article/5/relationships/tags');
+      expect(documentParser.parse({ data: [{ type: 'tag', id: '1' }] }, requestData)).to.deep.equal({
+        operation: 'addRelationshipMembers',
+        data: [{ type: 'tag', id: '1' }],
+        meta: {}
+      });
+      expect(getErrorSummary(getErrorList({ data: { type: 'tag', id: '1' } }, requestData))).to.deep.equal(['INVALID_LINKAGE /data']);
+
+      requestData = parserClass.parseOperation('DELETE', '/article/5/relationships/tags');
+      expect(getErrorSummary(getErrorList({ data: null }, requestData))).to.deep.equal(['INVALID_LINKAGE /data']);
+    });
+
+    it('should validate attribute and relationship names against the registered resources.', function() {
+      parserClass.registerResource({ type: 'article', attributes: ['title'], relationships: { author: 'user' } })
+                 .registerResource({ type: 'user', attributes: ['name'] });
+
+      var requestData = parserClass.parseOperation('POST', '/article');
+      var document = {
+        data: {
+          type: 'article',
+          attributes: { title: 'a', body: 'b' },
+          relationships: { author: { data: null }, editor: { data: null } }
+        }
+      };
+
+      try {
+        parserClass.parseDocument(document, requestData);
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(getErrorSummary(errorList)).to.deep.equal(['UNKNOWN_FIELD /data/attributes/body', 'UNKNOWN_FIELD /data/relationships/editor']);
+      }
+    });
+
+    it('should escape member names in the error pointers.', function() {
+      parserClass.registerResource({ type: 'article', attributes: ['title'] });
+
+      var requestData = parserClass.parseOperation('POST', '/article');
+      var document = {
+        data: {
+          type: 'article',
+          'x/y': 1,
+          attributes: { 'a/b': 'a', 'c~d': 'b' },
+          relationships: { 'e~/f': { data: null } }
+        }
+      };
+
+      try {
+        parserClass.parseDocument(document, requestData);
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(getErrorSummary(errorList)).to.deep.equal([
+          'UNKNOWN_MEMBER /data/x~1y',
+          'UNKNOWN_FIELD /data/attributes/a~1b',
+          'UNKNOWN_FIELD /data/attributes/c~0d',
+          'UNKNOWN_FIELD /data/relationships/e~0~1f'
+        ]);
+      }
+    });
+  });
+
+  describe('escapePointer function', function() {
+    it('should escape "~" and "/" as JSON pointer token.', function() {
+      expect(JsonApiDocumentParser.escapePointer('title')).to.equal('title');
+      expect(JsonApiDocumentParser.escapePointer('~1/')).to.equal('~01~1');
+    });
+  });
+
+  describe('setMember function', function() {
+    it('should add members as own properties without replacing the prototype.', function() {
+      var target = {};
+
+      JsonApiDocumentParser.setMember(target, '__proto__', { isAdmin: true });
+      JsonApiDocumentParser.setMember(target, 'title', 'a');
+
+      expect(Object.getPrototypeOf(target)).to.equal(Object.prototype);
+      expect(Object.keys(target)).to.deep.equal(['__proto__', 'title']);
+      expect(target.isAdmin).to.equal(undefined);
+    });
+  });
+
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+var JsonApiError = require('../src/JsonApiError');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('JsonApiError', function () {
+
+  describe('constructor', function() {
+    it('should carry the JSON API error members and default to status 400.', function() {
+      let error = new JsonApiError({
+        code: 'UNKNOWN_FIELD',
+        title: 'Unknown field',
+        detail: 'The resource type "article" has no field "summary".',
+        source: { parameter: 'fields[article]' }
+      });
+
+      expect(error).to.be.an.instanceof(Error);
+      expect(error.name).to.equal('JsonApiError');
+      expect(error.message).to.equal('The resource type "article" has no field "summary".');
+      expect(error.status).to.equal('400');
+      expect(error.source).to.deep.equal({ parameter: 'fields[article]' });
+    });
+  });
+
+  describe('toJSON function', function() {
+    it('should return a plain error object without undefined members.', function() {
+      let error = new JsonApiError({ status: 404, title: 'Unknown resource type' });
+
+      expect(error.toJSON()).to.deep.equal({
+        status: '404',
+        title: 'Unknown resource type'
+      });
+      expect(JSON.parse(JSON.stringify(error))).to.deep.equal(error.toJSON());
+    });
+  });
+
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+var JsonApiError = require('../src/JsonApiError');
+var JsonApiErrorList = require('../src/JsonApiErrorList');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('JsonApiErrorList', function () {
+
+  describe('toJSON function', function() {
+    it('should return a JSON API error document containing all errors.', function() {
+      let errorList = new JsonApiErrorList([
+        new JsonApiError({ title: 'Invalid sort key', source: { parameter: 'sort' } }),
+        new JsonApiError({ title: 'Unknown include path', source: { parameter: 'include' } })
+      ]);
+
+      expect(errorList).to.be.an.instanceof(Error);
+      expect(errorList.message).to.equal('Invalid sort key; Unknown include path');
+      expect(errorList.toJSON()).to.deep.equal({
+        errors: [
+          { status: '400', title: 'Invalid sort key', source: { parameter: 'sort' } },
+          { status: '400', title: 'Unknown include path', source: { parameter: 'include' } }
+        ]
+      });
+    });
+  });
+
+  describe('from function', function() {
+    it('should wrap single errors and keep existing collections.', function() {
+      let error = new JsonApiError({ title: 'Invalid sort key' });
+      let errorList = JsonApiErrorList.from(error);
+
+      expect(errorList.errors).to.deep.equal([error]);
+      expect(JsonApiErrorList.from(errorList)).to.equal(errorList);
+    });
+  });
+
+  describe('getResponseStatus function', function() {
+    it('should pick the most generally applicable status.', function() {
+      let createErrors = function(statuses) {
+        return statuses.map(function(status) {
+          return new JsonApiError({ status: status, title: 'Test' });
+        });
+      };
+
+      expect(JsonApiErrorList.getResponseStatus(createErrors([404]))).to.equal(404);
+      expect(JsonApiErrorList.getResponseStatus(createErrors([415, 415]))).to.equal(415);
+      expect(JsonApiErrorList.getResponseStatus(createErrors([404, 400]))).to.equal(400);
+      expect(JsonApiErrorList.getResponseStatus(createErrors([400, 500]))).to.equal(500);
+    });
+  });
+
+});
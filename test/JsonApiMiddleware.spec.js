@@ -0,0 +1,163 @@
+'use strict';
+
+var JsonApiMiddleware = require('../src/JsonApiMiddleware');
+var JsonApiQueryParser = require('../src/JsonApiQueryParser');
+var JsonApiErrorList = require('../src/JsonApiErrorList');
+var chai = require('chai');
+var expect = chai.expect;
+
+/**
+ * [Stands in for a node response and records the status, headers and body.]
+ **/
+var createMockResponse = function() {
+  var response = { statusCode: 200, headers: {}, body: null };
+
+  response.setHeader = function(name, value) {
+    response.headers[name] = value;
+  };
+  response.end = function(body) {
+    response.body = body;
+  };
+
+  return response;
+};
+
+describe('JsonApiMiddleware', function () {
+
+  var parserClass;
+
+  beforeEach(function () {
+    parserClass = new JsonApiQueryParser();
+  });
+
+  describe('express function', function() {
+    it('should attach the requestData of the url relative to the router mount path.', function() {
+      var middleware = JsonApiMiddleware.express(parserClass);
+      var req = { originalUrl: '/api/v1/article/5?include=author', baseUrl: '/api/v1', url: '/article/5?include=author' };
+      var nextArguments = null;
+
+      middleware(req, createMockResponse(), function() {
+        nextArguments = Array.prototype.slice.call(arguments);
+      });
+
+      expect(nextArguments).to.deep.equal([]);
+      expect(req.jsonapi.resourceType).to.equal('article');
+      expect(req.jsonapi.identifier).to.equal('5');
+      expect(req.jsonapi.queryData.include).to.deep.equal(['author']);
+    });
+
+    it('should use the configured property and mount path.', function() {
+      var middleware = JsonApiMiddleware.express(parserClass, { property: 'requestData', mountPath: '/api' });
+      var req = { originalUrl: '/api/article?sort=-title', baseUrl: '' };
+
+      middleware(req, createMockResponse(), function() {});
+
+      expect(req.requestData.resourceType).to.equal('article');
+      expect(req.requestData.queryData.sort).to.deep.equal(['-title']);
+      expect(req.jsonapi).to.equal(undefined);
+    });
+
+    it('should respond with a JSON API error document for parser errors.', function() {
+      parserClass.registerResource({ type: 'article', attributes: ['title'] });
+
+      var middleware = JsonApiMiddleware.express(parserClass);
+      var res = createMockResponse();
+      var isNextCalled = false;
+
+      middleware({ originalUrl: '/article?sort=body', baseUrl: '' }, res, function() {
+        isNextCalled = true;
+      });
+
+      expect(isNextCalled).to.equal(false);
+      expect(res.statusCode).to.equal(400);
+      expect(res.headers['Content-Type']).to.equal('application/vnd.api+json');
+      expect(JSON.parse(res.body).errors[0].code).to.equal('INVALID_SORT');
+    });
+
+    it('should pass parser errors to next if handleErrors is disabled.', function() {
+      parserClass.registerResource({ type: 'article', attributes: ['title'] });
+
+      var middleware = JsonApiMiddleware.express(parserClass, { handleErrors: false });
+      var res = createMockResponse();
+      var nextError = null;
+
+      middleware({ originalUrl: '/article?sort=body', baseUrl: '' }, res, function(error) {
+        nextError = error;
+      });
+
+      expect(nextError).to.be.an.instanceof(JsonApiErrorList);
+      expect(res.body).to.equal(null);
+    });
+
+    it('should pass other errors to next.', function() {
+      var middleware = JsonApiMiddleware.express({
+        parseRequest: function() {
+          throw new TypeError('Broken parser');
+        }
+      });
+      var nextError = null;
+
+      middleware({ originalUrl: '/article' }, createMockResponse(), function(error) {
+        nextError = error;
+      });
+
+      expect(nextError).to.be.an.instanceof(TypeError);
+    });
+  });
+
+  describe('koa function', function() {
+    it('should store the requestData in the state and call the next middleware.', function() {
+      var middleware = JsonApiMiddleware.koa(parserClass);
+      var ctx = { originalUrl: '/api/article/5/comment?page[limit]=5', mountPath: '/api', state: {} };
+      var isNextCalled = false;
+
+      middleware(ctx, function() {
+        isNextCalled = true;
+        return Promise.resolve();
+      });
+
+      expect(isNextCalled).to.equal(true);
+      expect(ctx.state.jsonapi.relationshipType).to.equal('comment');
+      expect(ctx.state.jsonapi.queryData.page).to.deep.equal({ limit: '5' });
+    });
+
+    it('should respond with a JSON API error document for parser errors.', function() {
+      parserClass.registerResource({ type: 'article', attributes: ['title'] });
+
+      var middleware = JsonApiMiddleware.koa(parserClass);
+      var ctx = { originalUrl: '/user', state: {} };
+      var isNextCalled = false;
+
+      middleware(ctx, function() {
+        isNextCalled = true;
+      });
+
+      expect(isNextCalled).to.equal(false);
+      expect(ctx.status).to.equal(404);
+      expect(ctx.type).to.equal('application/vnd.api+json');
+      expect(ctx.body.errors[0].code).to.equal('UNKNOWN_RESOURCE_TYPE');
+    });
+
+    it('should throw parser errors if handleErrors is disabled.', function() {
+      parserClass.registerResource({ type: 'article', attributes: ['title'] });
+
+      var middleware = JsonApiMiddleware.koa(parserClass, { handleErrors: false });
+
+      expect(function() {
+        middleware({ originalUrl: '/user', state: {} }, function() {});
+      }).to.throw(JsonApiErrorList);
+    });
+  });
+
+  describe('stripMountPath function', function() {
+    it('should remove the mount path only if the url is below it.', function() {
+      expect(JsonApiMiddleware.stripMountPath('/api/article', '/api')).to.equal('/article');
+      expect(JsonApiMiddleware.stripMountPath('/api/article', '/api/')).to.equal('/article');
+      expect(JsonApiMiddleware.stripMountPath('/api?include=a', '/api')).to.equal('/?include=a');
+      expect(JsonApiMiddleware.stripMountPath('/apis/article', '/api')).to.equal('/apis/article');
+      expect(JsonApiMiddleware.stripMountPath('/article', '')).to.equal('/article');
+      expect(JsonApiMiddleware.stripMountPath('/article', undefined)).to.equal('/article');
+    });
+  });
+
+});
@@ -1,6 +1,8 @@
 'use strict';
 
 var JsonApiQueryParser = require('../src/JsonApiQueryParser');
+var JsonApiError = require('../src/JsonApiError');
+var JsonApiErrorList = require('../src/JsonApiErrorList');
 var chai = require('chai');
 var should = chai.should();
 var expect = chai.expect;
@@ -59,7 +61,7 @@ describe('JsonApiQueryParser', function () {
       var testString, testData, expectedData;
       var parserClass = new JsonApiQueryParser();
 
-      testString = '//article/5/relationships/comment?include=user,testComment&sort=Age%2CfirstName&&fields[user]=name,email&page[limit]=20' 
+      testString = '//article/5/relationships/comment?include=user,testComment&sort=Age,firstName&&fields[user]=name,email&page[limit]=20' 
                     + '&filter[name]=john%20doe&filter[age]=15&filter[like][name]=john,joe&filter[not][age]=30&filter[gt][age]=17';
       testData = parserClass.parseRequest(testString, requestData);
 
@@ -68,15 +70,34 @@ describe('JsonApiQueryParser', function () {
         identifier: '5',
         relationships: true,
         relationshipType: 'comment',
+        route: {
+          name: 'relationship',
+          template: ':type/:id/relationships/:relationship',
+          params: { type: 'article', id: '5', relationship: 'comment' }
+        },
+        warnings: [],
         queryData: {
           include: ['user', 'testComment'],
+          includeTree: {
+            user: {},
+            testComment: {}
+          },
           sort: ['Age', 'firstName'],
+          sorting: [
+            { field: 'Age', direction: 'asc', path: [] },
+            { field: 'firstName', direction: 'asc', path: [] }
+          ],
           fields: {
             user: ['name', 'email']
           },
           page: {
             limit: '20'
           },
+          pagination: {
+            strategy: 'offset',
+            offset: 0,
+            limit: 20
+          },
           filter: {
             name: 'john doe',
             age: '15',
@@ -92,12 +113,1037 @@ describe('JsonApiQueryParser', function () {
               age: '17'
             },
             gte: {}
+          },
+          filterTree: {
+            type: 'and',
+            children: [
+              { type: 'condition', field: 'name', path: [], operator: 'eq', value: 'john doe', parameter: 'filter[name]' },
+              { type: 'condition', field: 'age', path: [], operator: 'eq', value: '15', parameter: 'filter[age]' },
+              { type: 'condition', field: 'name', path: [], operator: 'like', value: 'john,joe', parameter: 'filter[like][name]' },
+              { type: 'condition', field: 'age', path: [], operator: 'not', value: '30', parameter: 'filter[not][age]' },
+              { type: 'condition', field: 'age', path: [], operator: 'gt', value: '17', parameter: 'filter[gt][age]' }
+            ]
           }
         }
       };
 
       expect(testData).to.deep.equal(expectedData);
     });
+
+    it('should expose the include paths as a relationship tree limited by the maxIncludeDepth option.', function() {
+      var parserClass = new JsonApiQueryParser({ maxIncludeDepth: 2 });
+      var testData = parserClass.parseRequest('/article?include=comment.user,author,comment');
+
+      expect(testData.queryData.include).to.deep.equal(['comment.user', 'author', 'comment']);
+      expect(testData.queryData.includeTree).to.deep.equal({
+        comment: {
+          user: {}
+        },
+        author: {}
+      });
+
+      var testFunction = function() {
+        parserClass.parseRequest('/article?include=comment.user.company');
+      };
+
+      expect(testFunction).to.throw(JsonApiErrorList);
+    });
+
+    it('should apply the maxIncludeDepth option to the relationship paths of sort keys and filters.', function() {
+      var parserClass = new JsonApiQueryParser({ maxIncludeDepth: 1, collectErrors: true });
+      var testData = parserClass.parseRequest('/article?sort=author.name,-title&filter[author][name]=John');
+
+      expect(testData.queryData.sorting.length).to.equal(2);
+      expect(testData.queryData.filterTree.children.length).to.equal(1);
+
+      try {
+        parserClass.parseRequest('/article?sort=comment.user.name,-title&filter[comment][user][name]=John');
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+        expect(errorList.errors.map(function(error) {
+          return error.code + ' ' + error.source.parameter;
+        })).to.deep.equal(['FILTER_DEPTH_EXCEEDED filter[comment][user][name]', 'SORT_DEPTH_EXCEEDED sort']);
+      }
+    });
+  });
+
+  describe('registerParameter function', function() {
+    var parserClass;
+
+    beforeEach(function () {
+      parserClass = new JsonApiQueryParser({ validationMode: 'strict', queryCacheSize: 10 })
+        .registerParameter({
+          name: 'search',
+          parse: function(token) {
+            return token.value;
+          },
+          build: function(value) {
+            return { search: value };
+          }
+        })
+        .registerParameter({
+          name: 'meta',
+          pattern: /^meta\[([a-z]+)\]$/,
+          defaultValue: {},
+          validate: function(token) {
+            return token.value === 'true' || token.value === 'false';
+          },
+          parse: function(token, currentValue, match) {
+            currentValue[match[1]] = (token.value === 'true');
+            return currentValue;
+          },
+          build: function(value) {
+            let parameters = {};
+
+            Object.keys(value).forEach(function(key) {
+              parameters['meta[' + key + ']'] = value[key];
+            });
+
+            return parameters;
+          }
+        })
+        .registerParameter({
+          name: 'ext',
+          pattern: /^ext\[atomic\]$/,
+          parse: function(token) {
+            return token.values;
+          }
+        });
+    });
+
+    it('should parse registered parameters into their own queryData member.', function() {
+      var testData = parserClass.parseRequest('/article?search=json+api&meta[count]=true&meta[total]=false&ext[atomic]=a,b&sort=title');
+
+      expect(testData.queryData.search).to.equal('json api');
+      expect(testData.queryData.meta).to.deep.equal({ count: true, total: false });
+      expect(testData.queryData.ext).to.deep.equal(['a', 'b']);
+      expect(testData.queryData.sort).to.deep.equal(['title']);
+      expect(testData.warnings).to.deep.equal([]);
+
+      testData = parserClass.parseRequest('/article');
+      expect(testData.queryData.search).to.equal(null);
+      expect(testData.queryData.meta).to.deep.equal({});
+
+      testData.queryData.meta.count = true;
+      expect(parserClass.parseRequest('/article').queryData.meta).to.deep.equal({});
+    });
+
+    it('should report parameters failing their validation.', function() {
+      try {
+        parserClass.parseRequest('/article?meta[count]=yes');
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+        expect(errorList.errors[0].code).to.equal('INVALID_PARAMETER_VALUE');
+        expect(errorList.errors[0].source).to.deep.equal({ parameter: 'meta[count]' });
+      }
+
+      expect(function() {
+        parserClass.parseRequest('/article?meta[Count]=true');
+      }).to.throw(JsonApiErrorList);
+    });
+
+    it('should keep registered parameters in built urls and pagination links.', function() {
+      var testData = parserClass.parseRequest('/article?meta[total]=true&search=a%26b&page[offset]=0&page[limit]=10&ext[atomic]=x');
+
+      expect(parserClass.buildUrl(testData)).to.equal('/article?page[limit]=10&page[offset]=0&search=a%26b&meta[total]=true');
+      expect(parserClass.buildPaginationLinks(testData, { total: 30 }).next)
+        .to.equal('/article?page[limit]=10&page[offset]=10&search=a%26b&meta[total]=true');
+    });
+  });
+
+  describe('buildOpenApiParameters/buildOpenApiPaths functions', function() {
+    var parserClass;
+
+    beforeEach(function () {
+      parserClass = new JsonApiQueryParser({ maxIncludeDepth: 1, basePath: '/api/:version' })
+        .registerResource({ type: 'article', attributes: { title: 'string', views: 'integer' }, relationships: { author: 'user', tag: 'tag' } })
+        .registerResource({ type: 'user', attributes: ['name'], relationships: { article: 'article' } })
+        .registerParameter({
+          name: 'search',
+          parse: function(token) {
+            return token.value;
+          },
+          openApi: { description: 'Full text search.', schema: { type: 'string' } }
+        });
+    });
+
+    var getNames = function(parameters) {
+      return parameters.map(function(parameter) {
+        return parameter.name;
+      });
+    };
+
+    it('should document the parameter families the operation allows.', function() {
+      expect(getNames(parserClass.buildOpenApiParameters('collection', 'article'))).to.deep.equal(['include', 'fields', 'sort', 'page', 'filter', 'search']);
+      expect(getNames(parserClass.buildOpenApiParameters('resource', 'article', null, 'patch'))).to.deep.equal(['include', 'fields', 'search']);
+      expect(getNames(parserClass.buildOpenApiParameters('resource', 'article', null, 'DELETE'))).to.deep.equal(['search']);
+      expect(parserClass.buildOpenApiParameters('collection', 'article').pop()).to.deep.equal({
+        name: 'search',
+        in: 'query',
+        required: false,
+        description: 'Full text search.',
+        schema: { type: 'string' }
+      });
+    });
+
+    it('should document related endpoints for the related resource and follow the parser settings.', function() {
+      var parameters = parserClass.disableFilterOperator('like').buildOpenApiParameters('related', 'article', 'author');
+
+      expect(parameters[0].schema.items.enum).to.deep.equal(['article']);
+      expect(parameters[2].schema.items.enum).to.deep.equal([
+        'id', '-id', 'name', '-name', 'article.id', '-article.id', 'article.title', '-article.title', 'article.views', '-article.views'
+      ]);
+      expect(Object.keys(parameters[3].schema.properties)).to.deep.equal(['offset', 'limit', 'number', 'size', 'after', 'before']);
+      expect(parameters[4].schema.properties.name.oneOf[1].properties).to.not.have.property('like');
+    });
+
+    it('should document the relationship paths as open lists without the maxIncludeDepth option.', function() {
+      parserClass = new JsonApiQueryParser()
+        .registerResource({ type: 'article', relationships: { author: 'user' } })
+        .registerResource({ type: 'user', relationships: { article: 'article' } });
+
+      var include = parserClass.buildOpenApiParameters('collection', 'article')[0];
+
+      expect(include.schema).to.deep.equal({ type: 'array', items: { type: 'string' }, example: ['author', 'author.article'] });
+      expect(parserClass.parseRequest('/article?include=author.article.author').queryData.include).to.deep.equal(['author.article.author']);
+    });
+
+    it('should reject unknown shapes, resources, relationships and methods.', function() {
+      expect(function() {
+        parserClass.buildOpenApiParameters('relationships', 'article');
+      }).to.throw(TypeError, 'Unknown endpoint shape "relationships"');
+      expect(function() {
+        parserClass.buildOpenApiParameters('collection', 'comment');
+      }).to.throw(TypeError, 'Unknown resource type "comment"');
+      expect(function() {
+        parserClass.buildOpenApiParameters('related', 'article', 'tag');
+      }).to.throw(TypeError, 'Unknown relationship "tag" of "article"');
+      expect(function() {
+        parserClass.buildOpenApiParameters('related', 'article', 'author', 'POST');
+      }).to.throw(TypeError, 'The method "POST" is not allowed for the related endpoint');
+    });
+
+    it('should document the default endpoints of all resources below the base path.', function() {
+      var paths = parserClass.buildOpenApiPaths();
+
+      expect(Object.keys(paths)).to.deep.equal([
+        '/api/{version}/article',
+        '/api/{version}/article/{id}',
+        '/api/{version}/article/{id}/author',
+        '/api/{version}/article/{id}/relationships/author',
+        '/api/{version}/user',
+        '/api/{version}/user/{id}',
+        '/api/{version}/user/{id}/article',
+        '/api/{version}/user/{id}/relationships/article'
+      ]);
+      expect(Object.keys(paths['/api/{version}/article/{id}/relationships/author'])).to.deep.equal(['get', 'patch', 'post', 'delete']);
+      expect(getNames(paths['/api/{version}/article/{id}'].delete.parameters)).to.deep.equal(['version', 'id', 'search']);
+      expect(paths['/api/{version}/article'].get.parameters[0]).to.deep.equal({ name: 'version', in: 'path', required: true, schema: { type: 'string' } });
+      expect(Object.keys(new JsonApiQueryParser().buildOpenApiPaths())).to.deep.equal([]);
+    });
+
+    it('should document the custom routes after the default endpoints.', function() {
+      var paths = parserClass
+        .registerRoute('article/:id/publish', { resourceType: 'article', operations: { POST: 'publishArticle' } })
+        .registerRoute(':type/:id/history')
+        .registerRoute('author/:authorId/article', { resourceType: 'article' })
+        .registerRoute('archive/:id', { resourceType: 'comment' })
+        .buildOpenApiPaths();
+
+      expect(Object.keys(paths).slice(8)).to.deep.equal([
+        '/api/{version}/article/{id}/publish',
+        '/api/{version}/article/{id}/history',
+        '/api/{version}/user/{id}/history',
+        '/api/{version}/author/{authorId}/article'
+      ]);
+      expect(Object.keys(paths['/api/{version}/article/{id}/publish'])).to.deep.equal(['post']);
+      expect(getNames(paths['/api/{version}/article/{id}/publish'].post.parameters)).to.deep.equal(['version', 'id', 'include', 'fields', 'sort', 'page', 'filter', 'search']);
+      expect(getNames(paths['/api/{version}/user/{id}/history'].get.parameters)).to.deep.equal(['version', 'id', 'include', 'fields', 'search']);
+      expect(Object.keys(paths['/api/{version}/author/{authorId}/article'])).to.deep.equal(['get', 'post']);
+      expect(paths['/api/{version}/author/{authorId}/article'].get.parameters[1]).to.deep.equal({ name: 'authorId', in: 'path', required: true, schema: { type: 'string' } });
+    });
+  });
+
+  describe('queryCacheSize option', function() {
+    it('should reuse the parsed queryData of repeated query strings without sharing it.', function() {
+      var parserClass = new JsonApiQueryParser({ queryCacheSize: 10 });
+      var url = '/article?include=author&sort=-created&filter[views][gt]=5&page[limit]=20';
+      var firstData = parserClass.parseRequest(url);
+
+      firstData.queryData.sort.push('title');
+      firstData.queryData.filterTree.children[0].value = '10';
+
+      var secondData = parserClass.parseRequest(url);
+      expect(parserClass.queryCache.entries.size).to.equal(1);
+      expect(secondData.queryData.sort).to.deep.equal(['-created']);
+      expect(secondData.queryData.filterTree.children[0].value).to.equal('5');
+      expect(secondData.queryData).to.deep.equal(new JsonApiQueryParser().parseRequest(url).queryData);
+      expect(parserClass.parseRequest('/user?include=author&sort=-created&filter[views][gt]=5&page[limit]=20').resourceType).to.equal('user');
+    });
+
+    it('should not cache query strings with problems and clear the cache on configuration changes.', function() {
+      var parserClass = new JsonApiQueryParser({ queryCacheSize: 10, validationMode: 'lenient' });
+
+      expect(parserClass.parseRequest('/article?sorts=title').warnings.length).to.equal(1);
+      expect(parserClass.parseRequest('/article?sorts=title').warnings.length).to.equal(1);
+      expect(parserClass.queryCache.entries.size).to.equal(0);
+
+      parserClass.parseRequest('/article?filter[title][ilike]=a');
+      expect(parserClass.queryCache.entries.size).to.equal(1);
+
+      parserClass.registerFilterOperator({ name: 'ilike', arity: 1 });
+      expect(parserClass.queryCache.entries.size).to.equal(0);
+      expect(parserClass.parseRequest('/article?filter[title][ilike]=a').queryData.filterTree.children[0].operator).to.equal('ilike');
+    });
+
+    it('should not cache queryData holding values cloneData can not copy.', function() {
+      var parserClass = new JsonApiQueryParser({ queryCacheSize: 10 }).registerParameter({
+        name: 'tags',
+        parse: function(token) {
+          return new Map(token.values.map(function(tag) {
+            return [tag, true];
+          }));
+        }
+      });
+      var firstData = parserClass.parseRequest('/article?tags=a,b');
+
+      firstData.queryData.tags.set('c', true);
+
+      var secondData = parserClass.parseRequest('/article?tags=a,b');
+      expect(secondData.queryData.tags).to.not.equal(firstData.queryData.tags);
+      expect(Array.from(secondData.queryData.tags.keys())).to.deep.equal(['a', 'b']);
+      expect(parserClass.queryCache.entries.size).to.equal(0);
+
+      parserClass.parseRequest('/article?sort=title');
+      expect(parserClass.queryCache.entries.size).to.equal(1);
+    });
+  });
+
+  describe('isCloneable function', function() {
+    it('should only accept plain objects, lists, dates and primitive values.', function() {
+      expect(JsonApiQueryParser.isCloneable({ a: [1, 'b', null, new Date()], c: Object.create(null), d: undefined })).to.equal(true);
+      expect(JsonApiQueryParser.isCloneable({ a: [new Map()] })).to.equal(false);
+      expect(JsonApiQueryParser.isCloneable({ a: function() {} })).to.equal(false);
+      expect(JsonApiQueryParser.isCloneable(/a/)).to.equal(false);
+    });
+  });
+
+  describe('security limits', function() {
+    /**
+     * [Parses the url and returns the codes of the thrown JsonApiErrorList.]
+     **/
+    var getErrorCodes = function(parserClass, url) {
+      try {
+        parserClass.parseRequest(url);
+      } catch(errorList) {
+        expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+        return errorList.errors.map(function(error) {
+          return error.code;
+        });
+      }
+
+      throw new Error('Expected a JsonApiErrorList for ' + url);
+    };
+
+    it('should reject query strings exceeding the maxQueryLength and maxParameters options.', function() {
+      var parserClass = new JsonApiQueryParser({ maxQueryLength: 24, maxParameters: 2 });
+
+      expect(getErrorCodes(parserClass, '/article?include=author,comment.user')).to.deep.equal(['QUERY_LENGTH_EXCEEDED']);
+      expect(getErrorCodes(parserClass, '/article?sort=a&include=b&c-d=e')).to.deep.equal(['PARAMETER_COUNT_EXCEEDED']);
+      expect(parserClass.parseRequest('/article?sort=a&&include=b').queryData.sort).to.deep.equal(['a']);
+      expect(function() {
+        parserClass.parseRequest('/article?include=author,comment.user');
+      }).to.throw(JsonApiErrorList).with.property('status', 414);
+    });
+
+    it('should reject too many include paths, fields and filters.', function() {
+      var parserClass = new JsonApiQueryParser({ collectErrors: true, maxIncludeCount: 2, maxFieldsetSize: 2, maxFilterClauses: 2 });
+      var testData = parserClass.parseRequest('/article?include=a,b&fields[article]=title,body,title&filter[a]=1&filter[b][gt]=2');
+
+      expect(testData.queryData.fields).to.deep.equal({ article: ['title', 'body'] });
+      expect(getErrorCodes(parserClass, '/article?include=a,b,c&fields[article]=a,b,c&fields[user]=a&filter[a]=1&filter[b]=2&filter[or][c]=3'))
+        .to.deep.equal(['INCLUDE_COUNT_EXCEEDED', 'FIELDSET_SIZE_EXCEEDED', 'FILTER_COUNT_EXCEEDED']);
+    });
+
+    it('should reject keys reaching the object prototype in fields, page and filter.', function() {
+      var parserClass = new JsonApiQueryParser({ collectErrors: true });
+      var urls = [
+        '/article?fields[__proto__]=title',
+        '/article?page[constructor]=1',
+        '/article?filter[like][__proto__]=x',
+        '/article?filter[or][prototype][name]=x',
+        '/article?filter%5B__proto__%5D=x'
+      ];
+
+      urls.forEach(function(url) {
+        expect(getErrorCodes(parserClass, url)).to.deep.equal(['FORBIDDEN_KEY']);
+      });
+
+      expect(parserClass.parseRequest('/article?filter[name]=__proto__').queryData.filter.name).to.equal('__proto__');
+      expect({}.title).to.equal(undefined);
+    });
+  });
+
+  describe('registerResource/validateRequest functions', function() {
+
+    var parserClass;
+
+    beforeEach(function () {
+      parserClass = new JsonApiQueryParser();
+      parserClass
+        .registerResource({
+          type: 'article',
+          attributes: { title: {}, body: { sortable: false }, secret: { filterable: false } },
+          relationships: { author: 'user', comment: 'comment' }
+        })
+        .registerResource({ type: 'comment', attributes: ['body'], relationships: { user: 'user' } })
+        .registerResource({ type: 'user', attributes: ['name', 'email'] });
+    });
+
+    it('should accept requests that only use registered types, fields, includes, sort keys and filters.', function() {
+      var testData = parserClass.parseRequest('/article/5?include=comment.user,author&fields[article]=title,author&fields[user]=name'
+                                              + '&sort=-title,author.name,id&filter[title]=test&filter[like][author.name]=jo&filter[author]=3');
+
+      expect(testData.resourceType).to.equal('article');
+      expect(testData.queryData.sort).to.deep.equal(['-title', 'author.name', 'id']);
+
+      testData = parserClass.parseRequest('/article/5/comment?include=user&sort=body');
+      expect(testData.relationshipType).to.equal('comment');
+    });
+
+    it('should throw a JsonApiErrorList for anything not covered by the registered resources.', function() {
+      var invalidUrls = [
+        '/tag',
+        '/article/5/tag',
+        '/article/5/relationships/tag',
+        '/article?fields[tag]=name',
+        '/article?fields[article]=title,summary',
+        '/article?include=comment.author',
+        '/article?include=author.comment',
+        '/article?sort=-body',
+        '/article?sort=summary',
+        '/article?sort=author',
+        '/article?filter[secret]=1',
+        '/article?filter[gt][summary]=1',
+        '/article/5/comment?sort=title'
+      ];
+
+      invalidUrls.forEach(function(url) {
+        expect(function() {
+          parserClass.parseRequest(url);
+        }, url).to.throw(JsonApiErrorList);
+      });
+    });
+
+    it('should point each error at the offending query parameter.', function() {
+      var caughtError;
+
+      try {
+        parserClass.parseRequest('/article?fields[article]=summary');
+      } catch(error) {
+        caughtError = error;
+      }
+
+      expect(caughtError.status).to.equal(400);
+      expect(caughtError.toJSON()).to.deep.equal({
+        errors: [{
+          status: '400',
+          code: 'UNKNOWN_FIELD',
+          title: 'Unknown field',
+          detail: 'The resource type "article" has no field "summary".',
+          source: { parameter: 'fields[article]' }
+        }]
+      });
+    });
+
+    it('should collect all problems in one pass if the collectErrors option is set.', function() {
+      var caughtError;
+
+      parserClass.options.collectErrors = true;
+
+      try {
+        parserClass.parseRequest('/article?fields[tag]=name&include=comment.author&sort=-body&filter[gt][summary]=1');
+      } catch(error) {
+        caughtError = error;
+      }
+
+      expect(caughtError).to.be.an.instanceof(JsonApiErrorList);
+      expect(caughtError.errors.map(function(error) {
+        return error.source.parameter;
+      })).to.deep.equal(['fields[tag]', 'include', 'sort', 'filter[gt][summary]']);
+
+      try {
+        parserClass.parseRequest('/tag/1/relationships/');
+      } catch(error) {
+        caughtError = error;
+      }
+
+      expect(caughtError.status).to.equal(404);
+      expect(caughtError.errors.map(function(error) {
+        return error.code;
+      })).to.deep.equal(['MISSING_RELATIONSHIP_TYPE', 'UNKNOWN_RESOURCE_TYPE']);
+    });
+
+    it('should not validate anything while no resources are registered.', function() {
+      var testData = new JsonApiQueryParser().parseRequest('/tag?sort=anything&fields[foo]=bar');
+
+      expect(testData.resourceType).to.equal('tag');
+    });
+  });
+
+  describe('validationMode option', function() {
+    var invalidQuery = 'sorts=title&field[article]=x&include=&fields=title&filter=5&page[limit][x]=2&fields[article=a&camelCase=1&sort=title';
+
+    it('should ignore unrecognized and malformed query parameters by default.', function() {
+      var testData = new JsonApiQueryParser().parseRequest('/article?' + invalidQuery);
+
+      expect(testData.warnings).to.deep.equal([]);
+      expect(testData.queryData.sort).to.deep.equal(['title']);
+    });
+
+    it('should report unrecognized and malformed query parameters as errors in strict mode.', function() {
+      var parserClass = new JsonApiQueryParser({ validationMode: 'strict', collectErrors: true });
+      var caughtError;
+
+      try {
+        parserClass.parseRequest('/article?' + invalidQuery);
+      } catch(error) {
+        caughtError = error;
+      }
+
+      expect(caughtError).to.be.an.instanceof(JsonApiErrorList);
+      expect(caughtError.toJSON().errors.map(function(error) {
+        return [error.code, error.source.parameter];
+      })).to.deep.equal([
+        ['UNKNOWN_PARAMETER', 'sorts'],
+        ['UNKNOWN_PARAMETER', 'field[article]'],
+        ['EMPTY_VALUE', 'include'],
+        ['MALFORMED_PARAMETER', 'fields'],
+        ['MALFORMED_PARAMETER', 'filter'],
+        ['MALFORMED_PARAMETER', 'page[limit][x]'],
+        ['MALFORMED_PARAMETER', 'fields[article']
+      ]);
+
+      var testData = parserClass.parseRequest('/article?include=user&fields[article]=title&filter[like][name]=jo&camelCase=1&my-param=2');
+      expect(testData.queryData.include).to.deep.equal(['user']);
+    });
+
+    it('should report unrecognized and malformed query parameters as warnings in lenient mode.', function() {
+      var parserClass = new JsonApiQueryParser({ validationMode: 'lenient' });
+      var testData = parserClass.parseRequest('/article?' + invalidQuery);
+
+      expect(testData.warnings).to.have.length(7);
+      expect(testData.warnings[0]).to.be.an.instanceof(JsonApiError);
+      expect(testData.warnings[0].source).to.deep.equal({ parameter: 'sorts' });
+      expect(testData.queryData.sort).to.deep.equal(['title']);
+      expect(testData.queryData.fields).to.deep.equal({});
+
+      testData = parserClass.parseRequest('/article?sort=title');
+      expect(testData.warnings).to.deep.equal([]);
+    });
+  });
+
+  describe('parseSorting function', function() {
+    it('should expose each sort key as structured sort field next to the raw sort keys.', function() {
+      var testData = new JsonApiQueryParser().parseRequest('/article?sort=-created,author.name,-comment.user.age');
+
+      expect(testData.queryData.sort).to.deep.equal(['-created', 'author.name', '-comment.user.age']);
+      expect(testData.queryData.sorting).to.deep.equal([
+        { field: 'created', direction: 'desc', path: [] },
+        { field: 'name', direction: 'asc', path: ['author'] },
+        { field: 'age', direction: 'desc', path: ['comment', 'user'] }
+      ]);
+    });
+
+    it('should reject duplicate and conflicting sort keys.', function() {
+      var parserClass = new JsonApiQueryParser({ collectErrors: true });
+      var caughtError;
+
+      try {
+        parserClass.parseRequest('/article?sort=title,-created,title,author.name,-author.name');
+      } catch(error) {
+        caughtError = error;
+      }
+
+      expect(caughtError).to.be.an.instanceof(JsonApiErrorList);
+      expect(caughtError.errors.map(function(error) {
+        return error.code;
+      })).to.deep.equal(['DUPLICATE_SORT', 'CONFLICTING_SORT']);
+    });
+
+    it('should report empty sort keys depending on the validationMode option.', function() {
+      var testData = new JsonApiQueryParser().parseRequest('/article?sort=title,');
+      expect(testData.queryData.sorting).to.deep.equal([{ field: 'title', direction: 'asc', path: [] }]);
+
+      testData = new JsonApiQueryParser({ validationMode: 'lenient' }).parseRequest('/article?sort=title,');
+      expect(testData.warnings[0].code).to.equal('EMPTY_SORT_KEY');
+    });
+
+    it('should apply the defaultSort option if no sort is given.', function() {
+      var parserClass = new JsonApiQueryParser({ defaultSort: ['-created', 'title'] });
+      var testData = parserClass.parseRequest('/article');
+
+      expect(testData.queryData.sort).to.deep.equal(['-created', 'title']);
+      expect(testData.queryData.sorting).to.deep.equal([
+        { field: 'created', direction: 'desc', path: [] },
+        { field: 'title', direction: 'asc', path: [] }
+      ]);
+
+      testData = parserClass.parseRequest('/article?sort=name');
+      expect(testData.queryData.sort).to.deep.equal(['name']);
+
+      testData = new JsonApiQueryParser({ defaultSort: '-created,title' }).parseRequest('/article');
+      expect(testData.queryData.sort).to.deep.equal(['-created', 'title']);
+      expect(testData.queryData.sorting[1]).to.deep.equal({ field: 'title', direction: 'asc', path: [] });
+    });
+  });
+
+  describe('parseSortKey function', function() {
+    it('should split the sort key into field, direction and relationship path.', function() {
+      expect(JsonApiQueryParser.parseSortKey('title')).to.deep.equal({ field: 'title', direction: 'asc', path: [] });
+      expect(JsonApiQueryParser.parseSortKey('-author.name')).to.deep.equal({ field: 'name', direction: 'desc', path: ['author'] });
+    });
+  });
+
+  describe('parsePagination function', function() {
+    it('should pick the strategy matching the page keys and normalize its values.', function() {
+      var parserClass = new JsonApiQueryParser({ defaultPageSize: 20, maxPageSize: 100 });
+
+      expect(parserClass.parseRequest('/article').queryData.pagination).to.equal(null);
+      expect(parserClass.parseRequest('/article?page[offset]=40').queryData.pagination).to.deep.equal({ strategy: 'offset', offset: 40, limit: 20 });
+      expect(parserClass.parseRequest('/article?page[number]=2&page[size]=50').queryData.pagination).to.deep.equal({ strategy: 'number', number: 2, size: 50 });
+      expect(parserClass.parseRequest('/article?page[size]=50').queryData.pagination).to.deep.equal({ strategy: 'number', number: 1, size: 50 });
+      expect(parserClass.parseRequest('/article?page[after]=abc').queryData.pagination).to.deep.equal({ strategy: 'cursor', after: 'abc', before: null, size: 20 });
+    });
+
+    it('should apply the defaultPagination strategy and prefer it for shared page keys.', function() {
+      var parserClass = new JsonApiQueryParser({ defaultPagination: 'cursor', defaultPageSize: 10 });
+
+      expect(parserClass.parseRequest('/article').queryData.pagination).to.deep.equal({ strategy: 'cursor', after: null, before: null, size: 10 });
+      expect(parserClass.parseRequest('/article?page[size]=5').queryData.pagination).to.deep.equal({ strategy: 'cursor', after: null, before: null, size: 5 });
+    });
+
+    it('should reject mixed strategies and invalid values, and unknown keys in strict mode.', function() {
+      var parserClass = new JsonApiQueryParser({ maxPageSize: 100, collectErrors: true, validationMode: 'strict' });
+      var invalidQueries = {
+        'page[offset]=0&page[size]=10': 'MIXED_PAGINATION',
+        'page[limit]=10&page[foo]=1': 'UNKNOWN_PAGE_PARAMETER',
+        'page[limit]=abc': 'INVALID_PAGE_VALUE',
+        'page[limit]=101': 'MAX_PAGE_SIZE_EXCEEDED'
+      };
+
+      Object.keys(invalidQueries).forEach(function(query) {
+        var caughtError;
+
+        try {
+          parserClass.parseRequest('/article?' + query);
+        } catch(error) {
+          caughtError = error;
+        }
+
+        expect(caughtError, query).to.be.an.instanceof(JsonApiErrorList);
+        expect(caughtError.errors[0].code).to.equal(invalidQueries[query]);
+      });
+    });
+
+    it('should ignore unknown page keys outside of strict mode.', function() {
+      var testData = new JsonApiQueryParser().parseRequest('/article?page[limit]=10&page[foo]=1');
+
+      expect(testData.queryData.page).to.deep.equal({ limit: '10', foo: '1' });
+      expect(testData.queryData.pagination).to.deep.equal({ strategy: 'offset', offset: 0, limit: 10 });
+    });
+
+    it('should use registered custom strategies.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var SeekPagination = class extends JsonApiQueryParser.PaginationStrategy {
+        constructor () {
+          super('seek', ['since']);
+        }
+
+        parse (page) {
+          return { strategy: this.name, since: page.since };
+        }
+      };
+
+      parserClass.registerPaginationStrategy(new SeekPagination());
+      expect(parserClass.parseRequest('/article?page[since]=2017').queryData.pagination).to.deep.equal({ strategy: 'seek', since: '2017' });
+    });
+  });
+
+  describe('filterTree', function() {
+    it('should expose all filters as filter tree next to the filter object.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var testData = parserClass.parseRequest('/article?filter[lt][age]=15&filter[author][name][like]=jo&filter[or][id][in]=1,2&filter[or][title]=x');
+
+      expect(testData.queryData.filter).to.deep.equal({
+        like: {},
+        not: {},
+        lt: {
+          age: '15'
+        },
+        lte: {},
+        gt: {},
+        gte: {}
+      });
+      expect(testData.queryData.filterTree).to.deep.equal({
+        type: 'and',
+        children: [
+          { type: 'condition', field: 'age', path: [], operator: 'lt', value: '15', parameter: 'filter[lt][age]' },
+          { type: 'condition', field: 'name', path: ['author'], operator: 'like', value: 'jo', parameter: 'filter[author][name][like]' },
+          {
+            type: 'or',
+            children: [
+              { type: 'condition', field: 'id', path: [], operator: 'in', value: ['1', '2'], parameter: 'filter[or][id][in]' },
+              { type: 'condition', field: 'title', path: [], operator: 'eq', value: 'x', parameter: 'filter[or][title]' }
+            ]
+          }
+        ]
+      });
+    });
+
+    it('should reject invalid filter values and validate nested filters against registered resources.', function() {
+      var parserClass = new JsonApiQueryParser({ collectErrors: true });
+      var caughtError;
+
+      parserClass
+        .registerResource({ type: 'article', attributes: ['title'], relationships: { author: 'user' } })
+        .registerResource({ type: 'user', attributes: { name: {}, password: { filterable: false } } });
+
+      expect(parserClass.parseRequest('/article?filter[or][author][name][like]=jo&filter[or][title][in]=a,b').queryData.filterTree.children).to.have.length(1);
+
+      try {
+        parserClass.parseRequest('/article?filter[author][password]=x&filter[or][author][age][lt]=3&filter[title][between]=1');
+      } catch(error) {
+        caughtError = error;
+      }
+
+      expect(caughtError.errors.map(function(error) {
+        return error.source.parameter;
+      })).to.deep.equal(['filter[title][between]', 'filter[author][password]', 'filter[or][author][age][lt]']);
+    });
+  });
+
+  describe('registerFilterOperator/disableFilterOperator functions', function() {
+    it('should use registered operators in the filter tree and their filter type object.', function() {
+      var parserClass = new JsonApiQueryParser();
+      parserClass.registerFilterOperator({ name: 'ilike' }).registerFilterOperator({ name: 'startswith' });
+
+      var testData = parserClass.parseRequest('/article?filter[ilike][name]=jo&filter[title][startswith]=ne');
+
+      expect(testData.queryData.filter).to.deep.equal({
+        like: {},
+        not: {},
+        lt: {},
+        lte: {},
+        gt: {},
+        gte: {},
+        ilike: {
+          name: 'jo'
+        },
+        startswith: {}
+      });
+      expect(testData.queryData.filterTree.children.map(function(condition) {
+        return condition.operator;
+      })).to.deep.equal(['ilike', 'startswith']);
+    });
+
+    it('should reject disabled operators and remove their filter type object.', function() {
+      var parserClass = new JsonApiQueryParser();
+      parserClass.disableFilterOperator('like').disableFilterOperator('between');
+
+      expect(parserClass.parseRequest('/article').queryData.filter).to.deep.equal({ not: {}, lt: {}, lte: {}, gt: {}, gte: {} });
+      expect(function() {
+        parserClass.parseRequest('/article?filter[like][name]=jo');
+      }).to.throw(JsonApiErrorList);
+      expect(function() {
+        parserClass.parseRequest('/article?filter[age][between]=1,2');
+      }).to.throw(JsonApiErrorList);
+    });
+  });
+
+  describe('buildUrl function', function() {
+    it('should round-trip a parsed request into its canonical url.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var testString = '/article/5/relationships/comment?sort=-created,title&filter[not][age]=30&filter[name]=john%20doe'
+                       + '&page[limit]=20&fields[user]=name,email&include=user,comment.user';
+      var canonicalUrl = '/article/5/relationships/comment?include=comment.user,user&fields[user]=email,name&sort=-created,title'
+                         + '&page[limit]=20&filter[name]=john%20doe&filter[not][age]=30';
+
+      var testData = parserClass.parseRequest(testString);
+
+      expect(parserClass.buildUrl(testData)).to.equal(canonicalUrl);
+      expect(parserClass.buildUrl(parserClass.parseRequest(canonicalUrl))).to.equal(canonicalUrl);
+      expect(parserClass.parseRequest(canonicalUrl).queryData.filter).to.deep.equal(testData.queryData.filter);
+    });
+
+    it('should round-trip percent-encoded identifiers and relationship names.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var testData = parserClass.parseRequest('/article/a%20b%2F1/relationships/co%C3%A9?sort=title');
+
+      expect(testData.identifier).to.equal('a b/1');
+      expect(testData.relationshipType).to.equal('co\u00e9');
+      expect(parserClass.buildUrl(testData)).to.equal('/article/a%20b%2F1/relationships/co%C3%A9?sort=title');
+    });
+
+    it('should keep nested filters and filter groups of the filter tree.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var testString = '/article?filter[or][title]=a%26b&filter[author][name][like]=jo&filter[or][id][in]=1,2';
+      var testData = parserClass.parseRequest(testString);
+
+      expect(parserClass.buildUrl(testData)).to.equal('/article?filter[author][name][like]=jo&filter[or][id][in]=1,2&filter[or][title]=a%26b');
+      expect(parserClass.parseRequest(parserClass.buildUrl(testData)).queryData.filterTree.children).to.have.length(2);
+    });
+
+    it('should prefix the matched base path.', function() {
+      var parserClass = new JsonApiQueryParser({ basePath: '/api/:version' });
+      var testData = parserClass.parseRequest('/api/v2/article/5?include=author');
+
+      expect(parserClass.buildUrl(testData)).to.equal('/api/v2/article/5?include=author');
+    });
+  });
+
+  describe('buildPaginationLinks function', function() {
+    it('should build the pagination links and keep all other query parameters.', function() {
+      var parserClass = new JsonApiQueryParser({ defaultPageSize: 10 });
+      var testData = parserClass.parseRequest('/article?include=author&sort=-created&filter[like][title]=news&page[offset]=10');
+
+      expect(parserClass.buildPaginationLinks(testData, { total: 25 })).to.deep.equal({
+        self: '/article?include=author&sort=-created&page[offset]=10&filter[like][title]=news',
+        first: '/article?include=author&sort=-created&page[limit]=10&page[offset]=0&filter[like][title]=news',
+        prev: '/article?include=author&sort=-created&page[limit]=10&page[offset]=0&filter[like][title]=news',
+        next: '/article?include=author&sort=-created&page[limit]=10&page[offset]=20&filter[like][title]=news',
+        last: '/article?include=author&sort=-created&page[limit]=10&page[offset]=20&filter[like][title]=news'
+      });
+      expect(testData.queryData.page).to.deep.equal({ offset: '10' });
+    });
+
+    it('should build page number and cursor links.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var testData = parserClass.parseRequest('/article?page[number]=1&page[size]=20');
+
+      expect(parserClass.buildPaginationLinks(testData, { total: 30 })).to.deep.equal({
+        self: '/article?page[number]=1&page[size]=20',
+        first: '/article?page[number]=1&page[size]=20',
+        prev: null,
+        next: '/article?page[number]=2&page[size]=20',
+        last: '/article?page[number]=2&page[size]=20'
+      });
+
+      testData = parserClass.parseRequest('/article?page[after]=x1&page[size]=20');
+
+      expect(parserClass.buildPaginationLinks(testData, { nextCursor: 'x21' })).to.deep.equal({
+        self: '/article?page[after]=x1&page[size]=20',
+        first: '/article?page[size]=20',
+        prev: null,
+        next: '/article?page[after]=x21&page[size]=20',
+        last: null
+      });
+    });
+
+    it('should only return the self link for requests without pagination.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var testData = parserClass.parseRequest('/article?sort=title');
+
+      expect(parserClass.buildPaginationLinks(testData, { total: 30 })).to.deep.equal({ self: '/article?sort=title' });
+    });
+  });
+
+  describe('coerceValues option', function() {
+    var parserClass;
+
+    beforeEach(function () {
+      parserClass = new JsonApiQueryParser({ coerceValues: true });
+      parserClass.registerResource({
+        type: 'article',
+        attributes: { title: {}, views: 'integer', rating: 'float', published: 'boolean', created: 'date' },
+        relationships: { author: 'user' }
+      }).registerResource({ type: 'user', attributes: { age: 'integer' } });
+    });
+
+    it('should coerce filter values to the declared attribute types.', function() {
+      var testData = parserClass.parseRequest('/article?filter[views][gte]=15&filter[rating][between]=1.5,3&filter[published]=true'
+                                              + '&filter[created][lt]=2016-01-31&filter[author][age][in]=20,30&filter[title]=15'
+                                              + '&filter[views][not]=null&filter[like][title]=1&filter[rating][null]=false');
+
+      expect(testData.queryData.filterTree.children.map(function(condition) {
+        return condition.value;
+      })).to.deep.equal([15, [1.5, 3], true, new Date('2016-01-31'), [20, 30], '15', null, '1', false]);
+    });
+
+    it('should coerce the legacy filter objects.', function() {
+      var testData = parserClass.parseRequest('/article?filter[views]=15&filter[lt][views]=20&filter[like][views]=1&filter[title]=2');
+
+      expect(testData.queryData.filter.views).to.equal(15);
+      expect(testData.queryData.filter.lt).to.deep.equal({ views: 20 });
+      expect(testData.queryData.filter.like).to.deep.equal({ views: '1' });
+      expect(testData.queryData.filter.title).to.equal('2');
+    });
+
+    it('should coerce filters of related endpoints to the related resource type.', function() {
+      var testData = parserClass.parseRequest('/article/1/author?filter[age]=20');
+
+      expect(testData.queryData.filterTree.children[0].value).to.equal(20);
+    });
+
+    it('should report filter values that can not be coerced.', function() {
+      parserClass = new JsonApiQueryParser({ coerceValues: true, collectErrors: true });
+      parserClass.registerResource({ type: 'article', attributes: { views: 'integer', created: 'date' } });
+
+      try {
+        parserClass.parseRequest('/article?filter[views][lt]=many&filter[created]=yesterday&filter[views][in]=1,x');
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+        expect(errorList.errors.map(function(error) {
+          return error.code + ' ' + error.source.parameter;
+        })).to.deep.equal([
+          'INVALID_FILTER_VALUE filter[views][lt]',
+          'INVALID_FILTER_VALUE filter[created]',
+          'INVALID_FILTER_VALUE filter[views][in]'
+        ]);
+        expect(errorList.errors[0].detail).to.equal('The value "many" of the "views" filter is not a valid integer.');
+      }
+    });
+
+    it('should keep coerced date filters parseable in pagination links.', function() {
+      var testData = parserClass.parseRequest('/article?filter[created][gte]=2000-01-01&filter[views]=3&page[offset]=0&page[limit]=10');
+      var links = parserClass.buildPaginationLinks(testData, { total: 30 });
+
+      expect(links.next).to.equal('/article?page[limit]=10&page[offset]=10&filter[created][gte]=2000-01-01T00%3A00%3A00.000Z&filter[views]=3');
+      expect(parserClass.parseRequest(links.next).queryData.filterTree.children[0].value).to.deep.equal(new Date('2000-01-01'));
+    });
+
+    it('should replace page values by the numbers of the pagination.', function() {
+      var testData = new JsonApiQueryParser({ coerceValues: true }).parseRequest('/article?page[offset]=20&page[limit]=10');
+      expect(testData.queryData.page).to.deep.equal({ offset: 20, limit: 10 });
+
+      testData = parserClass.parseRequest('/article?page[after]=abc&page[size]=5');
+      expect(testData.queryData.page).to.deep.equal({ after: 'abc', size: 5 });
+      expect(parserClass.buildUrl(testData)).to.equal('/article?page[after]=abc&page[size]=5');
+    });
+
+    it('should leave values as strings without the option.', function() {
+      parserClass.options.coerceValues = false;
+
+      var testData = parserClass.parseRequest('/article?filter[views]=15&page[limit]=10');
+      expect(testData.queryData.filterTree.children[0].value).to.equal('15');
+      expect(testData.queryData.page.limit).to.equal('10');
+    });
+  });
+
+  describe('parseOperation function', function() {
+    it('should classify the operation by method and endpoint shape.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var expectations = [
+        ['GET', '/article?sort=-created&page[limit]=10', 'fetchCollection'],
+        ['head', '/article', 'fetchCollection'],
+        ['GET', '/article/5?include=author', 'fetchResource'],
+        ['GET', '/article/5/author', 'fetchRelated'],
+        ['GET', '/article/5/relationships/author', 'fetchRelationship'],
+        ['POST', '/article?include=author', 'createResource'],
+        ['PATCH', '/article/5?fields[article]=title', 'updateResource'],
+        ['DELETE', '/article/5', 'deleteResource'],
+        ['PATCH', '/article/5/relationships/tags', 'updateRelationship'],
+        ['POST', '/article/5/relationships/tags', 'addRelationshipMembers'],
+        ['DELETE', '/article/5/relationships/tags', 'removeRelationshipMembers']
+      ];
+
+      expectations.forEach(function(expectation) {
+        var testData = parserClass.parseOperation(expectation[0], expectation[1]);
+
+        expect(testData.operation, expectation[0] + ' ' + expectation[1]).to.equal(expectation[2]);
+        expect(testData.method).to.equal(expectation[0].toUpperCase());
+      });
+    });
+
+    it('should throw a 405 JsonApiErrorList if the method is not allowed for the endpoint.', function() {
+      var parserClass = new JsonApiQueryParser();
+
+      [['POST', '/article/5'], ['DELETE', '/article'], ['PATCH', '/article/5/author'], ['PUT', '/article/5']].forEach(function(testCase) {
+        try {
+          parserClass.parseOperation(testCase[0], testCase[1]);
+          throw new Error('Expected a JsonApiErrorList for ' + testCase.join(' '));
+        } catch(errorList) {
+          expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+          expect(errorList.status).to.equal(405);
+          expect(errorList.errors[0].code).to.equal('METHOD_NOT_ALLOWED');
+        }
+      });
+    });
+
+    it('should throw a 400 JsonApiErrorList for query parameters the operation does not allow.', function() {
+      var parserClass = new JsonApiQueryParser({ collectErrors: true });
+
+      try {
+        parserClass.parseOperation('POST', '/article?include=author&sort=title&page[limit]=5&my-param=1');
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(errorList.status).to.equal(400);
+        expect(errorList.errors.map(function(error) {
+          return error.source.parameter;
+        })).to.deep.equal(['sort', 'page[limit]']);
+      }
+
+      expect(function() {
+        parserClass.parseOperation('DELETE', '/article/5?include=author');
+      }).to.throw(JsonApiErrorList);
+
+      expect(function() {
+        parserClass.parseOperation('GET', '/article/5?filter[name]=a');
+      }).to.throw(JsonApiErrorList);
+    });
+
+    it('should check the query parameters of cached query strings as well.', function() {
+      var parserClass = new JsonApiQueryParser({ queryCacheSize: 10 });
+
+      expect(parserClass.parseOperation('GET', '/article?sort=title').operation).to.equal('fetchCollection');
+      expect(parserClass.queryCache.entries.size).to.equal(1);
+
+      try {
+        parserClass.parseOperation('POST', '/article?sort=title');
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+        expect(errorList.errors[0].code).to.equal('PARAMETER_NOT_ALLOWED');
+        expect(errorList.errors[0].source).to.deep.equal({ parameter: 'sort' });
+      }
+
+      expect(parserClass.parseOperation('POST', '/article').operation).to.equal('createResource');
+    });
+
+    it('should negotiate the media type if headers are given.', function() {
+      var parserClass = new JsonApiQueryParser({ extensions: ['https://jsonapi.org/ext/atomic'] });
+      var testData = parserClass.parseOperation('GET', '/article', { accept: 'application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"' });
+
+      expect(testData.negotiation.extensions).to.deep.equal(['https://jsonapi.org/ext/atomic']);
+      expect(parserClass.parseOperation('GET', '/article').negotiation).to.equal(undefined);
+
+      try {
+        parserClass.parseOperation('POST', '/article', { 'content-type': 'application/vnd.api+json; charset=utf-8' });
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+        expect(errorList.status).to.equal(415);
+      }
+    });
+
+    it('should use the operations of custom routes.', function() {
+      var parserClass = new JsonApiQueryParser();
+      parserClass.registerRoute('article/:id/publish', { name: 'publishArticle', resourceType: 'article', operations: { POST: 'publishArticle' } })
+                 .registerRoute('author/:authorId/article', { resourceType: 'article' });
+
+      var testData = parserClass.parseOperation('POST', '/article/5/publish?sort=title');
+      expect(testData.operation).to.equal('publishArticle');
+
+      expect(function() {
+        parserClass.parseOperation('GET', '/article/5/publish');
+      }).to.throw(JsonApiErrorList);
+
+      expect(parserClass.parseOperation('GET', '/author/3/article?sort=title').operation).to.equal('fetchCollection');
+      expect(parserClass.parseOperation('POST', '/author/3/article').operation).to.equal('createResource');
+    });
   });
 
   describe('parseEndpoint function', function() {
@@ -113,6 +1159,11 @@ describe('JsonApiQueryParser', function () {
         identifier: '5',
         relationships: true,
         relationshipType: 'comment',
+        route: {
+          name: 'relationship',
+          template: ':type/:id/relationships/:relationship',
+          params: { type: 'article', id: '5', relationship: 'comment' }
+        },
         queryData: {
           include: [],
           fields: {},
@@ -139,6 +1190,11 @@ describe('JsonApiQueryParser', function () {
         identifier: '5',
         relationships: false,
         relationshipType: 'comment',
+        route: {
+          name: 'related',
+          template: ':type/:id/:relationship',
+          params: { type: 'article', id: '5', relationship: 'comment' }
+        },
         queryData: {
           include: [],
           fields: {},
@@ -159,7 +1215,7 @@ describe('JsonApiQueryParser', function () {
 
     });
 
-    it('should throw a ReferenceError if the request asked for /relationships but did not define the name of it.', function() {
+    it('should throw a JsonApiErrorList if the request asked for /relationships but did not define the name of it.', function() {
       var testString;
       var parserClass = new JsonApiQueryParser();
 
@@ -168,8 +1224,130 @@ describe('JsonApiQueryParser', function () {
         parserClass.parseEndpoint(testString, requestData);
       };
 
-      expect(testFunction).to.throw(ReferenceError);
+      expect(testFunction).to.throw(JsonApiErrorList);
+
+    });
+
+    it('should report a 404 error for over-long and unmatched endpoints.', function() {
+      var parserClass = new JsonApiQueryParser({ collectErrors: true });
+      parserClass.registerResource({ type: 'article', attributes: ['title'] });
+
+      ['/article/5/comment/1', '/article/5/relationships/comment/1', '/', ''].forEach(function(testString) {
+        try {
+          parserClass.parseRequest(testString);
+          throw new Error('Expected a JsonApiErrorList for ' + testString);
+        } catch(errorList) {
+          expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+          expect(errorList.errors.map(function(error) {
+            return error.code;
+          })).to.deep.equal(['UNKNOWN_ROUTE']);
+          expect(errorList.status).to.equal(404);
+        }
+      });
+
+      expect(function() {
+        new JsonApiQueryParser().parseRequest('/?sort=title');
+      }).to.throw(JsonApiErrorList).with.property('status', 404);
+    });
+
+    it('should match registered routes with their params.', function() {
+      var parserClass = new JsonApiQueryParser();
+      parserClass.registerRoute('article/:id/publish', { name: 'publishArticle', resourceType: 'article' })
+                 .registerRoute('author/:authorId/article', { name: 'authorArticles', resourceType: 'article' })
+                 .registerRoute('version/:id-:version', { resourceType: 'articleVersion' });
+
+      var testData = parserClass.parseRequest('/article/5/publish?include=author');
+      expect(testData.route).to.deep.equal({ name: 'publishArticle', template: 'article/:id/publish', params: { id: '5' } });
+      expect(testData.resourceType).to.equal('article');
+      expect(testData.identifier).to.equal('5');
+      expect(testData.relationshipType).to.equal(null);
+      expect(parserClass.buildUrl(testData)).to.equal('/article/5/publish?include=author');
+
+      testData = parserClass.parseRequest('/author/3/article');
+      expect(testData.route.params).to.deep.equal({ authorId: '3' });
+      expect(testData.resourceType).to.equal('article');
+      expect(testData.identifier).to.equal(null);
+
+      testData = parserClass.parseRequest('/version/7-2');
+      expect(testData.route.params).to.deep.equal({ id: '7', version: '2' });
+      expect(testData.resourceType).to.equal('articleVersion');
+      expect(testData.identifier).to.equal('7');
+
+      testData = parserClass.parseRequest('/article/5/comment');
+      expect(testData.route.name).to.equal('related');
+    });
+
+    it('should strip the configured base path and expose its parameters.', function() {
+      var parserClass = new JsonApiQueryParser({ basePath: '/api/:version' });
+      var testData = parserClass.parseRequest('/api/v1/article/5/relationships/comment?include=user');
+
+      expect(testData.basePath).to.equal('/api/v1');
+      expect(testData.baseParams).to.deep.equal({ version: 'v1' });
+      expect(testData.resourceType).to.equal('article');
+      expect(testData.identifier).to.equal('5');
+      expect(testData.relationshipType).to.equal('comment');
+      expect(testData.queryData.include).to.deep.equal(['user']);
+
+      expect(function() {
+        parserClass.parseRequest('/api/v1/');
+      }).to.throw(JsonApiErrorList);
+
+      parserClass = new JsonApiQueryParser({ basePath: 'v1/api' });
+      testData = parserClass.parseRequest('/v1/api/article?include=user');
+      expect(testData.basePath).to.equal('/v1/api');
+      expect(testData.baseParams).to.deep.equal({});
+      expect(testData.resourceType).to.equal('article');
+    });
+
+    it('should strip a base path given as regular expression with named groups.', function() {
+      var parserClass = new JsonApiQueryParser({ basePath: /^\/(?<tenant>[a-z]+)\/v(?<version>\d+)/ });
+      var testData = parserClass.parseRequest('/acme/v3/article/5');
+
+      expect(testData.basePath).to.equal('/acme/v3');
+      expect(testData.baseParams).to.deep.equal({ tenant: 'acme', version: '3' });
+      expect(testData.resourceType).to.equal('article');
+      expect(testData.identifier).to.equal('5');
+    });
+
+    it('should decode base path parameters and report malformed percent-encodings in the path.', function() {
+      var parserClass = new JsonApiQueryParser({ basePath: '/api/:version', collectErrors: true });
+
+      expect(parserClass.parseRequest('/api/v%201/article').baseParams).to.deep.equal({ version: 'v 1' });
+      parserClass = new JsonApiQueryParser({ basePath: /^\/(?<tenant>[^/]+)/ });
+      expect(parserClass.parseRequest('/a%2Fb/article').baseParams).to.deep.equal({ tenant: 'a/b' });
 
+      ['/art%E0icle', '/article/5%', '/api/v%E0/article'].forEach(function(testString) {
+        try {
+          new JsonApiQueryParser({ basePath: '/api/:version' }).parseRequest(testString);
+          throw new Error('Expected a JsonApiErrorList for ' + testString);
+        } catch(errorList) {
+          expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+          expect(errorList.status).to.equal(400);
+          expect(errorList.errors.map(function(error) {
+            return error.code;
+          })).to.deep.equal(['INVALID_ENCODING']);
+        }
+      });
+    });
+
+    it('should report a 404 error if the endpoint is not below the base path.', function() {
+      var parserClass = new JsonApiQueryParser({ basePath: '/api/:version' });
+
+      ['/article/5', '/api', '/apis/v1/article', '/api//article'].forEach(function(testString) {
+        try {
+          parserClass.parseRequest(testString);
+          throw new Error('Expected a JsonApiErrorList for ' + testString);
+        } catch(errorList) {
+          expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+          expect(errorList.status).to.equal(404);
+          expect(errorList.errors[0].code).to.equal('UNKNOWN_BASE_PATH');
+        }
+      });
+
+      parserClass = new JsonApiQueryParser({ basePath: /^\/v\d+/ });
+      expect(function() {
+        parserClass.parseRequest('/v1article');
+      }).to.throw(JsonApiErrorList);
     });
   });
 
@@ -251,6 +1429,32 @@ describe('JsonApiQueryParser', function () {
 
       expect(testData).to.deep.equal(expectedData);
     });
+
+    it('should split names, values and lists before decoding them.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var testData = parserClass.parseRequest('/article?filter[name]=a%3Db%26c&filter[title][in]=x%2Cy,z&filter[like][body]=John+Doe%5D'
+                                              + '&sort=title%2Cbody,-id&fields%5Barticle%5D=title?');
+
+      expect(testData.queryData.filter.name).to.equal('a=b&c');
+      expect(testData.queryData.filter.like).to.deep.equal({ body: 'John Doe]' });
+      expect(testData.queryData.filterTree.children[1].value).to.deep.equal(['x,y', 'z']);
+      expect(testData.queryData.sort).to.deep.equal(['title,body', '-id']);
+      expect(testData.queryData.fields).to.deep.equal({ article: ['title?'] });
+    });
+
+    it('should report malformed percent-encodings as errors.', function() {
+      var parserClass = new JsonApiQueryParser({ collectErrors: true });
+
+      try {
+        parserClass.parseRequest('/article?filter[name]=100%&include=author&sort%ZZ=title');
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+        expect(errorList.errors.map(function(error) {
+          return error.code + ' ' + error.source.parameter;
+        })).to.deep.equal(['INVALID_ENCODING filter[name]', 'INVALID_ENCODING sort%ZZ']);
+      }
+    });
   });
 
   describe('parseInclude function', function() {
@@ -277,6 +1481,54 @@ describe('JsonApiQueryParser', function () {
     });
   });
 
+  describe('buildIncludeTree function', function() {
+    it('should nest dot-separated include paths, add implied paths and collapse duplicates.', function() {
+      let includePaths = ['comment.user', 'comment', 'comment.user.company', 'author', 'author', 'tag..owner'];
+
+      let testData = JsonApiQueryParser.buildIncludeTree(includePaths);
+      let expectedData = {
+        comment: {
+          user: {
+            company: {}
+          }
+        },
+        author: {},
+        tag: {
+          owner: {}
+        }
+      };
+
+      expect(testData).to.deep.equal(expectedData);
+      expect(Object.getPrototypeOf(JsonApiQueryParser.buildIncludeTree(['comment.user']).comment)).to.equal(null);
+    });
+
+    it('should throw a JsonApiError for relationship names reaching the object prototype.', function() {
+      ['__proto__.polluted', 'comment.constructor', 'prototype'].forEach(function(includePath) {
+        expect(function() {
+          JsonApiQueryParser.buildIncludeTree([includePath]);
+        }).to.throw(JsonApiError, 'is not allowed in the include path');
+      });
+
+      try {
+        new JsonApiQueryParser().parseRequest('/article?include=__proto__.polluted');
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+        expect(errorList.errors[0].code).to.equal('FORBIDDEN_KEY');
+        expect(errorList.errors[0].source).to.deep.equal({ parameter: 'include' });
+      }
+    });
+
+    it('should throw a JsonApiError if an include path exceeds the given maximum depth.', function() {
+      let testFunction = function() {
+        JsonApiQueryParser.buildIncludeTree(['comment.user'], 1);
+      };
+
+      expect(testFunction).to.throw(JsonApiError);
+      expect(JsonApiQueryParser.buildIncludeTree(['comment.user'], 2)).to.deep.equal({ comment: { user: {} } });
+    });
+  });
+
   describe('parseFields function', function() {
     it('should push the values of the fields strings to their matching queryData field objects.', function() {
       let fieldsStrings = [
@@ -462,6 +1714,44 @@ describe('JsonApiQueryParser', function () {
       };
       expect(testData2).to.deep.equal(expectedData2);
     });
+
+    it('should report plain values of filter types instead of crashing, in any order.', function() {
+      var parserClass = new JsonApiQueryParser({ collectErrors: true });
+
+      ['/article?filter[like]=x&filter[like][name]=jo&sort=title', '/article?filter[like][name]=jo&filter[like]=x&sort=title'].forEach(function(url) {
+        try {
+          parserClass.parseRequest(url);
+          throw new Error('Expected a JsonApiErrorList for ' + url);
+        } catch(errorList) {
+          expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+          expect(errorList.errors).to.have.length(1);
+          expect(errorList.errors[0].code).to.equal('INVALID_FILTER');
+          expect(errorList.errors[0].source).to.deep.equal({ parameter: 'filter[like]' });
+        }
+      });
+    });
+  });
+
+  describe('parseFilterPart function', function() {
+    it('should fill the filter object like parseFilter and parseFilterType.', function() {
+      var parserClass = new JsonApiQueryParser();
+      var testData = JsonApiQueryParser.parseFilterPart({ parameter: 'filter[name]', segments: ['name'], value: 'jack', values: ['jack'] }, { filter: parserClass.createFilterTypes() });
+
+      testData = JsonApiQueryParser.parseFilterPart({ parameter: 'filter[lt][age]', segments: ['lt', 'age'], value: '24', values: ['24'] }, testData);
+      testData = JsonApiQueryParser.parseFilterPart({ parameter: 'filter[author][name][like]', segments: ['author', 'name', 'like'], value: 'jo', values: ['jo'] }, testData);
+
+      expect(testData.filter).to.deep.equal({ like: {}, not: {}, lt: { age: '24' }, lte: {}, gt: {}, gte: {}, name: 'jack' });
+      expect(parserClass.parseRequest('/article?filter[name]=jack&filter[lt][age]=24&filter[author][name][like]=jo').queryData.filter).to.deep.equal(testData.filter);
+    });
+
+    it('should throw a JsonApiError for plain values of filter types.', function() {
+      expect(function() {
+        JsonApiQueryParser.parseFilterPart({ parameter: 'filter[like][name]', segments: ['like', 'name'], value: 'jo', values: ['jo'] }, { filter: { like: 'x' } });
+      }).to.throw(JsonApiError, 'only takes column filters');
+      expect(function() {
+        JsonApiQueryParser.parseFilterPart({ parameter: 'filter[like]', segments: ['like'], value: 'x', values: ['x'] }, { filter: { like: { name: 'jo' } } });
+      }).to.throw(JsonApiError, 'only takes column filters');
+    });
   });
 
   describe('trimSlashes function', function() {
@@ -0,0 +1,119 @@
+'use strict';
+
+var JsonApiUrlBuilder = require('../src/JsonApiUrlBuilder');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('JsonApiUrlBuilder', function () {
+
+  describe('buildEndpoint function', function() {
+    it('should build the endpoint path for each endpoint shape.', function() {
+      let requestData = { resourceType: 'article', identifier: null, relationships: false, relationshipType: null };
+      expect(JsonApiUrlBuilder.buildEndpoint(requestData)).to.equal('/article');
+
+      requestData.identifier = '5';
+      expect(JsonApiUrlBuilder.buildEndpoint(requestData)).to.equal('/article/5');
+
+      requestData.relationshipType = 'comment';
+      expect(JsonApiUrlBuilder.buildEndpoint(requestData)).to.equal('/article/5/comment');
+
+      requestData.relationships = true;
+      expect(JsonApiUrlBuilder.buildEndpoint(requestData)).to.equal('/article/5/relationships/comment');
+
+      requestData.identifier = 'a/b c';
+      expect(JsonApiUrlBuilder.buildEndpoint(requestData)).to.equal('/article/a%2Fb%20c/relationships/comment');
+
+      requestData.basePath = '/api/v1';
+      expect(JsonApiUrlBuilder.buildEndpoint(requestData)).to.equal('/api/v1/article/a%2Fb%20c/relationships/comment');
+    });
+  });
+
+  describe('buildQueryString function', function() {
+    it('should build a canonical query string with stable parameter ordering.', function() {
+      let queryData = {
+        include: ['user', 'comment.user', 'user'],
+        fields: {
+          user: ['name', 'email'],
+          article: ['title', 'body']
+        },
+        sort: ['title', '-created'],
+        page: {
+          offset: '20',
+          limit: '10'
+        },
+        filter: {
+          name: 'john doe',
+          like: {
+            name: 'jo&hn',
+            email: 'a=b'
+          },
+          not: {},
+          lt: {}
+        }
+      };
+
+      expect(JsonApiUrlBuilder.buildQueryString(queryData)).to.equal(
+        'include=comment.user,user&fields[article]=body,title&fields[user]=email,name&sort=title,-created&page[limit]=10&page[offset]=20'
+        + '&filter[like][email]=a%3Db&filter[like][name]=jo%26hn&filter[name]=john%20doe'
+      );
+    });
+
+    it('should return an empty string if there are no query parameters.', function() {
+      let queryData = { include: [], fields: {}, sort: [], page: {}, filter: { like: {}, not: {} } };
+
+      expect(JsonApiUrlBuilder.buildQueryString(queryData)).to.equal('');
+    });
+  });
+
+  describe('buildFilterParts function', function() {
+    it('should keep the decoded names of filter parameters.', function() {
+      let filterTree = {
+        type: 'and',
+        children: [{ type: 'condition', field: 'a+b%', path: [], operator: 'eq', value: 'x', parameter: 'filter[a+b%]' }]
+      };
+
+      expect(JsonApiUrlBuilder.buildFilterParts(filterTree)).to.deep.equal(['filter[a%2Bb%25]=x']);
+    });
+  });
+
+  describe('buildCustomParts function', function() {
+    it('should build the query parameters of custom parameters with a build function.', function() {
+      let parameters = [
+        { name: 'meta', build: function(value) { return { 'meta[count]': value.count, 'meta[skip]': null }; } },
+        { name: 'search' },
+        { name: 'tags', build: function(value) { return { 'tags[]': value }; } }
+      ];
+      let queryData = { meta: { count: true }, search: 'x', tags: ['a,b', 'c'] };
+
+      expect(JsonApiUrlBuilder.buildCustomParts(queryData, parameters)).to.deep.equal(['meta[count]=true', 'tags[]=a%2Cb,c']);
+    });
+  });
+
+  describe('buildQueryPart function', function() {
+    it('should wrap name parts in brackets and encode each value separately.', function() {
+      expect(JsonApiUrlBuilder.buildQueryPart(['sort'], ['-created'])).to.equal('sort=-created');
+      expect(JsonApiUrlBuilder.buildQueryPart(['filter', 'like', 'name'], ['a,b'])).to.equal('filter[like][name]=a%2Cb');
+      expect(JsonApiUrlBuilder.buildQueryPart(['fields', 'article'], ['title', 'body'])).to.equal('fields[article]=title,body');
+      expect(JsonApiUrlBuilder.buildQueryPart(['filter', 'born', 'between'], [new Date('2000-01-01'), new Date('2001-01-01')]))
+        .to.equal('filter[born][between]=2000-01-01T00%3A00%3A00.000Z,2001-01-01T00%3A00%3A00.000Z');
+    });
+  });
+
+  describe('buildUrl function', function() {
+    it('should join the endpoint path and the query string.', function() {
+      let requestData = {
+        resourceType: 'article',
+        identifier: '5',
+        relationships: false,
+        relationshipType: null,
+        queryData: { include: ['author'], fields: {}, sort: [], page: {}, filter: {} }
+      };
+
+      expect(JsonApiUrlBuilder.buildUrl(requestData)).to.equal('/article/5?include=author');
+
+      requestData.queryData.include = [];
+      expect(JsonApiUrlBuilder.buildUrl(requestData)).to.equal('/article/5');
+    });
+  });
+
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+var LruCache = require('../src/LruCache');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('LruCache', function () {
+
+  describe('constructor', function() {
+    it('should require a positive integer as maximum size.', function() {
+      [0, -1, 1.5, '10', null].forEach(function(maxSize) {
+        expect(function() {
+          new LruCache(maxSize);
+        }).to.throw(TypeError);
+      });
+    });
+  });
+
+  describe('get/set functions', function() {
+    it('should evict the least recently used entry once the cache is full.', function() {
+      var cache = new LruCache(2);
+
+      cache.set('a', 1).set('b', 2);
+      expect(cache.get('a')).to.equal(1);
+
+      cache.set('c', 3);
+      expect(cache.get('b')).to.equal(undefined);
+      expect(cache.get('a')).to.equal(1);
+      expect(cache.get('c')).to.equal(3);
+
+      cache.set('a', 4).set('d', 5);
+      expect(cache.get('c')).to.equal(undefined);
+      expect(cache.get('a')).to.equal(4);
+      expect(cache.entries.size).to.equal(2);
+    });
+  });
+
+  describe('clear function', function() {
+    it('should remove all entries.', function() {
+      var cache = new LruCache(2);
+
+      cache.set('a', 1).clear();
+      expect(cache.get('a')).to.equal(undefined);
+      expect(cache.entries.size).to.equal(0);
+    });
+  });
+
+});
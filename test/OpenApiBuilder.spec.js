@@ -0,0 +1,131 @@
+'use strict';
+
+var OpenApiBuilder = require('../src/OpenApiBuilder');
+var ResourceRegistry = require('../src/ResourceRegistry');
+var OffsetPagination = require('../src/pagination/OffsetPagination');
+var CursorPagination = require('../src/pagination/CursorPagination');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('OpenApiBuilder', function () {
+  var registry;
+
+  beforeEach(function () {
+    registry = new ResourceRegistry();
+    registry.register({
+      type: 'article',
+      attributes: { title: 'string', views: 'integer', body: { sortable: false, filterable: false } },
+      relationships: { author: 'user', comment: 'comment' }
+    });
+    registry.register({ type: 'comment', attributes: ['body'], relationships: { user: 'user' } });
+    registry.register({ type: 'user', attributes: { name: 'string', created: 'date' }, relationships: { article: 'article' } });
+    registry.register({ type: 'tag' });
+  });
+
+  describe('buildResourcePaths function', function() {
+    it('should list the reachable relationship paths breadth first up to the maximum depth.', function() {
+      var paths = OpenApiBuilder.buildResourcePaths(registry, 'article', 2).map(function(resourcePath) {
+        return resourcePath.path + ':' + resourcePath.resource.type;
+      });
+
+      expect(paths).to.deep.equal([':article', 'author:user', 'comment:comment', 'author.article:article', 'comment.user:user']);
+      expect(OpenApiBuilder.buildResourcePaths(registry, 'comment', 1).length).to.equal(2);
+    });
+  });
+
+  describe('buildParameters function', function() {
+    it('should document include and sort as comma-separated lists of the allowed values.', function() {
+      var parameters = OpenApiBuilder.buildParameters(registry, 'article', ['include', 'sort'], { maxDepth: 1 });
+
+      expect(parameters[0]).to.deep.equal({
+        name: 'include',
+        in: 'query',
+        required: false,
+        description: 'Relationship paths to include.',
+        style: 'form',
+        explode: false,
+        schema: { type: 'array', items: { type: 'string', enum: ['author', 'comment'] } }
+      });
+      expect(parameters[1].name).to.equal('sort');
+      expect(parameters[1].schema.items.enum).to.deep.equal([
+        'id', '-id', 'title', '-title', 'views', '-views', 'author.id', '-author.id', 'author.name', '-author.name',
+        'author.created', '-author.created', 'comment.id', '-comment.id', 'comment.body', '-comment.body'
+      ]);
+    });
+
+    it('should document fields of all registered types as deepObject.', function() {
+      var fields = OpenApiBuilder.buildParameters(registry, 'comment', ['fields'])[0];
+
+      expect(fields.style).to.equal('deepObject');
+      expect(fields.explode).to.equal(true);
+      expect(Object.keys(fields.schema.properties)).to.deep.equal(['article', 'comment', 'user']);
+
+      var pattern = new RegExp(fields.schema.properties.user.pattern);
+      expect(pattern.test('name,article')).to.equal(true);
+      expect(pattern.test('name,')).to.equal(false);
+      expect(pattern.test('email')).to.equal(false);
+    });
+
+    it('should document the keys of all pagination strategies.', function() {
+      var page = OpenApiBuilder.buildParameters(registry, 'article', ['page'], {
+        paginationStrategies: [new OffsetPagination(), new CursorPagination()]
+      })[0];
+
+      expect(page.style).to.equal('deepObject');
+      expect(Object.keys(page.schema.properties)).to.deep.equal(['offset', 'limit', 'after', 'before', 'size']);
+      expect(page.schema.properties.offset).to.deep.equal({ type: 'integer', minimum: 0 });
+      expect(page.schema.properties.size).to.deep.equal({ type: 'integer', minimum: 1 });
+      expect(page.schema.properties.after).to.deep.equal({ type: 'string' });
+      expect(page.description).to.contain('offset (offset, limit), cursor (after, before, size)');
+      expect(OpenApiBuilder.buildParameters(registry, 'article', ['page'])).to.deep.equal([]);
+    });
+
+    it('should document the id, filterable attributes and relationships with typed values and operators.', function() {
+      var filter = OpenApiBuilder.buildParameters(registry, 'article', ['filter'], {
+        maxDepth: 1,
+        filterOperators: { eq: { arity: 1 }, like: { arity: 1 }, in: { arity: 'list' } }
+      })[0];
+      var properties = filter.schema.properties;
+
+      expect(filter.style).to.equal('deepObject');
+      expect(Object.keys(properties)).to.deep.equal(['id', 'title', 'views', 'author', 'comment']);
+      expect(properties.id.oneOf[0]).to.deep.equal({ type: 'string' });
+      expect(properties.views.oneOf[0]).to.deep.equal({ type: 'integer' });
+      expect(properties.views.oneOf[1].properties).to.deep.equal({ eq: { type: 'integer' }, like: { type: 'string' }, in: { type: 'string' } });
+      expect(properties.author.oneOf[0]).to.deep.equal({ type: 'string' });
+      expect(Object.keys(properties.author.oneOf[1].properties)).to.deep.equal(['id', 'name', 'created', 'article', 'eq', 'like', 'in']);
+      expect(properties.author.oneOf[1].properties.created.oneOf[0]).to.deep.equal({ type: 'string', format: 'date-time' });
+      expect(Object.keys(properties.author.oneOf[1].properties.article.oneOf[1].properties)).to.deep.equal(['eq', 'like', 'in']);
+      expect(properties.author.oneOf[1].properties.article.oneOf[1].additionalProperties).to.equal(false);
+    });
+
+    it('should document the relationship paths as open lists if the depth is unlimited.', function() {
+      var parameters = OpenApiBuilder.buildParameters(registry, 'comment', ['include', 'filter'], { maxDepth: null });
+      var article = parameters[1].schema.properties.user.oneOf[1].properties.article.oneOf[1];
+
+      expect(parameters[0].description).to.equal('Relationship paths to include. Relationship paths of any depth are allowed.');
+      expect(parameters[0].schema).to.deep.equal({ type: 'array', items: { type: 'string' }, example: ['user', 'user.article'] });
+      expect(parameters[1].description).to.contain('Relationships can be followed to any depth.');
+      expect(article.additionalProperties).to.equal(false);
+      expect(article.properties.author.oneOf[1].additionalProperties).to.equal(true);
+      expect(OpenApiBuilder.buildParameters(registry, 'comment', ['include'], { maxDepth: 2 })[0].schema.items.enum).to.deep.equal(['user', 'user.article']);
+    });
+
+    it('should leave out list parameters without allowed values.', function() {
+      var parameters = OpenApiBuilder.buildParameters(registry, 'tag', ['include', 'sort', 'fields'], { maxDepth: 2 });
+
+      expect(parameters.map(function(parameter) {
+        return parameter.name;
+      })).to.deep.equal(['fields', 'sort']);
+      expect(parameters[1].schema.items.enum).to.deep.equal(['id', '-id']);
+    });
+  });
+
+  describe('toOpenApiPath function', function() {
+    it('should convert route parameters into path templates.', function() {
+      expect(OpenApiBuilder.toOpenApiPath('/api/:version/article/:id')).to.equal('/api/{version}/article/{id}');
+      expect(OpenApiBuilder.toOpenApiPath('/article')).to.equal('/article');
+    });
+  });
+
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+var ParameterRegistry = require('../src/ParameterRegistry');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('ParameterRegistry', function () {
+
+  var registry;
+  var parse = function(token) {
+    return token.value;
+  };
+
+  beforeEach(function () {
+    registry = new ParameterRegistry();
+  });
+
+  describe('register function', function() {
+    it('should reject definitions without name, with reserved names or without parse function.', function() {
+      [null, {}, { name: '', parse: parse }, { name: 'sort', parse: parse }, { name: '__proto__', parse: parse }, { name: 'search' },
+       { name: 'search', parse: parse, pattern: '^search$' }].forEach(function(definition) {
+        expect(function() {
+          registry.register(definition);
+        }).to.throw(TypeError);
+      });
+    });
+
+    it('should normalize the definition and replace definitions with the same name.', function() {
+      var parameter = registry.register({ name: 'search', parse: parse });
+
+      expect(parameter.defaultValue).to.equal(null);
+      expect(parameter.openApi).to.equal(null);
+      expect(parameter.pattern.test('search')).to.equal(true);
+      expect(parameter.pattern.test('search[title]')).to.equal(true);
+      expect(parameter.pattern.test('searches')).to.equal(false);
+
+      registry.register({ name: 'search', parse: parse, defaultValue: '' });
+      expect(registry.parameters.length).to.equal(1);
+      expect(registry.parameters[0].defaultValue).to.equal('');
+    });
+  });
+
+  describe('match function', function() {
+    it('should return the first matching parameter with its pattern match.', function() {
+      registry.register({ name: 'meta', pattern: /^meta\[(count|total)\]$/, parse: parse });
+      registry.register({ name: 'anyMeta', pattern: /^meta\[.*\]$/, parse: parse });
+
+      var result = registry.match('meta[count]');
+      expect(result.parameter.name).to.equal('meta');
+      expect(result.match[1]).to.equal('count');
+      expect(registry.match('meta[other]').parameter.name).to.equal('anyMeta');
+      expect(registry.match('search')).to.equal(null);
+      expect(registry.isEmpty()).to.equal(false);
+    });
+  });
+
+});
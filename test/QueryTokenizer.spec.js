@@ -0,0 +1,51 @@
+'use strict';
+
+var QueryTokenizer = require('../src/QueryTokenizer');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('QueryTokenizer', function () {
+
+  describe('tokenize function', function() {
+    it('should split pieces, names, values and lists before decoding each part.', function() {
+      expect(QueryTokenizer.tokenize('&filter%5Bname%5D=a%3Db%26c&&include=user,comment%2Cx&sort&page[size]=')).to.deep.equal([
+        { parameter: 'filter[name]', value: 'a=b&c', values: ['a=b&c'] },
+        { parameter: 'include', value: 'user,comment,x', values: ['user', 'comment,x'] },
+        { parameter: 'sort', value: null, values: [] },
+        { parameter: 'page[size]', value: '', values: [''] }
+      ]);
+    });
+
+    it('should skip and report pieces with a malformed percent-encoding.', function() {
+      var errors = [];
+      var tokens = QueryTokenizer.tokenize('a%E0%A4%A=1&b=%&c=ok', function(error) {
+        errors.push(error);
+      });
+
+      expect(tokens).to.deep.equal([{ parameter: 'c', value: 'ok', values: ['ok'] }]);
+      expect(errors.map(function(error) {
+        return error.code + ' ' + error.source.parameter;
+      })).to.deep.equal(['INVALID_ENCODING a%E0%A4%A', 'INVALID_ENCODING b']);
+      expect(QueryTokenizer.tokenize('b=%')).to.deep.equal([]);
+    });
+  });
+
+  describe('toToken function', function() {
+    it('should tokenize query string pieces and return tokens as they are.', function() {
+      var token = { parameter: 'sort', value: 'title', values: ['title'] };
+
+      expect(QueryTokenizer.toToken('sort=title')).to.deep.equal(token);
+      expect(QueryTokenizer.toToken(token)).to.equal(token);
+      expect(QueryTokenizer.toToken('')).to.deep.equal({ parameter: '', value: null, values: [] });
+    });
+  });
+
+  describe('decode function', function() {
+    it('should decode plus signs as spaces and return undefined for malformed parts.', function() {
+      expect(QueryTokenizer.decode('John+Doe%2B%20Jr.')).to.equal('John Doe+ Jr.');
+      expect(QueryTokenizer.decode('%E2%82%AC')).to.equal('€');
+      expect(QueryTokenizer.decode('%E2%82')).to.equal(undefined);
+    });
+  });
+
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+var ResourceRegistry = require('../src/ResourceRegistry');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('ResourceRegistry', function () {
+
+  var registry;
+
+  beforeEach(function () {
+    registry = new ResourceRegistry();
+  });
+
+  afterEach(function () {
+    registry = null;
+  });
+
+  describe('register function', function() {
+    it('should normalize attribute and relationship lists and settings.', function() {
+      let testData = registry.register({
+        type: 'article',
+        attributes: {
+          title: {},
+          body: { sortable: false },
+          age: 'integer'
+        },
+        relationships: {
+          author: 'user',
+          comment: { type: 'comment' },
+          tag: true
+        }
+      });
+
+      let expectedData = {
+        type: 'article',
+        attributes: {
+          title: { type: null, sortable: true, filterable: true },
+          body: { type: null, sortable: false, filterable: true },
+          age: { type: 'integer', sortable: true, filterable: true }
+        },
+        relationships: {
+          author: { type: 'user' },
+          comment: { type: 'comment' },
+          tag: { type: 'tag' }
+        }
+      };
+
+      expect(testData).to.deep.equal(expectedData);
+
+      testData = registry.register({ type: 'user', attributes: ['name', 'email'] });
+      expect(testData.attributes).to.deep.equal({
+        name: { type: null, sortable: true, filterable: true },
+        email: { type: null, sortable: true, filterable: true }
+      });
+      expect(testData.relationships).to.deep.equal({});
+    });
+
+    it('should throw a TypeError for definitions without type or relationships without target type.', function() {
+      expect(function() {
+        registry.register({ attributes: ['title'] });
+      }).to.throw(TypeError);
+
+      expect(function() {
+        registry.register({ type: 'article', relationships: { author: {} } });
+      }).to.throw(TypeError);
+
+      expect(function() {
+        registry.register({ type: 'article', relationships: { author: null } });
+      }).to.throw(TypeError, 'Relationship "author" of "article" requires a target type');
+
+      expect(registry.register({ type: 'article', attributes: { title: null } }).attributes.title).to.deep.equal({
+        type: null,
+        sortable: true,
+        filterable: true
+      });
+    });
+  });
+
+  describe('get/isEmpty functions', function() {
+    it('should return registered definitions only.', function() {
+      expect(registry.isEmpty()).to.equal(true);
+      registry.register({ type: 'article' });
+
+      expect(registry.isEmpty()).to.equal(false);
+      expect(registry.get('article').type).to.equal('article');
+      expect(registry.get('user')).to.equal(null);
+      expect(registry.get('constructor')).to.equal(null);
+    });
+  });
+
+  describe('resolvePath function', function() {
+    it('should follow relationships to the resource at the end of the path.', function() {
+      registry.register({ type: 'article', relationships: { comment: 'comment' } });
+      registry.register({ type: 'comment', relationships: { user: 'user', tag: 'tag' } });
+      registry.register({ type: 'user' });
+
+      expect(registry.resolvePath('article', []).type).to.equal('article');
+      expect(registry.resolvePath('article', ['comment', 'user']).type).to.equal('user');
+      expect(registry.resolvePath('article', ['comment', 'tag'])).to.equal(null);
+      expect(registry.resolvePath('article', ['user'])).to.equal(null);
+    });
+  });
+
+  describe('resolveAttribute function', function() {
+    it('should resolve attributes, ids and relationships along the path.', function() {
+      registry.register({ type: 'article', attributes: { title: 'string' }, relationships: { author: 'user' } });
+      registry.register({ type: 'user', attributes: { name: { sortable: false } } });
+
+      expect(registry.resolveAttribute('article', 'title')).to.deep.equal({ type: 'string', sortable: true, filterable: true });
+      expect(registry.resolveAttribute('article', 'author.id')).to.deep.equal({ type: null, sortable: true, filterable: true });
+      expect(registry.resolveAttribute('article', 'author')).to.deep.equal({ type: null, sortable: false, filterable: true });
+      expect(registry.resolveAttribute('article', 'author.name').sortable).to.equal(false);
+      expect(registry.resolveAttribute('article', 'author.email')).to.equal(null);
+      expect(registry.resolveAttribute('article', 'comment.id')).to.equal(null);
+    });
+  });
+
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+var RouteTable = require('../src/RouteTable');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('RouteTable', function () {
+
+  var routeTable;
+
+  beforeEach(function () {
+    routeTable = new RouteTable();
+  });
+
+  describe('match function', function() {
+    it('should match the default JSON API endpoint shapes.', function() {
+      var expectations = {
+        'article': ['collection', { type: 'article' }],
+        'article/5': ['resource', { type: 'article', id: '5' }],
+        'article/5/comment': ['related', { type: 'article', id: '5', relationship: 'comment' }],
+        'article/5/relationships/comment': ['relationship', { type: 'article', id: '5', relationship: 'comment' }],
+        'article/5/Relationships/comment': ['relationship', { type: 'article', id: '5', relationship: 'comment' }]
+      };
+
+      Object.keys(expectations).forEach(function(endpointPath) {
+        var routeMatch = routeTable.match(endpointPath);
+
+        expect(routeMatch.route.name, endpointPath).to.equal(expectations[endpointPath][0]);
+        expect(routeMatch.params, endpointPath).to.deep.equal(expectations[endpointPath][1]);
+      });
+    });
+
+    it('should decode the matched parameters.', function() {
+      expect(routeTable.match('article/a%20b%2Fc/comment').params).to.deep.equal({ type: 'article', id: 'a b/c', relationship: 'comment' });
+      expect(routeTable.match('article/a+b').params.id).to.equal('a+b');
+      expect(routeTable.match('article/a%E0b').params.id).to.equal(undefined);
+    });
+
+    it('should return null for unmatched paths.', function() {
+      expect(routeTable.match('')).to.equal(null);
+      expect(routeTable.match('article/5/relationships/comment/1')).to.equal(null);
+      expect(routeTable.match('article//comment')).to.equal(null);
+    });
+
+    it('should match registered routes before the default routes in registration order.', function() {
+      routeTable.register('article/:id/publish', { name: 'publishArticle', resourceType: 'article' });
+      routeTable.register('article/:id/:action');
+
+      expect(routeTable.match('article/5/publish').route.name).to.equal('publishArticle');
+      expect(routeTable.match('article/5/comment').route.name).to.equal('article/:id/:action');
+      expect(routeTable.match('user/5/comment').route.name).to.equal('related');
+    });
+
+    it('should capture several parameters of one segment.', function() {
+      routeTable.register('/version/:articleId-:version/', { name: 'articleVersion' });
+
+      var routeMatch = routeTable.match('version/a-b-3');
+
+      expect(routeMatch.route.template).to.equal('version/:articleId-:version');
+      expect(routeMatch.params).to.deep.equal({ articleId: 'a', version: 'b-3' });
+      expect(routeMatch.route.pattern.test('version/a')).to.equal(false);
+    });
+  });
+
+  describe('compileRoute function', function() {
+    it('should apply the default settings and escape literal text.', function() {
+      var route = RouteTable.compileRoute('v1.0/:type');
+
+      expect(route.name).to.equal('v1.0/:type');
+      expect(route.resourceType).to.equal(null);
+      expect(route.relationships).to.equal(false);
+      expect(route.paramNames).to.deep.equal(['type']);
+      expect(route.pattern.test('v1.0/article')).to.equal(true);
+      expect(route.pattern.test('v1x0/article')).to.equal(false);
+    });
+
+    it('should throw a TypeError for missing templates and repeated parameters.', function() {
+      expect(function() {
+        RouteTable.compileRoute('/');
+      }).to.throw(TypeError);
+
+      expect(function() {
+        RouteTable.compileRoute(':id/:id');
+      }).to.throw(TypeError);
+    });
+  });
+
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+var TypeCoercer = require('../src/TypeCoercer');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('TypeCoercer', function () {
+
+  describe('isSupported function', function() {
+    it('should only support the known attribute types.', function() {
+      expect(TypeCoercer.isSupported('integer')).to.equal(true);
+      expect(TypeCoercer.isSupported('date')).to.equal(true);
+      expect(TypeCoercer.isSupported('string')).to.equal(false);
+      expect(TypeCoercer.isSupported('constructor')).to.equal(false);
+      expect(TypeCoercer.isSupported(null)).to.equal(false);
+    });
+  });
+
+  describe('coerce function', function() {
+    it('should coerce valid values and return undefined for invalid ones.', function() {
+      expect(TypeCoercer.coerce('integer', '-15')).to.equal(-15);
+      expect(TypeCoercer.coerce('integer', '1.5')).to.equal(undefined);
+      expect(TypeCoercer.coerce('integer', '15abc')).to.equal(undefined);
+      expect(TypeCoercer.coerce('integer', '9007199254740991')).to.equal(9007199254740991);
+      expect(TypeCoercer.coerce('integer', '99999999999999999999')).to.equal(undefined);
+      expect(TypeCoercer.coerce('float', '1.5e3')).to.equal(1500);
+      expect(TypeCoercer.coerce('float', '.5')).to.equal(0.5);
+      expect(TypeCoercer.coerce('float', '')).to.equal(undefined);
+      expect(TypeCoercer.coerce('boolean', 'false')).to.equal(false);
+      expect(TypeCoercer.coerce('boolean', 'yes')).to.equal(undefined);
+      expect(TypeCoercer.coerce('date', '2016-01-31T12:00:00Z').toISOString()).to.equal('2016-01-31T12:00:00.000Z');
+      expect(TypeCoercer.coerce('date', '2016-02-31T99:00')).to.equal(undefined);
+      expect(TypeCoercer.coerce('date', '2016-02-31')).to.equal(undefined);
+      expect(TypeCoercer.coerce('date', '2015-02-29')).to.equal(undefined);
+      expect(TypeCoercer.coerce('date', '2016-02-29').toISOString()).to.equal('2016-02-29T00:00:00.000Z');
+      expect(TypeCoercer.coerce('date', '2016-02-29T23:30:00-05:00').toISOString()).to.equal('2016-03-01T04:30:00.000Z');
+      expect(TypeCoercer.coerce('date', 'yesterday')).to.equal(undefined);
+      expect(TypeCoercer.coerce('integer', 'null')).to.equal(null);
+    });
+  });
+
+  describe('coerceAll function', function() {
+    it('should coerce every value of a list.', function() {
+      expect(TypeCoercer.coerceAll('integer', ['1', '2'])).to.deep.equal([1, 2]);
+      expect(TypeCoercer.coerceAll('integer', ['1', 'x'])).to.equal(undefined);
+      expect(TypeCoercer.coerceAll('integer', '3')).to.equal(3);
+    });
+  });
+
+});
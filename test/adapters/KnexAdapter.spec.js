@@ -0,0 +1,157 @@
+'use strict';
+
+var KnexAdapter = require('../../src/adapters/KnexAdapter');
+var JsonApiQueryParser = require('../../src/JsonApiQueryParser');
+var JsonApiErrorList = require('../../src/JsonApiErrorList');
+var chai = require('chai');
+var expect = chai.expect;
+
+/**
+ * [Records the calls of the Knex query builder methods used by the adapter. Nested where callbacks are recorded as sub lists.]
+ **/
+var createMockBuilder = function() {
+  var builder = { calls: [] };
+  var methods = ['select', 'where', 'orWhere', 'whereIn', 'orWhereIn', 'whereNotIn', 'orWhereNotIn', 'whereBetween', 'orWhereBetween',
+                 'whereNull', 'orWhereNull', 'whereNotNull', 'orWhereNotNull', 'whereRaw', 'orWhereRaw', 'orderBy', 'limit', 'offset'];
+
+  methods.forEach(function(method) {
+    builder[method] = function() {
+      var args = Array.prototype.slice.call(arguments);
+
+      if(typeof args[0] === 'function') {
+        var nestedBuilder = createMockBuilder();
+        args[0].call(nestedBuilder, nestedBuilder);
+        args = [nestedBuilder.calls];
+      }
+
+      builder.calls.push([method].concat(args));
+      return builder;
+    };
+  });
+
+  return builder;
+};
+
+describe('KnexAdapter', function () {
+
+  var parserClass;
+
+  beforeEach(function () {
+    parserClass = new JsonApiQueryParser();
+  });
+
+  describe('apply function', function() {
+    it('should apply fields, filters, sort and pagination to the query builder.', function() {
+      var adapter = new KnexAdapter({ columns: { 'author.name': 'users.name' } });
+      var requestData = parserClass.parseRequest('/article?fields[article]=title,body&sort=-created,author.name&page[offset]=20&page[limit]=10'
+                                                 + '&filter[status]=open&filter[like][title]=50%25_off&filter[age][between]=1,5&filter[id][in]=1,2'
+                                                 + '&filter[deletedAt][null]=true&filter[or][author][name]=jo&filter[or][lt][age]=3');
+      var builder = createMockBuilder();
+
+      expect(adapter.apply(builder, requestData)).to.equal(builder);
+      expect(builder.calls).to.deep.equal([
+        ['select', ['id', 'title', 'body']],
+        ['where', 'status', '=', 'open'],
+        ['whereRaw', '?? like ? escape ?', ['title', '%50\\%\\_off%', '\\']],
+        ['whereBetween', 'age', ['1', '5']],
+        ['whereIn', 'id', ['1', '2']],
+        ['whereNull', 'deletedAt'],
+        ['where', [
+          ['orWhere', 'users.name', '=', 'jo'],
+          ['orWhere', 'age', '<', '3']
+        ]],
+        ['orderBy', 'created', 'desc'],
+        ['orderBy', 'users.name', 'asc'],
+        ['limit', 10],
+        ['offset', 20]
+      ]);
+    });
+
+    it('should convert page number pagination and nested groups.', function() {
+      var adapter = new KnexAdapter();
+      var requestData = parserClass.parseRequest('/article?page[number]=3&page[size]=5&filter[or][and][0][a]=1&filter[or][and][0][b][not]=2'
+                                                 + '&filter[or][and][1][c][nin]=3,4&filter[or][and][1][d][null]=false');
+      var builder = createMockBuilder();
+
+      adapter.apply(builder, requestData);
+      expect(builder.calls).to.deep.equal([
+        ['where', [
+          ['orWhere', [
+            ['where', 'a', '=', '1'],
+            ['where', 'b', '<>', '2']
+          ]],
+          ['orWhere', [
+            ['whereNotIn', 'c', ['3', '4']],
+            ['whereNotNull', 'd']
+          ]]
+        ]],
+        ['limit', 5],
+        ['offset', 10]
+      ]);
+    });
+
+    it('should use custom operators.', function() {
+      var adapter = new KnexAdapter({
+        operators: {
+          ilike: function(builder, method, column, value) {
+            builder[method](column, 'ilike', value + '%');
+          }
+        }
+      });
+      var builder = createMockBuilder();
+
+      parserClass.registerFilterOperator({ name: 'ilike' });
+      adapter.apply(builder, parserClass.parseRequest('/article?filter[name][ilike]=Jo'));
+      expect(builder.calls).to.deep.equal([['where', 'name', 'ilike', 'Jo%']]);
+    });
+
+    it('should reject unsupported operators without touching the query builder.', function() {
+      var builder = createMockBuilder();
+
+      parserClass.registerFilterOperator({ name: 'ilike' });
+      expect(function() {
+        new KnexAdapter().apply(builder, parserClass.parseRequest('/article?fields[article]=title&filter[name][ilike]=Jo'));
+      }).to.throw(JsonApiErrorList);
+      expect(builder.calls).to.deep.equal([]);
+    });
+
+    it('should reject columns that are no plain identifiers unless they are mapped.', function() {
+      var adapter = new KnexAdapter({ columns: { title: 'articles.title' } });
+      var requestData = parserClass.parseRequest('/article?filter[name;drop table x]=1&sort=author.name&fields[article]=title,"x"'
+                                                 + '&filter[a b][like]=1&page[after]=x');
+      var builder = createMockBuilder();
+      var caughtError;
+
+      try {
+        adapter.apply(builder, requestData);
+      } catch(error) {
+        caughtError = error;
+      }
+
+      expect(caughtError).to.be.an.instanceof(JsonApiErrorList);
+      expect(caughtError.errors.map(function(error) {
+        return [error.code, error.source.parameter];
+      })).to.deep.equal([
+        ['UNKNOWN_COLUMN', 'fields[article]'],
+        ['UNKNOWN_COLUMN', 'filter[name;drop table x]'],
+        ['UNKNOWN_COLUMN', 'filter[a b][like]'],
+        ['UNKNOWN_COLUMN', 'sort'],
+        ['UNSUPPORTED_PAGINATION', 'page']
+      ]);
+      expect(builder.calls).to.deep.equal([]);
+
+      adapter = new KnexAdapter({ columns: { title: 'articles.title' }, mappedColumnsOnly: true });
+      expect(function() {
+        adapter.apply(createMockBuilder(), parserClass.parseRequest('/article?sort=created'));
+      }).to.throw(JsonApiErrorList);
+      expect(adapter.apply(createMockBuilder(), parserClass.parseRequest('/article?sort=title')).calls).to.deep.equal([['orderBy', 'articles.title', 'asc']]);
+    });
+  });
+
+  describe('escapeLike function', function() {
+    it('should escape like wildcards and backslashes.', function() {
+      expect(KnexAdapter.escapeLike('a%b_c\\d')).to.equal('a\\%b\\_c\\\\d');
+    });
+  });
+
+});
@@ -0,0 +1,206 @@
+'use strict';
+
+var MemoryAdapter = require('../../src/adapters/MemoryAdapter');
+var JsonApiQueryParser = require('../../src/JsonApiQueryParser');
+var JsonApiErrorList = require('../../src/JsonApiErrorList');
+var chai = require('chai');
+var expect = chai.expect;
+
+/**
+ * [Creates an article resource written by the given user.]
+ **/
+var createArticle = function(id, title, views, authorId) {
+  return {
+    type: 'article',
+    id: id,
+    attributes: { title: title, views: views, body: 'Body ' + id },
+    relationships: { author: { data: (authorId ? { type: 'user', id: authorId } : null) } }
+  };
+};
+
+describe('MemoryAdapter', function () {
+
+  var parserClass;
+  var adapter;
+  var articles;
+  var store;
+
+  var getIds = function(resources) {
+    return resources.map(function(resource) {
+      return resource.id;
+    });
+  };
+
+  beforeEach(function () {
+    parserClass = new JsonApiQueryParser();
+    adapter = new MemoryAdapter();
+    articles = [
+      createArticle('1', 'Hello world', 10, '1'),
+      createArticle('2', 'Second post', 200, '2'),
+      createArticle('3', 'Hello again', 30, '2'),
+      createArticle('4', 'Draft', null, null)
+    ];
+    store = [
+      { type: 'user', id: '1', attributes: { name: 'john' }, relationships: { company: { data: { type: 'company', id: '1' } } } },
+      { type: 'user', id: '2', attributes: { name: 'jane' }, relationships: { company: { data: { type: 'company', id: '1' } } } },
+      { type: 'company', id: '1', attributes: { name: 'ACME' } }
+    ];
+  });
+
+  describe('apply function', function() {
+    it('should return all resources with the total if the request has no query.', function() {
+      var result = adapter.apply(articles, parserClass.parseRequest('/article'), store);
+
+      expect(getIds(result.data)).to.deep.equal(['1', '2', '3', '4']);
+      expect(result.included).to.deep.equal([]);
+      expect(result.meta).to.deep.equal({ total: 4 });
+    });
+
+    it('should filter with the built-in operators comparing numeric values as numbers.', function() {
+      var expectations = {
+        'filter[title]=Draft': ['4'],
+        'filter[not][title]=Draft': ['1', '2', '3'],
+        'filter[title][like]=HELLO': ['1', '3'],
+        'filter[views][lt]=30': ['1'],
+        'filter[views][lte]=30': ['1', '3'],
+        'filter[views][gt]=30': ['2'],
+        'filter[views][gte]=30': ['2', '3'],
+        'filter[id][in]=1,4': ['1', '4'],
+        'filter[id][nin]=1,4': ['2', '3'],
+        'filter[views][between]=10,30': ['1', '3'],
+        'filter[views][null]=true': ['4'],
+        'filter[views][null]=false': ['1', '2', '3']
+      };
+
+      Object.keys(expectations).forEach(function(query) {
+        var result = adapter.apply(articles, parserClass.parseRequest('/article?' + query), store);
+        expect(getIds(result.data), query).to.deep.equal(expectations[query]);
+      });
+    });
+
+    it('should combine filter groups and resolve relationship paths through the store.', function() {
+      var requestData = parserClass.parseRequest('/article?filter[or][author][name]=john&filter[or][views][gt]=100');
+      expect(getIds(adapter.apply(articles, requestData, store).data)).to.deep.equal(['1', '2']);
+
+      requestData = parserClass.parseRequest('/article?filter[author][company][name]=ACME&filter[title][like]=hello');
+      expect(getIds(adapter.apply(articles, requestData, store).data)).to.deep.equal(['1', '3']);
+
+      requestData = parserClass.parseRequest('/article?filter[author]=2');
+      expect(getIds(adapter.apply(articles, requestData, store).data)).to.deep.equal(['2', '3']);
+    });
+
+    it('should apply the operator to each id of to-many relationships.', function() {
+      articles[0].relationships.tag = { data: [{ type: 'tag', id: '9' }] };
+      articles[1].relationships.tag = { data: [{ type: 'tag', id: '2' }, { type: 'tag', id: '9' }] };
+      articles[2].relationships.tag = { data: [] };
+
+      var expectations = {
+        'filter[tag][lt]=3': ['2'],
+        'filter[tag][gt]=3': ['1', '2'],
+        'filter[tag]=2': ['2'],
+        'filter[not][tag]=2': ['1', '3', '4'],
+        'filter[tag][nin]=2,3': ['1', '3', '4'],
+        'filter[tag][between]=1,5': ['2']
+      };
+
+      Object.keys(expectations).forEach(function(query) {
+        var result = adapter.apply(articles, parserClass.parseRequest('/article?' + query), store);
+        expect(getIds(result.data), query).to.deep.equal(expectations[query]);
+      });
+    });
+
+    it('should sort by several fields with direction.', function() {
+      articles.push(createArticle('5', 'Hello world', 5, '1'));
+
+      var result = adapter.apply(articles, parserClass.parseRequest('/article?sort=title,-views'), store);
+      expect(getIds(result.data)).to.deep.equal(['4', '3', '1', '5', '2']);
+
+      result = adapter.apply(articles, parserClass.parseRequest('/article?sort=-author.name,id'), store);
+      expect(getIds(result.data)).to.deep.equal(['1', '5', '2', '3', '4']);
+    });
+
+    it('should paginate after counting the total.', function() {
+      var result = adapter.apply(articles, parserClass.parseRequest('/article?sort=id&page[offset]=1&page[limit]=2'), store);
+      expect(getIds(result.data)).to.deep.equal(['2', '3']);
+      expect(result.meta.total).to.equal(4);
+
+      result = adapter.apply(articles, parserClass.parseRequest('/article?sort=id&page[number]=2&page[size]=3'), store);
+      expect(getIds(result.data)).to.deep.equal(['4']);
+    });
+
+    it('should trim data and included resources to the sparse fieldsets without changing the originals.', function() {
+      var requestData = parserClass.parseRequest('/article?filter[id]=1&include=author&fields[article]=title,author&fields[user]=name');
+      var result = adapter.apply(articles, requestData, store);
+
+      expect(result.data).to.deep.equal([{
+        type: 'article',
+        id: '1',
+        attributes: { title: 'Hello world' },
+        relationships: { author: { data: { type: 'user', id: '1' } } }
+      }]);
+      expect(result.included).to.deep.equal([
+        { type: 'user', id: '1', attributes: { name: 'john' }, relationships: {} }
+      ]);
+      expect(articles[0].attributes.views).to.equal(10);
+    });
+
+    it('should collect nested includes once each.', function() {
+      var result = adapter.apply(articles, parserClass.parseRequest('/article?include=author.company'), store);
+
+      expect(result.included.map(function(resource) {
+        return resource.type + ':' + resource.id;
+      })).to.deep.equal(['user:1', 'company:1', 'user:2']);
+    });
+
+    it('should support custom filter operators.', function() {
+      adapter = new MemoryAdapter({
+        operators: {
+          startswith: function(attributeValue, filterValue) {
+            return String(attributeValue).indexOf(filterValue) === 0;
+          }
+        }
+      });
+      parserClass.registerFilterOperator({ name: 'startswith' });
+
+      var result = adapter.apply(articles, parserClass.parseRequest('/article?filter[title][startswith]=Hello'), store);
+      expect(getIds(result.data)).to.deep.equal(['1', '3']);
+    });
+
+    it('should throw a JsonApiErrorList for unsupported operators and pagination.', function() {
+      parserClass.registerFilterOperator({ name: 'near' });
+
+      try {
+        adapter.apply(articles, parserClass.parseRequest('/article?filter[place][near]=x&page[after]=abc'), store);
+        throw new Error('Expected a JsonApiErrorList');
+      } catch(errorList) {
+        expect(errorList).to.be.an.instanceof(JsonApiErrorList);
+        expect(errorList.errors.map(function(error) {
+          return error.code;
+        })).to.deep.equal(['UNSUPPORTED_FILTER_OPERATOR', 'UNSUPPORTED_PAGINATION']);
+      }
+    });
+  });
+
+  describe('readField function', function() {
+    it('should read the id, related ids and attributes without falling back on prototype keys.', function() {
+      expect(MemoryAdapter.readField(articles[0], 'id')).to.equal('1');
+      expect(MemoryAdapter.readField(articles[0], 'author')).to.equal('1');
+      expect(MemoryAdapter.readField(articles[3], 'author')).to.equal(null);
+      expect(MemoryAdapter.readField(articles[0], 'views')).to.equal(10);
+      expect(MemoryAdapter.readField(articles[0], 'constructor')).to.equal(undefined);
+      expect(MemoryAdapter.readField(articles[0], 'toString')).to.equal(undefined);
+    });
+  });
+
+  describe('compareValues function', function() {
+    it('should compare numeric values as numbers and others as strings.', function() {
+      expect(MemoryAdapter.compareValues(9, '10')).to.be.below(0);
+      expect(MemoryAdapter.compareValues('9', 'a')).to.be.below(0);
+      expect(MemoryAdapter.compareValues('b', 'a')).to.be.above(0);
+      expect(MemoryAdapter.compareValues(null, 'a')).to.be.below(0);
+      expect(MemoryAdapter.compareValues(undefined, null)).to.equal(0);
+      expect(MemoryAdapter.compareValues('2016-01-02T00:00:00Z', new Date('2016-01-01'))).to.be.above(0);
+    });
+  });
+
+});
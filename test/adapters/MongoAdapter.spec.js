@@ -0,0 +1,163 @@
+'use strict';
+
+var MongoAdapter = require('../../src/adapters/MongoAdapter');
+var JsonApiQueryParser = require('../../src/JsonApiQueryParser');
+var JsonApiErrorList = require('../../src/JsonApiErrorList');
+var chai = require('chai');
+var expect = chai.expect;
+
+/**
+ * [Stands in for a MongoDB collection and records the find arguments and the cursor calls.]
+ **/
+var createMockCollection = function() {
+  var collection = { calls: [] };
+  var cursor = {};
+
+  ['sort', 'skip', 'limit'].forEach(function(method) {
+    cursor[method] = function(argument) {
+      collection.calls.push([method, argument]);
+      return cursor;
+    };
+  });
+
+  collection.find = function(filter, options) {
+    collection.calls.push(['find', filter, options]);
+    return cursor;
+  };
+  collection.cursor = cursor;
+
+  return collection;
+};
+
+describe('MongoAdapter', function () {
+
+  var parserClass;
+
+  beforeEach(function () {
+    parserClass = new JsonApiQueryParser();
+  });
+
+  describe('toQuery function', function() {
+    it('should convert filters, fields, sort and pagination into find arguments.', function() {
+      var adapter = new MongoAdapter({ fields: { id: '_id' } });
+      var requestData = parserClass.parseRequest('/article?fields[article]=title,body&sort=-created,author.name&page[offset]=20&page[limit]=10'
+                                                 + '&filter[like][name]=jo.n&filter[not][age]=30&filter[lt][age]=15&filter[lte][a]=1'
+                                                 + '&filter[gt][b]=2&filter[gte][c]=3&filter[id]=5');
+
+      expect(adapter.toQuery(requestData)).to.deep.equal({
+        filter: {
+          $and: [
+            { name: { $regex: 'jo\\.n', $options: 'i' } },
+            { age: { $ne: '30' } },
+            { age: { $lt: '15' } },
+            { a: { $lte: '1' } },
+            { b: { $gt: '2' } },
+            { c: { $gte: '3' } },
+            { _id: { $eq: '5' } }
+          ]
+        },
+        projection: { title: 1, body: 1 },
+        sort: { created: -1, 'author.name': 1 },
+        skip: 20,
+        limit: 10
+      });
+    });
+
+    it('should convert list, range and null operators and nested groups.', function() {
+      var adapter = new MongoAdapter();
+      var requestData = parserClass.parseRequest('/article?page[number]=2&page[size]=5&filter[id][in]=1,2&filter[or][age][between]=3,9'
+                                                 + '&filter[or][deletedAt][null]=true&filter[or][and][0][tag][nin]=x&filter[or][and][0][author][null]=false');
+
+      expect(adapter.toQuery(requestData)).to.deep.equal({
+        filter: {
+          $and: [
+            { id: { $in: ['1', '2'] } },
+            {
+              $or: [
+                { age: { $gte: '3', $lte: '9' } },
+                { deletedAt: { $eq: null } },
+                { $and: [{ tag: { $nin: ['x'] } }, { author: { $ne: null } }] }
+              ]
+            }
+          ]
+        },
+        projection: null,
+        sort: null,
+        skip: 5,
+        limit: 5
+      });
+
+      expect(adapter.toQuery(parserClass.parseRequest('/article?filter[name]=jo')).filter).to.deep.equal({ name: { $eq: 'jo' } });
+      expect(adapter.toQuery(parserClass.parseRequest('/article')).filter).to.deep.equal({});
+    });
+
+    it('should use custom operators.', function() {
+      var adapter = new MongoAdapter({
+        operators: {
+          startswith: function(value) {
+            return { $regex: '^' + MongoAdapter.escapeRegex(value) };
+          }
+        }
+      });
+
+      parserClass.registerFilterOperator({ name: 'startswith' });
+      expect(adapter.toQuery(parserClass.parseRequest('/article?filter[name][startswith]=J.')).filter).to.deep.equal({ name: { $regex: '^J\\.' } });
+    });
+
+    it('should reject fields that could add query operators unless they are mapped.', function() {
+      var adapter = new MongoAdapter({ fields: { '$text': 'body' } });
+      var caughtError;
+
+      expect(adapter.toQuery(parserClass.parseRequest('/article?filter[$text]=x')).filter).to.deep.equal({ body: { $eq: 'x' } });
+
+      try {
+        adapter.toQuery(parserClass.parseRequest('/article?filter[$where]=1&sort=$natural&filter[or][a.$b]=1&page[after]=x'));
+      } catch(error) {
+        caughtError = error;
+      }
+
+      expect(caughtError).to.be.an.instanceof(JsonApiErrorList);
+      expect(caughtError.errors.map(function(error) {
+        return [error.code, error.source.parameter];
+      })).to.deep.equal([
+        ['UNKNOWN_FIELD', 'filter[$where]'],
+        ['UNKNOWN_FIELD', 'filter[or][a.$b]'],
+        ['UNKNOWN_FIELD', 'sort'],
+        ['UNSUPPORTED_PAGINATION', 'page']
+      ]);
+
+      adapter = new MongoAdapter({ fields: { title: 'title' }, mappedFieldsOnly: true });
+      expect(function() {
+        adapter.toQuery(parserClass.parseRequest('/article?sort=created'));
+      }).to.throw(JsonApiErrorList);
+    });
+  });
+
+  describe('apply function', function() {
+    it('should run the find with projection, sort, skip and limit on the collection.', function() {
+      var adapter = new MongoAdapter();
+      var collection = createMockCollection();
+
+      var cursor = adapter.apply(collection, parserClass.parseRequest('/article?fields[article]=title&sort=title&page[offset]=5&page[limit]=5&filter[a]=1'));
+
+      expect(cursor).to.equal(collection.cursor);
+      expect(collection.calls).to.deep.equal([
+        ['find', { a: { $eq: '1' } }, { projection: { title: 1 } }],
+        ['sort', { title: 1 }],
+        ['skip', 5],
+        ['limit', 5]
+      ]);
+
+      collection = createMockCollection();
+      adapter.apply(collection, parserClass.parseRequest('/article'));
+      expect(collection.calls).to.deep.equal([['find', {}, {}]]);
+    });
+  });
+
+  describe('escapeRegex function', function() {
+    it('should escape regular expression characters.', function() {
+      expect(MongoAdapter.escapeRegex('a.b*(c)')).to.equal('a\\.b\\*\\(c\\)');
+    });
+  });
+
+});
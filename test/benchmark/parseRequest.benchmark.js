@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * [Measures the throughput of parseRequest with and without query cache. Run it with "npm run benchmark", mocha only loads
+ * this file without running it. To compare with a baseline, pass either the path of another JsonApiQueryParser module
+ * ("npm run benchmark -- ../other-checkout/src/JsonApiQueryParser.js") or a git ref of this repository, whose src folder is
+ * extracted to a temporary directory ("npm run benchmark -- master").]
+ **/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+var JsonApiQueryParser = require('../../src/JsonApiQueryParser');
+
+var ITERATIONS = 20000;
+var URLS = [
+  '/article?include=author,comment.user&fields[article]=title,body&fields[user]=name&sort=-created,title&page[offset]=20&page[limit]=10',
+  '/article/5/relationships/comment?filter[title][like]=json&filter[views][gt]=100&filter[or][0][author][name]=John+Doe&page[limit]=20',
+  '/user?fields[user]=name,email,created,updated&filter[name]=a%3Db&filter[created][between]=2016-01-01,2016-12-31&sort=name'
+];
+
+/**
+ * [Parses all urls for the given amount of iterations and returns the parsed requests per second.]
+ **/
+var measure = function(parser, iterations) {
+  var start = process.hrtime();
+
+  for(var i = 0; i < iterations; i++) {
+    parser.parseRequest(URLS[i % URLS.length]);
+  }
+
+  var duration = process.hrtime(start);
+
+  return Math.round(iterations / (duration[0] + duration[1] / 1e9));
+};
+
+/**
+ * [Runs each parser once to warm up and prints its throughput.]
+ **/
+var run = function(parsers) {
+  Object.keys(parsers).forEach(function(name) {
+    measure(parsers[name], ITERATIONS / 10);
+    console.log(name + ': ' + measure(parsers[name], ITERATIONS) + ' requests/s');
+  });
+};
+
+/**
+ * [Loads the baseline parser class from a module path or, if no such file exists, from the src folder of a git ref.]
+ **/
+var loadBaseline = function(baseline) {
+  var modulePath = path.resolve(baseline);
+
+  if(!fs.existsSync(modulePath)) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonapi-query-parser-'));
+    var archive = childProcess.execFileSync('git', ['archive', baseline, 'src'], { cwd: path.join(__dirname, '../..') });
+
+    childProcess.execFileSync('tar', ['-x', '-C', directory], { input: archive });
+    modulePath = path.join(directory, 'src/JsonApiQueryParser.js');
+  }
+
+  return require(modulePath);
+};
+
+if(require.main === module) {
+  var parsers = {
+    'current': new JsonApiQueryParser(),
+    'current with queryCacheSize 100': new JsonApiQueryParser({ queryCacheSize: 100 })
+  };
+
+  if(process.argv[2]) {
+    var BaselineParser = loadBaseline(process.argv[2]);
+    parsers['baseline ' + process.argv[2]] = new BaselineParser();
+  }
+
+  run(parsers);
+}
@@ -0,0 +1,60 @@
+'use strict';
+
+var CursorPagination = require('../../src/pagination/CursorPagination');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('CursorPagination', function () {
+
+  var reportedErrors;
+  var reportError = function(error) {
+    reportedErrors.push(error);
+  };
+
+  beforeEach(function () {
+    reportedErrors = [];
+  });
+
+  describe('parse function', function() {
+    it('should keep the cursors as strings and convert page[size] to an integer.', function() {
+      let strategy = new CursorPagination();
+
+      expect(strategy.parse({ after: 'abc', size: '10' }, {}, reportError)).to.deep.equal({ strategy: 'cursor', after: 'abc', before: null, size: 10 });
+      expect(strategy.parse({ before: 'xyz' }, { defaultPageSize: 20 }, reportError)).to.deep.equal({ strategy: 'cursor', after: null, before: 'xyz', size: 20 });
+      expect(reportedErrors).to.deep.equal([]);
+
+      strategy.parse({ after: '' }, {}, reportError);
+      expect(reportedErrors[0].source).to.deep.equal({ parameter: 'page[after]' });
+    });
+
+    it('should report page[after] and page[before] given together.', function() {
+      let strategy = new CursorPagination();
+
+      expect(strategy.parse({ after: 'abc', before: 'xyz' }, {}, reportError)).to.deep.equal({ strategy: 'cursor', after: null, before: null, size: null });
+      expect(reportedErrors).to.have.length(1);
+      expect(reportedErrors[0].code).to.equal('INVALID_PAGE_VALUE');
+      expect(reportedErrors[0].source).to.deep.equal({ parameter: 'page[before]' });
+    });
+  });
+
+  describe('buildLinks function', function() {
+    it('should build the cursors of the prev and next pages from the given cursors.', function() {
+      let strategy = new CursorPagination();
+
+      expect(strategy.buildLinks({ strategy: 'cursor', after: 'abc', before: null, size: 10 }, { prevCursor: 'abd', nextCursor: 'abx' })).to.deep.equal({
+        first: { size: 10 },
+        prev: { before: 'abd', size: 10 },
+        next: { after: 'abx', size: 10 },
+        last: null
+      });
+
+      expect(strategy.buildLinks({ strategy: 'cursor', after: null, before: null, size: null }, {})).to.deep.equal({
+        first: {},
+        prev: null,
+        next: null,
+        last: null
+      });
+    });
+  });
+
+});
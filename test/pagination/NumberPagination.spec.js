@@ -0,0 +1,58 @@
+'use strict';
+
+var NumberPagination = require('../../src/pagination/NumberPagination');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('NumberPagination', function () {
+
+  var reportedErrors;
+  var reportError = function(error) {
+    reportedErrors.push(error);
+  };
+
+  beforeEach(function () {
+    reportedErrors = [];
+  });
+
+  describe('parse function', function() {
+    it('should convert page[number] and page[size] to integers with defaults.', function() {
+      let strategy = new NumberPagination();
+
+      expect(strategy.parse({ number: '3', size: '25' }, {}, reportError)).to.deep.equal({ strategy: 'number', number: 3, size: 25 });
+      expect(strategy.parse({ size: '5' }, {}, reportError)).to.deep.equal({ strategy: 'number', number: 1, size: 5 });
+      expect(reportedErrors).to.deep.equal([]);
+
+      strategy.parse({ number: '0' }, {}, reportError);
+      expect(reportedErrors[0].source).to.deep.equal({ parameter: 'page[number]' });
+    });
+  });
+
+  describe('buildLinks function', function() {
+    it('should build the page numbers of the first, prev, next and last pages.', function() {
+      let strategy = new NumberPagination();
+
+      expect(strategy.buildLinks({ strategy: 'number', number: 2, size: 10 }, { total: 45 })).to.deep.equal({
+        first: { number: 1, size: 10 },
+        prev: { number: 1, size: 10 },
+        next: { number: 3, size: 10 },
+        last: { number: 5, size: 10 }
+      });
+
+      expect(strategy.buildLinks({ strategy: 'number', number: 1, size: 10 }, { total: 0 })).to.deep.equal({
+        first: { number: 1, size: 10 },
+        prev: null,
+        next: null,
+        last: { number: 1, size: 10 }
+      });
+
+      expect(strategy.buildLinks({ strategy: 'number', number: 3, size: null }, {})).to.deep.equal({
+        first: { number: 1 },
+        prev: null,
+        next: null,
+        last: null
+      });
+    });
+  });
+
+});
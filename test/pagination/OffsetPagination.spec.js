@@ -0,0 +1,62 @@
+'use strict';
+
+var OffsetPagination = require('../../src/pagination/OffsetPagination');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('OffsetPagination', function () {
+
+  var reportedErrors;
+  var reportError = function(error) {
+    reportedErrors.push(error);
+  };
+
+  beforeEach(function () {
+    reportedErrors = [];
+  });
+
+  describe('parse function', function() {
+    it('should convert page[offset] and page[limit] to integers with defaults.', function() {
+      let strategy = new OffsetPagination();
+
+      expect(strategy.parse({ offset: '40', limit: '20' }, {}, reportError)).to.deep.equal({ strategy: 'offset', offset: 40, limit: 20 });
+      expect(strategy.parse({}, { defaultPageSize: 10 }, reportError)).to.deep.equal({ strategy: 'offset', offset: 0, limit: 10 });
+      expect(reportedErrors).to.deep.equal([]);
+
+      strategy.parse({ offset: '-5', limit: '0' }, {}, reportError);
+      expect(reportedErrors.map(function(error) {
+        return error.source.parameter;
+      })).to.deep.equal(['page[offset]', 'page[limit]']);
+    });
+  });
+
+  describe('buildLinks function', function() {
+    it('should build the offsets of the first, prev, next and last pages.', function() {
+      let strategy = new OffsetPagination();
+
+      expect(strategy.buildLinks({ strategy: 'offset', offset: 20, limit: 10 }, { total: 45 })).to.deep.equal({
+        first: { offset: 0, limit: 10 },
+        prev: { offset: 10, limit: 10 },
+        next: { offset: 30, limit: 10 },
+        last: { offset: 40, limit: 10 }
+      });
+
+      expect(strategy.buildLinks({ strategy: 'offset', offset: 5, limit: 10 }, { total: 10 })).to.deep.equal({
+        first: { offset: 0, limit: 10 },
+        prev: { offset: 0, limit: 10 },
+        next: null,
+        last: { offset: 0, limit: 10 }
+      });
+
+      expect(strategy.buildLinks({ strategy: 'offset', offset: 0, limit: 10 }, {})).to.deep.equal({
+        first: { offset: 0, limit: 10 },
+        prev: null,
+        next: { offset: 10, limit: 10 },
+        last: null
+      });
+
+      expect(strategy.buildLinks({ strategy: 'offset', offset: 0, limit: 10 }, { total: 0 }).last).to.deep.equal({ offset: 0, limit: 10 });
+    });
+  });
+
+});
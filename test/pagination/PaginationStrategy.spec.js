@@ -0,0 +1,91 @@
+'use strict';
+
+var PaginationStrategy = require('../../src/pagination/PaginationStrategy');
+var JsonApiError = require('../../src/JsonApiError');
+var chai = require('chai');
+var expect = chai.expect;
+
+describe('PaginationStrategy', function () {
+
+  var reportedErrors;
+  var reportError = function(error) {
+    reportedErrors.push(error);
+  };
+
+  beforeEach(function () {
+    reportedErrors = [];
+  });
+
+  describe('constructor', function() {
+    it('should keep the integer keys with their minimum, without any by default.', function() {
+      expect(new PaginationStrategy('offset', ['offset', 'limit'], { offset: 0, limit: 1 }).integerKeys).to.deep.equal({ offset: 0, limit: 1 });
+      expect(new PaginationStrategy('seek', ['since']).integerKeys).to.deep.equal({});
+    });
+  });
+
+  describe('accepts function', function() {
+    it('should accept page keys that are all handled by the strategy.', function() {
+      let strategy = new PaginationStrategy('offset', ['offset', 'limit']);
+
+      expect(strategy.accepts(['limit'])).to.equal(true);
+      expect(strategy.accepts(['offset', 'limit'])).to.equal(true);
+      expect(strategy.accepts(['offset', 'size'])).to.equal(false);
+    });
+  });
+
+  describe('parse function', function() {
+    it('should throw if a strategy does not implement it.', function() {
+      let strategy = new PaginationStrategy('custom', ['custom']);
+
+      expect(function() {
+        strategy.parse({}, {}, reportError);
+      }).to.throw(Error);
+    });
+  });
+
+  describe('buildLinks function', function() {
+    it('should throw if a strategy does not implement it.', function() {
+      let strategy = new PaginationStrategy('custom', ['custom']);
+
+      expect(function() {
+        strategy.buildLinks({ strategy: 'custom' }, {});
+      }).to.throw(Error);
+    });
+  });
+
+  describe('readInteger function', function() {
+    it('should return integers, null for missing keys and report invalid values.', function() {
+      let page = { offset: '20', limit: 'abc', number: '-1', size: '2.5', before: '99999999999999999999' };
+
+      expect(PaginationStrategy.readInteger(page, 'offset', 0, reportError)).to.equal(20);
+      expect(PaginationStrategy.readInteger(page, 'after', 0, reportError)).to.equal(null);
+      expect(reportedErrors).to.deep.equal([]);
+
+      expect(PaginationStrategy.readInteger(page, 'limit', 1, reportError)).to.equal(null);
+      expect(PaginationStrategy.readInteger(page, 'number', 0, reportError)).to.equal(null);
+      expect(PaginationStrategy.readInteger(page, 'size', 1, reportError)).to.equal(null);
+      expect(PaginationStrategy.readInteger(page, 'before', 0, reportError)).to.equal(null);
+      expect(reportedErrors).to.have.length(4);
+      expect(reportedErrors[0]).to.be.an.instanceof(JsonApiError);
+      expect(reportedErrors[0].source).to.deep.equal({ parameter: 'page[limit]' });
+    });
+  });
+
+  describe('readSize function', function() {
+    it('should apply the default page size and report sizes above the maximum without clamping them.', function() {
+      let settings = { defaultPageSize: 20, maxPageSize: 50 };
+
+      expect(PaginationStrategy.readSize({}, 'limit', settings, reportError)).to.equal(20);
+      expect(PaginationStrategy.readSize({}, 'limit', {}, reportError)).to.equal(null);
+      expect(PaginationStrategy.readSize({ limit: '50' }, 'limit', settings, reportError)).to.equal(50);
+      expect(reportedErrors).to.deep.equal([]);
+
+      expect(PaginationStrategy.readSize({ limit: '51' }, 'limit', settings, reportError)).to.equal(null);
+      PaginationStrategy.readSize({ limit: '0' }, 'limit', settings, reportError);
+      expect(reportedErrors.map(function(error) {
+        return error.code;
+      })).to.deep.equal(['MAX_PAGE_SIZE_EXCEEDED', 'INVALID_PAGE_VALUE']);
+    });
+  });
+
+});